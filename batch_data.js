@@ -0,0 +1,134 @@
+// Rows of data for batch rendering
+// Spreadsheets come as CSV or TSV with a header row, other tools write JSON
+// arrays of objects; both become an array of rows keyed by column name.
+// Templates pull a row's values into text with {{column}} placeholders.
+
+// Values of the format option of parseRows()
+const BATCH_FORMATS = ['csv', 'tsv', 'json'];
+
+// {{ name }}, with optional spaces inside the braces
+const PLACEHOLDER = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+/**
+ * Split delimited text into records of fields
+ * Fields may be quoted with double quotes, which lets them hold the
+ * delimiter, line breaks and doubled quotes, as in RFC 4180.
+ * @returns {Array<Array<string>>} Records, without blank lines
+ */
+function splitRecords(text, delimiter) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let i = 0;
+    const endRecord = () => {
+        record.push(field);
+        if (record.length > 1 || record[0] !== '') {
+            records.push(record);
+        }
+        record = [];
+        field = '';
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i += 2;
+                continue;
+            }
+            if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            endRecord();
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+        } else {
+            field += char;
+        }
+        i++;
+    }
+    if (quoted) {
+        throw new Error('Unterminated quoted field');
+    }
+    if (field !== '' || record.length > 0) {
+        endRecord();
+    }
+    return records;
+}
+
+/**
+ * Parse CSV or TSV text with a header row
+ * Records shorter than the header get empty values for the missing columns.
+ * @param {string} text - Delimited text
+ * @param {Object} options - delimiter (default: ',')
+ * @returns {Array<Object>} One object per record, keyed by the header's column names
+ */
+function parseCSV(text, options = {}) {
+    const { delimiter = ',' } = options;
+    const [header, ...records] = splitRecords(text.replace(/^\uFEFF/, ''), delimiter);
+    if (!header) {
+        return [];
+    }
+    const columns = header.map(name => name.trim());
+    return records.map((record, index) => {
+        if (record.length > columns.length) {
+            // Records are counted from 1 after the header, like spreadsheet rows
+            throw new Error(`Row ${index + 1} has ${record.length} fields; the header has ${columns.length}`);
+        }
+        return Object.fromEntries(columns.map((column, i) => [column, i < record.length ? record[i] : '']));
+    });
+}
+
+/**
+ * Parse rows of data for renderBatch()
+ * @param {string} text - File contents
+ * @param {string} format - 'csv', 'tsv' or 'json' (an array of objects)
+ * @returns {Array<Object>} Rows keyed by column name
+ */
+function parseRows(text, format = 'csv') {
+    if (!BATCH_FORMATS.includes(format)) {
+        throw new Error(`Unknown batch format: ${format}. Use ${BATCH_FORMATS.join(', ')}`);
+    }
+    if (format !== 'json') {
+        return parseCSV(text, { delimiter: format === 'tsv' ? '\t' : ',' });
+    }
+    const rows = JSON.parse(text.replace(/^\uFEFF/, ''));
+    if (!Array.isArray(rows) || rows.some(row => row === null || typeof row !== 'object' || Array.isArray(row))) {
+        throw new Error('JSON batch data must be an array of objects');
+    }
+    return rows;
+}
+
+/**
+ * Fill the {{column}} placeholders of a template from a row
+ * @param {string} template - Text with placeholders
+ * @param {Object} row - Values by column name; null and undefined values are empty
+ * @returns {string} The filled text
+ */
+function fillTemplate(template, row) {
+    return template.replace(PLACEHOLDER, (match, name) => {
+        if (!(name in row)) {
+            throw new Error(`No column "${name}" for ${match}`);
+        }
+        const value = row[name];
+        return value === null || value === undefined ? '' : String(value);
+    });
+}
+
+export {
+    parseCSV,
+    parseRows,
+    fillTemplate,
+    BATCH_FORMATS
+};
@@ -0,0 +1,271 @@
+// Mapping between text offsets and positions in shaped lines, for editors
+// HarfBuzz clusters tie glyphs to the text offset they came from. Each line
+// becomes a row of clusters in visual order, each covering a logical range
+// of the text and a span of x. A cluster holding several characters, such
+// as a ligature, is divided evenly between its graphemes, so the caret can
+// stop inside it. Offsets are UTF-16 indices into the shaped text, and
+// positions are in the shaping result's output units.
+
+// Built maps by shaping result; results are not changed after shaping
+const clusterMaps = new WeakMap();
+
+// Positions closer than this are the same caret position
+const EPSILON = 1e-9;
+
+/**
+ * Offsets of the grapheme boundaries of a range of text
+ * @returns {Array<number>} Boundaries from start to end, both included
+ */
+function graphemeStops(text, start, end) {
+    const stops = [start];
+    const slice = text.slice(start, end);
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+        const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+        for (const { index } of segmenter.segment(slice)) {
+            if (index > 0) stops.push(start + index);
+        }
+    } else {
+        // Code points, without grapheme support
+        for (let i = 0; i < slice.length; ) {
+            i += slice.codePointAt(i) > 0xFFFF ? 2 : 1;
+            if (i < slice.length) stops.push(start + i);
+        }
+    }
+    if (end > start) stops.push(end);
+    return stops;
+}
+
+/**
+ * Build the cluster map of a line
+ */
+function mapLine(line, index, top, height) {
+    const visibleLength = line.overflow === 'ellipsis' ? line.text.length - 1 : line.text.length;
+    const runs = line.runs || [];
+    const rtlAt = cluster => {
+        const run = runs.find(candidate => cluster >= candidate.start && cluster < candidate.end);
+        return run ? run.level % 2 === 1 : line.direction === 'rtl';
+    };
+
+    // Group glyphs of the same cluster, which are adjacent in visual order
+    const groups = [];
+    let pen = line.x;
+    line.glyphs.forEach(glyph => {
+        const last = groups[groups.length - 1];
+        if (last && last.cluster === glyph.cluster) {
+            last.right = pen + glyph.advanceX;
+        } else {
+            groups.push({ cluster: glyph.cluster, left: pen, right: pen + glyph.advanceX });
+        }
+        pen += glyph.advanceX;
+    });
+
+    // A cluster runs to the next cluster start in logical order; an added
+    // ellipsis stands for the hidden rest of the line
+    const starts = [...new Set(groups.map(group => group.cluster))].filter(start => start < visibleLength).sort((a, b) => a - b);
+    const clusters = groups.map(({ cluster, left, right }) => {
+        const ellipsis = cluster >= visibleLength;
+        const start = ellipsis ? visibleLength : cluster;
+        const next = starts.find(candidate => candidate > cluster);
+        const end = ellipsis ? line.end - line.start : (next !== undefined ? next : visibleLength);
+        return {
+            start: line.start + start,
+            end: line.start + end,
+            left: Math.min(left, right),
+            right: Math.max(left, right),
+            rtl: rtlAt(cluster),
+            stops: ellipsis ?
+                [line.start + start, line.start + end] :
+                graphemeStops(line.text, start, end).map(stop => line.start + stop)
+        };
+    });
+
+    return {
+        index,
+        start: line.start,
+        end: line.end,
+        direction: line.direction,
+        top,
+        height,
+        baseline: line.y,
+        left: line.x,
+        right: line.x + line.width,
+        clusters
+    };
+}
+
+/**
+ * Build, or get the cached, cluster map of a shaping result
+ * @param {Object} shapingResult - Result of shapeText() with horizontal text
+ * @returns {Object} { lines } with each line's logical range, line box and
+ *   clusters in visual order: { start, end, left, right, rtl, stops },
+ *   where stops are the offsets the caret can stop at inside the cluster
+ */
+function getClusterMap(shapingResult) {
+    const cached = clusterMaps.get(shapingResult);
+    if (cached) {
+        return cached;
+    }
+    if ((shapingResult.writingMode || 'horizontal-tb') !== 'horizontal-tb') {
+        throw new Error('Caret positions need horizontal text');
+    }
+    if (shapingResult.glyphs.some(glyph => glyph.matrix)) {
+        throw new Error('Caret positions need the result of shapeText(), not of layoutOnPath()');
+    }
+    const lines = shapingResult.lines;
+    const height = lines.length > 0 ? shapingResult.totalHeight / lines.length : 0;
+    const map = {
+        lines: lines.map((line, index) => mapLine(line, index, line.top !== undefined ? line.top : index * height, height))
+    };
+    clusterMaps.set(shapingResult, map);
+    return map;
+}
+
+/**
+ * x of an offset inside a cluster, at the largest caret stop not after it
+ */
+function clusterX(cluster, offset) {
+    let k = 0;
+    while (k + 1 < cluster.stops.length && cluster.stops[k + 1] <= offset) k++;
+    const fraction = cluster.stops.length > 1 ? k / (cluster.stops.length - 1) : 0;
+    const width = cluster.right - cluster.left;
+    return cluster.rtl ? cluster.right - fraction * width : cluster.left + fraction * width;
+}
+
+/**
+ * Line holding an offset: the last line starting at or before it, so an
+ * offset where a wrapped line ends and the next begins is on the next line
+ */
+function lineAt(map, offset) {
+    let found = map.lines[0];
+    map.lines.forEach(line => {
+        if (line.start <= offset) found = line;
+    });
+    return found;
+}
+
+/**
+ * Caret position of a text offset
+ * The caret sits on the leading edge of the character after the offset,
+ * or the trailing edge of the one before it at the end of a line. Where
+ * the two characters have different directions these edges are apart and
+ * the caret is split: the primary caret belongs to the character whose
+ * direction matches the line's, the secondary to the other.
+ * @param {Object} shapingResult - Result of shapeText()
+ * @param {number} offset - Offset in the text, from 0 to its length
+ * @returns {Object} { offset, line, x, top, height, baseline, direction,
+ *   secondary }; secondary is { x, direction } for a split caret, else null
+ */
+function caretPosition(shapingResult, offset) {
+    const map = getClusterMap(shapingResult);
+    if (!Number.isInteger(offset) || offset < 0 || offset > shapingResult.text.length) {
+        throw new Error(`Offset must be an integer from 0 to ${shapingResult.text.length}`);
+    }
+    const line = lineAt(map, offset);
+    const position = { offset, line: 0, x: 0, top: 0, height: 0, baseline: 0, direction: 'ltr', secondary: null };
+    if (!line) {
+        return position;
+    }
+    Object.assign(position, { line: line.index, top: line.top, height: line.height, baseline: line.baseline, direction: line.direction });
+
+    // The character before is the last one shown before the offset, which
+    // is further back when the rest of the line was clipped
+    const at = Math.min(offset, line.end);
+    const after = line.clusters.find(cluster => cluster.start <= at && at < cluster.end);
+    const before = after && after.start < at ? null : line.clusters
+        .filter(cluster => cluster.end <= at)
+        .reduce((last, cluster) => (!last || cluster.end > last.end ? cluster : last), null);
+    const edges = [];
+    if (after) {
+        edges.push({ x: clusterX(after, at), direction: after.rtl ? 'rtl' : 'ltr' });
+    }
+    if (before) {
+        edges.push({ x: clusterX(before, before.end), direction: before.rtl ? 'rtl' : 'ltr' });
+    }
+
+    if (edges.length === 0) {
+        position.x = line.direction === 'rtl' ? line.right : line.left;
+        return position;
+    }
+    if (edges.length === 2 && edges[0].direction !== edges[1].direction &&
+        Math.abs(edges[0].x - edges[1].x) > EPSILON && edges[1].direction === line.direction) {
+        edges.reverse();
+    }
+    position.x = edges[0].x;
+    position.direction = edges[0].direction;
+    if (edges.length === 2 && Math.abs(edges[0].x - edges[1].x) > EPSILON) {
+        position.secondary = edges[1];
+    }
+    return position;
+}
+
+/**
+ * Text offset nearest to a point
+ * The point's line is found by y, then the cluster under x, or the
+ * nearest one, and the caret stop in it nearest to x.
+ * @param {Object} shapingResult - Result of shapeText()
+ * @param {number} x - Point in output units
+ * @param {number} y - Point in output units
+ * @returns {Object} { offset, line, inside }; inside tells whether the
+ *   point is on the text rather than beside it
+ */
+function hitTest(shapingResult, x, y) {
+    const map = getClusterMap(shapingResult);
+    if (map.lines.length === 0) {
+        return { offset: 0, line: 0, inside: false };
+    }
+    const line = map.lines.find(candidate => y < candidate.top + candidate.height) || map.lines[map.lines.length - 1];
+    const inside = y >= map.lines[0].top && y < line.top + line.height && x >= line.left && x < line.right;
+    const clusters = line.clusters.filter(cluster => cluster.right - cluster.left > EPSILON);
+    if (clusters.length === 0) {
+        return { offset: line.start, line: line.index, inside: false };
+    }
+
+    const cluster = clusters.find(candidate => x < candidate.right) || clusters[clusters.length - 1];
+    const width = cluster.right - cluster.left;
+    let fraction = Math.max(0, Math.min(1, (x - cluster.left) / width));
+    if (cluster.rtl) {
+        fraction = 1 - fraction;
+    }
+    const offset = cluster.stops[Math.round(fraction * (cluster.stops.length - 1))];
+    return { offset, line: line.index, inside };
+}
+
+/**
+ * Rectangles covering a logical range of text
+ * In bidi text a logical range can fall apart into several visual pieces;
+ * each line gets one rectangle per piece, left to right. Clusters are
+ * divided at their caret stops, so part of a ligature can be selected.
+ * @param {Object} shapingResult - Result of shapeText()
+ * @param {number} start - First offset of the range
+ * @param {number} end - Offset after the range
+ * @returns {Array<{x: number, y: number, width: number, height: number, line: number}>}
+ */
+function selectionRects(shapingResult, start, end) {
+    const map = getClusterMap(shapingResult);
+    const [from, to] = start <= end ? [start, end] : [end, start];
+    const rects = [];
+    map.lines.forEach(line => {
+        line.clusters.forEach(cluster => {
+            const a = Math.max(from, cluster.start);
+            const b = Math.min(to, cluster.end);
+            if (a >= b) return;
+            const x1 = clusterX(cluster, a), x2 = clusterX(cluster, b);
+            const left = Math.min(x1, x2), right = Math.max(x1, x2);
+            // Pieces that touch on the same line become one rectangle
+            const last = rects[rects.length - 1];
+            if (last && last.line === line.index && Math.abs(last.x + last.width - left) <= EPSILON) {
+                last.width = right - last.x;
+            } else {
+                rects.push({ x: left, y: line.top, width: right - left, height: line.height, line: line.index });
+            }
+        });
+    });
+    return rects.filter(rect => rect.width > EPSILON);
+}
+
+export {
+    getClusterMap,
+    caretPosition,
+    hitTest,
+    selectionRects
+};
@@ -0,0 +1,354 @@
+// DXF writer for outlines
+// Writes an AutoCAD 2000 (AC1015) file with the structure strict readers
+// such as AutoCAD expect: every table, the model and paper space block
+// records and blocks, owner handles on every object and an objects section
+// with the root dictionary. CAM software, LibreCAD and Inkscape read it
+// too. Coordinates are millimetres with y pointing up.
+
+import { flattenPath, formatNumber } from './path_geometry.js';
+
+// Characters AutoCAD does not allow in layer names
+const INVALID_LAYER_CHARACTERS = /[<>/\\":;?*|=',\u0000-\u001f]/g;
+
+/**
+ * Escape characters outside ASCII as \U+XXXX, which DXF files read in any
+ * code page; characters beyond the BMP cannot be written and become '_'
+ */
+function encodeText(text) {
+    return String(text).replace(/[^\x00-\x7f]/gu, character => {
+        const codePoint = character.codePointAt(0);
+        return codePoint > 0xFFFF ? '_' : `\\U+${codePoint.toString(16).toUpperCase().padStart(4, '0')}`;
+    });
+}
+
+/**
+ * Make a string usable as a DXF layer name
+ * @param {string} name - Layer name
+ * @returns {string} Name with invalid characters replaced by '_'
+ */
+function sanitizeLayerName(name) {
+    const sanitized = String(name).replace(INVALID_LAYER_CHARACTERS, '_').trim().slice(0, 255);
+    return sanitized || '0';
+}
+
+/**
+ * Split path commands into subpaths of cubic bezier control points
+ * Lines and quadratics are raised to cubics, so each subpath is one
+ * piecewise cubic: [p0, c1, c2, p1, c1, c2, p2, ...]. Subpaths ending
+ * with Z are closed back to their start point.
+ * @param {Array<Object>} commands - Path commands
+ * @returns {Array<Array<Array<number>>>} Control points of each subpath
+ */
+function pathToCubics(commands) {
+    const subpaths = [];
+    let current = null;
+    let startX = 0, startY = 0, x = 0, y = 0;
+
+    const lineTo = (x1, y1) => {
+        current.push([x + (x1 - x) / 3, y + (y1 - y) / 3], [x + (x1 - x) * 2 / 3, y + (y1 - y) * 2 / 3], [x1, y1]);
+    };
+    const finish = closed => {
+        if (current && closed && (x !== startX || y !== startY)) {
+            lineTo(startX, startY);
+        }
+        if (current && current.length > 1) {
+            subpaths.push(current);
+        }
+        current = null;
+    };
+
+    commands.forEach(command => {
+        const v = command.values;
+        if (command.type === 'M') {
+            finish(false);
+            current = [[v[0], v[1]]];
+            startX = x = v[0];
+            startY = y = v[1];
+            return;
+        }
+        if (command.type === 'Z') {
+            finish(true);
+            x = startX;
+            y = startY;
+            return;
+        }
+        if (!current) {
+            current = [[x, y]];
+            startX = x;
+            startY = y;
+        }
+        if (command.type === 'L') {
+            lineTo(v[0], v[1]);
+        } else if (command.type === 'Q') {
+            current.push(
+                [x + (v[0] - x) * 2 / 3, y + (v[1] - y) * 2 / 3],
+                [v[2] + (v[0] - v[2]) * 2 / 3, v[3] + (v[1] - v[3]) * 2 / 3],
+                [v[2], v[3]]
+            );
+        } else if (command.type === 'C') {
+            current.push([v[0], v[1]], [v[2], v[3]], [v[4], v[5]]);
+        }
+        x = v[v.length - 2];
+        y = v[v.length - 1];
+    });
+    finish(false);
+
+    return subpaths;
+}
+
+/**
+ * Create a DXF file from outlines
+ * @param {Array<{layer: string, commands: Array<Object>}>} contours - Path
+ *   commands in millimetres (y up), each on a layer
+ * @param {Object} options - entity ('LWPOLYLINE' or 'SPLINE', default
+ *   'LWPOLYLINE'), tolerance (chord deviation for polylines in mm, default
+ *   0.01) and precision (decimal places, default 4)
+ * @returns {string} DXF file contents
+ */
+function createDXF(contours, options = {}) {
+    const { entity = 'LWPOLYLINE', tolerance = 0.01, precision = 4 } = options;
+    if (entity !== 'LWPOLYLINE' && entity !== 'SPLINE') {
+        throw new Error(`Unknown DXF entity: ${entity}. Use LWPOLYLINE, SPLINE`);
+    }
+
+    // Group code and value pairs, one per line
+    const lines = [];
+    const write = (code, value) =>
+        lines.push(String(code), typeof value === 'number' ? formatNumber(value, precision) : encodeText(value));
+    let nextHandle = 1;
+    const handle = () => (nextHandle++).toString(16).toUpperCase();
+
+    const entities = [];
+    const layers = new Set(['0']);
+    let xMin = Infinity, yMin = Infinity, xMax = -Infinity, yMax = -Infinity;
+    const include = ([px, py]) => {
+        xMin = Math.min(xMin, px);
+        xMax = Math.max(xMax, px);
+        yMin = Math.min(yMin, py);
+        yMax = Math.max(yMax, py);
+    };
+
+    contours.forEach(({ layer, commands }) => {
+        const layerName = sanitizeLayerName(layer);
+        layers.add(layerName);
+
+        if (entity === 'LWPOLYLINE') {
+            flattenPath(commands, tolerance).forEach(({ points, closed }) => {
+                points.forEach(include);
+                entities.push({ type: 'LWPOLYLINE', layer: layerName, points, closed });
+            });
+        } else {
+            pathToCubics(commands).forEach(points => {
+                points.forEach(include);
+                entities.push({ type: 'SPLINE', layer: layerName, points });
+            });
+        }
+    });
+    if (xMin === Infinity) {
+        xMin = yMin = xMax = yMax = 0;
+    }
+
+    // Handles of the objects others point to as their owner (code 330)
+    const owners = {};
+    ['VPORT', 'LTYPE', 'LAYER', 'STYLE', 'VIEW', 'UCS', 'APPID', 'DIMSTYLE', 'BLOCK_RECORD',
+        'modelSpace', 'paperSpace', 'rootDictionary', 'groupDictionary'].forEach(name => {
+        owners[name] = handle();
+    });
+
+    // A table holds records of one type; each record starts with its
+    // type, handle, owner and subclass markers, then its own groups
+    const writeTable = (name, records) => {
+        write(0, 'TABLE');
+        write(2, name);
+        write(5, owners[name]);
+        write(330, '0');
+        write(100, 'AcDbSymbolTable');
+        write(70, String(records.length));
+        if (name === 'DIMSTYLE') {
+            write(100, 'AcDbDimStyleTable');
+        }
+        records.forEach(({ handle: recordHandle = handle(), subclass, groups }) => {
+            write(0, name);
+            write(name === 'DIMSTYLE' ? 105 : 5, recordHandle);
+            write(330, owners[name]);
+            write(100, 'AcDbSymbolTableRecord');
+            write(100, subclass);
+            groups.forEach(([code, value]) => write(code, value));
+        });
+        write(0, 'ENDTAB');
+    };
+    const linetype = (name, description, alignment) => ({
+        subclass: 'AcDbLinetypeTableRecord',
+        groups: [[2, name], [70, '0'], [3, description], [72, alignment], [73, '0'], [40, 0]]
+    });
+    const blockRecord = name => ({
+        handle: owners[name === '*Model_Space' ? 'modelSpace' : 'paperSpace'],
+        subclass: 'AcDbBlockTableRecord',
+        groups: [[2, name]]
+    });
+
+    // Header
+    write(0, 'SECTION');
+    write(2, 'HEADER');
+    write(9, '$ACADVER');
+    write(1, 'AC1015');
+    write(9, '$DWGCODEPAGE');
+    write(3, 'ANSI_1252');
+    write(9, '$INSUNITS');
+    write(70, '4'); // Millimetres
+    write(9, '$MEASUREMENT');
+    write(70, '1'); // Metric
+    write(9, '$EXTMIN');
+    write(10, xMin);
+    write(20, yMin);
+    write(30, 0);
+    write(9, '$EXTMAX');
+    write(10, xMax);
+    write(20, yMax);
+    write(30, 0);
+    write(9, '$HANDSEED');
+    write(5, ''); // Filled in once every handle is given out
+    const handleSeed = lines.length - 1;
+    write(0, 'ENDSEC');
+
+    write(0, 'SECTION');
+    write(2, 'CLASSES');
+    write(0, 'ENDSEC');
+
+    // Tables: the active viewport showing the extents, the standard
+    // linetypes, text style and dimension style, one white layer per name,
+    // and the model and paper space block records
+    const width = Math.max(xMax - xMin, 1), height = Math.max(yMax - yMin, 1);
+    write(0, 'SECTION');
+    write(2, 'TABLES');
+    writeTable('VPORT', [{
+        subclass: 'AcDbViewportTableRecord',
+        groups: [[2, '*ACTIVE'], [70, '0'], [10, 0], [20, 0], [11, 1], [21, 1],
+            [12, (xMin + xMax) / 2], [22, (yMin + yMax) / 2], [40, height * 1.1], [41, width / height]]
+    }]);
+    writeTable('LTYPE', [
+        linetype('ByBlock', '', '65'),
+        linetype('ByLayer', '', '65'),
+        linetype('Continuous', 'Solid line', '65')
+    ]);
+    writeTable('LAYER', [...layers].map(name => ({
+        subclass: 'AcDbLayerTableRecord',
+        groups: [[2, name], [70, '0'], [62, '7'], [6, 'Continuous']]
+    })));
+    writeTable('STYLE', [{
+        subclass: 'AcDbTextStyleTableRecord',
+        groups: [[2, 'Standard'], [70, '0'], [40, 0], [41, 1], [50, 0], [71, '0'], [42, 2.5], [3, 'txt'], [4, '']]
+    }]);
+    writeTable('VIEW', []);
+    writeTable('UCS', []);
+    writeTable('APPID', [{ subclass: 'AcDbRegAppTableRecord', groups: [[2, 'ACAD'], [70, '0']] }]);
+    writeTable('DIMSTYLE', [{ subclass: 'AcDbDimStyleTableRecord', groups: [[2, 'Standard'], [70, '0']] }]);
+    writeTable('BLOCK_RECORD', [blockRecord('*Model_Space'), blockRecord('*Paper_Space')]);
+    write(0, 'ENDSEC');
+
+    // Blocks: the empty definitions of model and paper space
+    write(0, 'SECTION');
+    write(2, 'BLOCKS');
+    ['*Model_Space', '*Paper_Space'].forEach(name => {
+        const owner = owners[name === '*Model_Space' ? 'modelSpace' : 'paperSpace'];
+        write(0, 'BLOCK');
+        write(5, handle());
+        write(330, owner);
+        write(100, 'AcDbEntity');
+        if (name === '*Paper_Space') {
+            write(67, '1');
+        }
+        write(8, '0');
+        write(100, 'AcDbBlockBegin');
+        write(2, name);
+        write(70, '0');
+        write(10, 0);
+        write(20, 0);
+        write(30, 0);
+        write(3, name);
+        write(1, '');
+        write(0, 'ENDBLK');
+        write(5, handle());
+        write(330, owner);
+        write(100, 'AcDbEntity');
+        if (name === '*Paper_Space') {
+            write(67, '1');
+        }
+        write(8, '0');
+        write(100, 'AcDbBlockEnd');
+    });
+    write(0, 'ENDSEC');
+
+    // Entities, all in model space
+    write(0, 'SECTION');
+    write(2, 'ENTITIES');
+    entities.forEach(item => {
+        write(0, item.type);
+        write(5, handle());
+        write(330, owners.modelSpace);
+        write(100, 'AcDbEntity');
+        write(8, item.layer);
+        if (item.type === 'LWPOLYLINE') {
+            write(100, 'AcDbPolyline');
+            write(90, String(item.points.length));
+            write(70, item.closed ? '1' : '0');
+            item.points.forEach(([px, py]) => {
+                write(10, px);
+                write(20, py);
+            });
+        } else {
+            // Piecewise cubic bezier as a clamped B-spline: every segment
+            // boundary is a triple knot
+            const segments = (item.points.length - 1) / 3;
+            const knots = [0, 0, 0, 0];
+            for (let i = 1; i < segments; i++) {
+                knots.push(i, i, i);
+            }
+            knots.push(segments, segments, segments, segments);
+
+            write(100, 'AcDbSpline');
+            write(210, 0);
+            write(220, 0);
+            write(230, 1);
+            write(70, '8'); // Planar; closed contours end where they start
+            write(71, '3');
+            write(72, String(knots.length));
+            write(73, String(item.points.length));
+            write(74, '0');
+            knots.forEach(knot => write(40, knot));
+            item.points.forEach(([px, py]) => {
+                write(10, px);
+                write(20, py);
+                write(30, 0);
+            });
+        }
+    });
+    write(0, 'ENDSEC');
+
+    // Objects: the root dictionary with the group dictionary it must hold
+    write(0, 'SECTION');
+    write(2, 'OBJECTS');
+    write(0, 'DICTIONARY');
+    write(5, owners.rootDictionary);
+    write(330, '0');
+    write(100, 'AcDbDictionary');
+    write(281, '1');
+    write(3, 'ACAD_GROUP');
+    write(350, owners.groupDictionary);
+    write(0, 'DICTIONARY');
+    write(5, owners.groupDictionary);
+    write(330, owners.rootDictionary);
+    write(100, 'AcDbDictionary');
+    write(281, '1');
+    write(0, 'ENDSEC');
+    write(0, 'EOF');
+
+    lines[handleSeed] = nextHandle.toString(16).toUpperCase();
+    return lines.join('\n') + '\n';
+}
+
+export {
+    createDXF,
+    pathToCubics,
+    sanitizeLayerName
+};
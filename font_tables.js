@@ -0,0 +1,313 @@
+// Readers for OpenType tables that hbjs does not expose
+// Tables are sliced from the font data with readTableDirectory() as
+// big-endian byte arrays. face.reference_table() is not used: hbjs never
+// destroys the blob it returns, which keeps the whole font in the wasm heap.
+
+/**
+ * Read an unsigned 16-bit integer
+ */
+function readUint16(table, offset) {
+    return (table[offset] << 8) | table[offset + 1];
+}
+
+/**
+ * Read a signed 16-bit integer
+ */
+function readInt16(table, offset) {
+    const value = readUint16(table, offset);
+    return value & 0x8000 ? value - 0x10000 : value;
+}
+
+/**
+ * Read an unsigned 32-bit integer
+ */
+function readUint32(table, offset) {
+    return ((table[offset] << 24) | (table[offset + 1] << 16) | (table[offset + 2] << 8) | table[offset + 3]) >>> 0;
+}
+
+/**
+ * Read a 16.16 fixed-point number
+ */
+function readFixed(table, offset) {
+    const value = ((table[offset] << 24) | (table[offset + 1] << 16) | (table[offset + 2] << 8) | table[offset + 3]);
+    return value / 65536;
+}
+
+/**
+ * Read a four-character tag
+ */
+function readTag(table, offset) {
+    return String.fromCharCode(table[offset], table[offset + 1], table[offset + 2], table[offset + 3]);
+}
+
+/**
+ * Read the table directory of an OpenType font or collection
+ * @param {Uint8Array} data - TTF, OTF, TTC or OTC data
+ * @param {number} index - Font in a collection (0 for single fonts)
+ * @returns {Map<string, Uint8Array>} Table data by tag; tables that run past
+ *   the end of the data are left out
+ */
+function readTableDirectory(data, index = 0) {
+    const tables = new Map();
+    let offset = 0;
+    if (data.length >= 16 && readTag(data, 0) === 'ttcf') {
+        if (index >= readUint32(data, 8)) {
+            return tables;
+        }
+        offset = readUint32(data, 12 + index * 4);
+    }
+    if (offset + 12 > data.length) {
+        return tables;
+    }
+
+    const numTables = readUint16(data, offset + 4);
+    for (let i = 0; i < numTables; i++) {
+        const record = offset + 12 + i * 16;
+        if (record + 16 > data.length) break;
+        const start = readUint32(data, record + 8);
+        const length = readUint32(data, record + 12);
+        if (length && start + length <= data.length) {
+            tables.set(readTag(data, record), data.subarray(start, start + length));
+        }
+    }
+
+    return tables;
+}
+
+/**
+ * Read the name table
+ * Windows Unicode English records are preferred, then any Windows or
+ * Unicode platform record, then Macintosh Roman.
+ * @param {Uint8Array|undefined} table - name table data
+ * @returns {Map<number, string>} Strings by name ID
+ */
+function readNameTable(table) {
+    const names = new Map();
+    if (!table || table.length < 6) {
+        return names;
+    }
+
+    const count = readUint16(table, 2);
+    const stringOffset = readUint16(table, 4);
+    const ranks = new Map();
+
+    for (let i = 0; i < count; i++) {
+        const record = 6 + i * 12;
+        const platformID = readUint16(table, record);
+        const languageID = readUint16(table, record + 4);
+        const nameID = readUint16(table, record + 6);
+        const length = readUint16(table, record + 8);
+        const start = stringOffset + readUint16(table, record + 10);
+        if (start + length > table.length) continue;
+
+        let rank;
+        let value = '';
+        if (platformID === 3 || platformID === 0) {
+            rank = platformID === 3 && languageID === 0x0409 ? 0 : 1;
+            for (let j = 0; j + 1 < length; j += 2) {
+                value += String.fromCharCode(readUint16(table, start + j));
+            }
+        } else if (platformID === 1) {
+            rank = 2;
+            value = String.fromCharCode(...table.subarray(start, start + length));
+        } else {
+            continue;
+        }
+
+        if (!ranks.has(nameID) || rank < ranks.get(nameID)) {
+            ranks.set(nameID, rank);
+            names.set(nameID, value);
+        }
+    }
+
+    return names;
+}
+
+/**
+ * Read the variation axes and named instances of the fvar table
+ * @param {Uint8Array|undefined} table - fvar table data
+ * @param {Map<number, string>} names - Strings from readNameTable()
+ * @returns {{axes: Array<Object>, instances: Array<Object>}} Axes with tag,
+ *   name, min, default, max and hidden; instances with name, coordinates
+ *   ({ wght: 700, ... }) and postScriptName
+ */
+function readFvarTable(table, names = new Map()) {
+    const result = { axes: [], instances: [] };
+    if (!table || table.length < 16) {
+        return result;
+    }
+
+    const axesOffset = readUint16(table, 4);
+    const axisCount = readUint16(table, 8);
+    const axisSize = readUint16(table, 10);
+    const instanceCount = readUint16(table, 12);
+    const instanceSize = readUint16(table, 14);
+
+    for (let i = 0; i < axisCount; i++) {
+        const record = axesOffset + i * axisSize;
+        const tag = readTag(table, record);
+        result.axes.push({
+            tag,
+            name: names.get(readUint16(table, record + 18)) || tag,
+            min: readFixed(table, record + 4),
+            default: readFixed(table, record + 8),
+            max: readFixed(table, record + 12),
+            hidden: (readUint16(table, record + 16) & 0x0001) !== 0
+        });
+    }
+
+    const instancesOffset = axesOffset + axisCount * axisSize;
+    for (let i = 0; i < instanceCount; i++) {
+        const record = instancesOffset + i * instanceSize;
+        const coordinates = {};
+        result.axes.forEach((axis, j) => {
+            coordinates[axis.tag] = readFixed(table, record + 4 + j * 4);
+        });
+
+        // The PostScript name ID is optional and follows the coordinates
+        const postScriptNameOffset = record + 4 + axisCount * 4;
+        const postScriptNameID = instanceSize >= axisCount * 4 + 6 ? readUint16(table, postScriptNameOffset) : 0xFFFF;
+
+        result.instances.push({
+            name: names.get(readUint16(table, record)) || `Instance ${i + 1}`,
+            coordinates,
+            postScriptName: postScriptNameID !== 0xFFFF ? names.get(postScriptNameID) || null : null
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Readable names of registered OpenType features
+ */
+const FEATURE_NAMES = {
+    aalt: 'Access All Alternates', afrc: 'Alternative Fractions', c2pc: 'Petite Capitals From Capitals',
+    c2sc: 'Small Capitals From Capitals', calt: 'Contextual Alternates', case: 'Case-Sensitive Forms',
+    ccmp: 'Glyph Composition/Decomposition', clig: 'Contextual Ligatures', cpsp: 'Capital Spacing',
+    cswh: 'Contextual Swash', curs: 'Cursive Positioning', dist: 'Distances', dlig: 'Discretionary Ligatures',
+    dnom: 'Denominators', fina: 'Terminal Forms', frac: 'Fractions', fwid: 'Full Widths',
+    hist: 'Historical Forms', hlig: 'Historical Ligatures', hwid: 'Half Widths', init: 'Initial Forms',
+    isol: 'Isolated Forms', kern: 'Kerning', liga: 'Standard Ligatures', lnum: 'Lining Figures',
+    locl: 'Localized Forms', mark: 'Mark Positioning', medi: 'Medial Forms', mkmk: 'Mark to Mark Positioning',
+    nalt: 'Alternate Annotation Forms', numr: 'Numerators', onum: 'Oldstyle Figures', ordn: 'Ordinals',
+    ornm: 'Ornaments', palt: 'Proportional Alternate Widths', pcap: 'Petite Capitals', pnum: 'Proportional Figures',
+    pwid: 'Proportional Widths', rclt: 'Required Contextual Alternates', rlig: 'Required Ligatures',
+    salt: 'Stylistic Alternates', sinf: 'Scientific Inferiors', smcp: 'Small Capitals', subs: 'Subscript',
+    sups: 'Superscript', swsh: 'Swash', titl: 'Titling', tnum: 'Tabular Figures', unic: 'Unicase',
+    vert: 'Vertical Alternates', vkrn: 'Vertical Kerning', vrt2: 'Vertical Alternates and Rotation',
+    zero: 'Slashed Zero'
+};
+
+/**
+ * Features HarfBuzz applies without being asked, for horizontal text
+ */
+const DEFAULT_FEATURES = new Set([
+    'abvf', 'abvm', 'abvs', 'akhn', 'blwf', 'blwm', 'blws', 'calt', 'ccmp', 'cfar', 'cjct', 'clig', 'curs',
+    'dist', 'dnom', 'fin2', 'fin3', 'fina', 'half', 'haln', 'init', 'isol', 'kern', 'liga', 'ljmo', 'locl',
+    'ltra', 'ltrm', 'mark', 'med2', 'medi', 'mkmk', 'nukt', 'numr', 'pref', 'pres', 'pstf', 'psts', 'rclt',
+    'rkrf', 'rlig', 'rphf', 'rtla', 'rtlm', 'rvrn', 'stch', 'tjmo', 'vjmo'
+]);
+
+/**
+ * Follow an Extension lookup subtable (GSUB type 7, GPOS type 9) to the
+ * subtable it wraps
+ * @returns {{type: number, offset: number}} Real lookup type and subtable offset
+ */
+function resolveExtension(table, lookupType, subtableOffset, extensionType) {
+    if (lookupType !== extensionType) {
+        return { type: lookupType, offset: subtableOffset };
+    }
+    const offset = subtableOffset + ((table[subtableOffset + 4] << 24) | (table[subtableOffset + 5] << 16) |
+        (table[subtableOffset + 6] << 8) | table[subtableOffset + 7]);
+    return { type: readUint16(table, subtableOffset + 2), offset };
+}
+
+/**
+ * List the features of a GSUB or GPOS table
+ * Feature records repeated for several scripts and languages are merged.
+ * Stylistic sets (ssXX) and character variants (cvXX) get their names
+ * from the name table. maxValue is the largest alternate index a feature
+ * can select: the size of the biggest alternate set for Alternate
+ * Substitution lookups such as salt or cv01, otherwise 1.
+ * @param {Uint8Array|undefined} table - GSUB or GPOS table data
+ * @param {string} tableTag - 'GSUB' or 'GPOS'
+ * @param {Map<number, string>} names - Strings from readNameTable()
+ * @returns {Array<{tag: string, table: string, name: string, maxValue: number}>} Features in tag order
+ */
+function readLayoutFeatures(table, tableTag, names = new Map()) {
+    if (!table || table.length < 10) {
+        return [];
+    }
+
+    const featureListOffset = readUint16(table, 6);
+    const lookupListOffset = readUint16(table, 8);
+    const lookupCount = readUint16(table, lookupListOffset);
+    const extensionType = tableTag === 'GSUB' ? 7 : 9;
+
+    // Largest alternate set per lookup, for GSUB Alternate Substitution (type 3)
+    const lookupMaxValue = index => {
+        if (tableTag !== 'GSUB' || index >= lookupCount) {
+            return 1;
+        }
+        const lookupOffset = lookupListOffset + readUint16(table, lookupListOffset + 2 + index * 2);
+        const lookupType = readUint16(table, lookupOffset);
+        const subtableCount = readUint16(table, lookupOffset + 4);
+        let maxValue = 1;
+        for (let i = 0; i < subtableCount; i++) {
+            const subtable = resolveExtension(table, lookupType, lookupOffset + readUint16(table, lookupOffset + 6 + i * 2), extensionType);
+            if (subtable.type !== 3) continue;
+            const setCount = readUint16(table, subtable.offset + 4);
+            for (let j = 0; j < setCount; j++) {
+                const setOffset = subtable.offset + readUint16(table, subtable.offset + 6 + j * 2);
+                maxValue = Math.max(maxValue, readUint16(table, setOffset));
+            }
+        }
+        return maxValue;
+    };
+
+    const features = new Map();
+    const featureCount = readUint16(table, featureListOffset);
+    for (let i = 0; i < featureCount; i++) {
+        const record = featureListOffset + 2 + i * 6;
+        const tag = readTag(table, record);
+        const featureOffset = featureListOffset + readUint16(table, record + 4);
+        const paramsOffset = readUint16(table, featureOffset);
+        const lookupIndexCount = readUint16(table, featureOffset + 2);
+
+        const feature = features.get(tag) || { tag, table: tableTag, name: FEATURE_NAMES[tag] || tag, maxValue: 1 };
+        for (let j = 0; j < lookupIndexCount; j++) {
+            feature.maxValue = Math.max(feature.maxValue, lookupMaxValue(readUint16(table, featureOffset + 4 + j * 2)));
+        }
+
+        // ssXX params: version, UINameID; cvXX params: format, featUILabelNameID
+        if (paramsOffset && /^(ss\d\d|cv\d\d)$/.test(tag)) {
+            const nameID = readUint16(table, featureOffset + paramsOffset + 2);
+            if (names.has(nameID)) {
+                feature.name = names.get(nameID);
+            }
+        }
+        if (feature.name === tag && /^ss\d\d$/.test(tag)) {
+            feature.name = `Stylistic Set ${Number(tag.slice(2))}`;
+        } else if (feature.name === tag && /^cv\d\d$/.test(tag)) {
+            feature.name = `Character Variant ${Number(tag.slice(2))}`;
+        }
+
+        features.set(tag, feature);
+    }
+
+    return [...features.values()].sort((a, b) => (a.tag < b.tag ? -1 : a.tag > b.tag ? 1 : 0));
+}
+
+export {
+    readUint16,
+    readInt16,
+    readUint32,
+    readFixed,
+    readTag,
+    readTableDirectory,
+    readNameTable,
+    readFvarTable,
+    readLayoutFeatures,
+    DEFAULT_FEATURES
+};
@@ -0,0 +1,184 @@
+// G-code writer for laser engravers and pen plotters
+// Takes flattened contours in millimetres (y up), orders them into a
+// toolpath and writes G0/G1 moves between tool on/off commands. The same
+// plan gives a summary of cut and travel length and the job time, so a job
+// can be checked without a machine.
+
+import { formatNumber, pointInPolygon } from './path_geometry.js';
+
+// Command templates by mode; {power}, {feed}, {travel} and {pass} are filled in
+const GCODE_TEMPLATES = {
+    laser: {
+        header: 'G21 ; millimetres\nG90 ; absolute positions\nM5',
+        toolOn: 'M4 S{power}',
+        toolOff: 'M5',
+        footer: 'M5\nG0 X0 Y0'
+    },
+    pen: {
+        header: 'G21 ; millimetres\nG90 ; absolute positions\nG0 Z5',
+        toolOn: 'G1 Z0 F{feed}',
+        toolOff: 'G0 Z5',
+        footer: 'G0 Z5\nG0 X0 Y0'
+    }
+};
+
+/**
+ * Order contours into a toolpath
+ * Contours inside other contours (counters, the inside of a ring) are cut
+ * first, so a part is not freed before its holes are cut. Within each
+ * nesting depth the nearest contour is cut next, closed contours start at
+ * their vertex nearest to the tool, and open ones at their nearer end.
+ * @param {Array<{points: Array<Array<number>>, closed: boolean}>} contours - Contours in machine units
+ * @param {Array<number>} start - Tool position before the job (default: [0, 0])
+ * @returns {Array<{points: Array<Array<number>>, closed: boolean}>} Contours in cutting order, rotated or reversed
+ */
+function orderContours(contours, start = [0, 0]) {
+    const depths = contours.map((contour, i) => contours.reduce((depth, other, j) =>
+        depth + (j !== i && other.closed && other.points.length > 2 && pointInPolygon(contour.points[0], other.points) ? 1 : 0), 0));
+    const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+
+    const ordered = [];
+    let position = start;
+    [...new Set(depths)].sort((a, b) => b - a).forEach(depth => {
+        const remaining = contours.filter((_, i) => depths[i] === depth);
+        while (remaining.length > 0) {
+            let best = null;
+            remaining.forEach((contour, index) => {
+                const candidates = contour.closed ?
+                    contour.points.map((point, vertex) => ({ vertex, reverse: false, point })) :
+                    [{ vertex: 0, reverse: false, point: contour.points[0] },
+                        { vertex: 0, reverse: true, point: contour.points[contour.points.length - 1] }];
+                candidates.forEach(candidate => {
+                    const d = distance(position, candidate.point);
+                    if (!best || d < best.distance) {
+                        best = { ...candidate, index, distance: d };
+                    }
+                });
+            });
+
+            const [contour] = remaining.splice(best.index, 1);
+            let points = contour.closed ?
+                [...contour.points.slice(best.vertex), ...contour.points.slice(0, best.vertex)] :
+                contour.points;
+            if (best.reverse) {
+                points = [...points].reverse();
+            }
+            ordered.push({ points, closed: contour.closed });
+            position = contour.closed ? points[0] : points[points.length - 1];
+        }
+    });
+
+    return ordered;
+}
+
+/**
+ * Write G-code for contours
+ * @param {Array<{points: Array<Array<number>>, closed: boolean}>} contours - Contours in millimetres
+ * @param {Object} options - G-code options:
+ *   - mode: 'laser' or 'pen', selects the default templates (default: 'laser')
+ *   - feedRate: Cutting speed in mm/min (default: 1000)
+ *   - travelRate: Rapid speed in mm/min, for the time estimate (default: 3000)
+ *   - power: Laser power S value (default: 1000)
+ *   - passes: Times the whole toolpath is repeated (default: 1)
+ *   - header, toolOn, toolOff, footer: Command templates replacing the mode's
+ *   - order: Order contours with orderContours() (default: true)
+ *   - precision: Decimal places of coordinates (default: 3)
+ *   - dryRun: Only plan the job and return the summary (default: false)
+ * @returns {{gcode: string|null, summary: Object}} G-code and a summary with
+ *   contourCount, passes, cutLength and travelLength (mm, with the footer's
+ *   moves), estimatedTime (seconds) and bounds
+ */
+function createGCode(contours, options = {}) {
+    const {
+        mode = 'laser',
+        feedRate = 1000,
+        travelRate = 3000,
+        power = 1000,
+        passes = 1,
+        order = true,
+        precision = 3,
+        dryRun = false
+    } = options;
+    if (!GCODE_TEMPLATES[mode]) {
+        throw new Error(`Unknown G-code mode: ${mode}. Use ${Object.keys(GCODE_TEMPLATES).join(', ')}`);
+    }
+    if (!(feedRate > 0) || !(travelRate > 0)) {
+        throw new Error('feedRate and travelRate must be positive');
+    }
+    if (!Number.isInteger(passes) || passes < 1) {
+        throw new Error('passes must be a positive integer');
+    }
+    const templates = { ...GCODE_TEMPLATES[mode] };
+    ['header', 'toolOn', 'toolOff', 'footer'].forEach(key => {
+        if (options[key] !== undefined) templates[key] = options[key];
+    });
+
+    const toolpath = (order ? orderContours(contours) : contours).filter(contour => contour.points.length > 1);
+    const lines = [];
+    const fill = (template, pass) => template
+        .replace(/\{power\}/g, formatNumber(power, precision))
+        .replace(/\{feed\}/g, formatNumber(feedRate, precision))
+        .replace(/\{travel\}/g, formatNumber(travelRate, precision))
+        .replace(/\{pass\}/g, String(pass));
+    const emit = text => {
+        if (!dryRun && text) lines.push(...text.split('\n'));
+    };
+    const coordinates = ([x, y]) => `X${formatNumber(x, precision)} Y${formatNumber(y, precision)}`;
+
+    let cutLength = 0;
+    let travelLength = 0;
+    let position = [0, 0];
+    let xMin = Infinity, yMin = Infinity, xMax = -Infinity, yMax = -Infinity;
+
+    emit(fill(templates.header, 1));
+    for (let pass = 1; pass <= passes; pass++) {
+        if (passes > 1) emit(`; Pass ${pass} of ${passes}`);
+        toolpath.forEach(contour => {
+            const points = contour.closed ? [...contour.points, contour.points[0]] : contour.points;
+            travelLength += Math.hypot(points[0][0] - position[0], points[0][1] - position[1]);
+            emit(`G0 ${coordinates(points[0])}`);
+            emit(fill(templates.toolOn, pass));
+            points.forEach((point, i) => {
+                xMin = Math.min(xMin, point[0]);
+                xMax = Math.max(xMax, point[0]);
+                yMin = Math.min(yMin, point[1]);
+                yMax = Math.max(yMax, point[1]);
+                if (i === 0) return;
+                cutLength += Math.hypot(point[0] - points[i - 1][0], point[1] - points[i - 1][1]);
+                emit(`G1 ${coordinates(point)}${i === 1 ? ` F${formatNumber(feedRate, precision)}` : ''}`);
+            });
+            emit(fill(templates.toolOff, pass));
+            position = points[points.length - 1];
+        });
+    }
+    // The footer's moves, such as the default return to the origin, are
+    // travel too
+    const footer = fill(templates.footer, passes);
+    footer.split('\n').forEach(line => {
+        if (!/^G0?[01](?![0-9])/i.test(line.trim())) return;
+        const x = /X(-?[\d.]+)/i.exec(line), y = /Y(-?[\d.]+)/i.exec(line);
+        const target = [x ? Number(x[1]) : position[0], y ? Number(y[1]) : position[1]];
+        travelLength += Math.hypot(target[0] - position[0], target[1] - position[1]);
+        position = target;
+    });
+    emit(footer);
+
+    return {
+        gcode: dryRun ? null : lines.join('\n') + '\n',
+        summary: {
+            contourCount: toolpath.length,
+            passes,
+            cutLength,
+            travelLength,
+            estimatedTime: (cutLength / feedRate + travelLength / travelRate) * 60,
+            bounds: xMin === Infinity ? null : { xMin, yMin, xMax, yMax },
+            lineCount: dryRun ? null : lines.length
+        }
+    };
+}
+
+export {
+    createGCode,
+    orderContours,
+    GCODE_TEMPLATES
+};
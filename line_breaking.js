@@ -0,0 +1,282 @@
+// Unicode line breaking (UAX #14)
+
+import { getScript, lookupRange } from './unicode_scripts.js';
+
+/**
+ * Line_Break property ranges for punctuation, spaces and other characters
+ * whose class can't be derived from the general category, sorted by start
+ * code point. Everything else is classified in getLineBreakClass().
+ */
+const LINE_BREAK_RANGES = [
+    [0x0009, 0x0009, 'BA'], [0x000A, 0x000A, 'LF'], [0x000B, 0x000C, 'BK'],
+    [0x000D, 0x000D, 'CR'], [0x0020, 0x0020, 'SP'], [0x0021, 0x0021, 'EX'],
+    [0x0022, 0x0022, 'QU'], [0x0024, 0x0024, 'PR'], [0x0025, 0x0025, 'PO'],
+    [0x0027, 0x0027, 'QU'], [0x0028, 0x0028, 'OP'], [0x0029, 0x0029, 'CP'],
+    [0x002B, 0x002B, 'PR'], [0x002C, 0x002C, 'IS'], [0x002D, 0x002D, 'HY'],
+    [0x002E, 0x002E, 'IS'], [0x002F, 0x002F, 'SY'], [0x003A, 0x003B, 'IS'],
+    [0x003F, 0x003F, 'EX'], [0x005B, 0x005B, 'OP'], [0x005C, 0x005C, 'PR'],
+    [0x005D, 0x005D, 'CP'], [0x007B, 0x007B, 'OP'], [0x007C, 0x007C, 'BA'],
+    [0x007D, 0x007D, 'CL'], [0x0085, 0x0085, 'NL'], [0x00A0, 0x00A0, 'GL'],
+    [0x00A1, 0x00A1, 'OP'], [0x00A2, 0x00A2, 'PO'], [0x00A3, 0x00A5, 'PR'],
+    [0x00AB, 0x00AB, 'QU'], [0x00AD, 0x00AD, 'BA'], [0x00B0, 0x00B0, 'PO'],
+    [0x00B1, 0x00B1, 'PR'], [0x00B4, 0x00B4, 'BB'], [0x00BB, 0x00BB, 'QU'],
+    [0x00BF, 0x00BF, 'OP'], [0x02C8, 0x02C8, 'BB'], [0x02CC, 0x02CC, 'BB'],
+    [0x02DF, 0x02DF, 'BB'], [0x034F, 0x034F, 'GL'], [0x037E, 0x037E, 'IS'],
+    [0x0589, 0x0589, 'IS'], [0x058A, 0x058A, 'BA'], [0x058F, 0x058F, 'PR'],
+    [0x05BE, 0x05BE, 'BA'], [0x05C6, 0x05C6, 'EX'], [0x0609, 0x060B, 'PO'],
+    [0x060C, 0x060D, 'IS'], [0x061B, 0x061B, 'EX'], [0x061D, 0x061F, 'EX'],
+    [0x066A, 0x066A, 'PO'], [0x06D4, 0x06D4, 'EX'], [0x07F8, 0x07F8, 'IS'],
+    [0x07F9, 0x07F9, 'EX'], [0x0964, 0x0965, 'BA'], [0x0E3F, 0x0E3F, 'PR'],
+    [0x0F0B, 0x0F0B, 'BA'], [0x0F0C, 0x0F0C, 'GL'], [0x0F0D, 0x0F11, 'EX'],
+    [0x0F12, 0x0F12, 'GL'], [0x0F14, 0x0F14, 'EX'], [0x1361, 0x1361, 'BA'],
+    [0x1680, 0x1680, 'BA'], [0x17D6, 0x17D6, 'NS'], [0x17D8, 0x17D8, 'BA'],
+    [0x17DA, 0x17DA, 'BA'], [0x17DB, 0x17DB, 'PR'], [0x1806, 0x1806, 'BB'],
+    [0x180E, 0x180E, 'GL'], [0x1FFD, 0x1FFD, 'BB'], [0x2000, 0x2006, 'BA'],
+    [0x2007, 0x2007, 'GL'], [0x2008, 0x200A, 'BA'], [0x200B, 0x200B, 'ZW'],
+    [0x200C, 0x200C, 'CM'], [0x200D, 0x200D, 'ZWJ'], [0x2010, 0x2010, 'BA'],
+    [0x2011, 0x2011, 'GL'], [0x2012, 0x2013, 'BA'], [0x2014, 0x2014, 'B2'],
+    [0x2018, 0x2019, 'QU'], [0x201A, 0x201A, 'OP'], [0x201B, 0x201D, 'QU'],
+    [0x201E, 0x201E, 'OP'], [0x201F, 0x201F, 'QU'], [0x2024, 0x2026, 'IN'],
+    [0x2027, 0x2027, 'BA'], [0x2028, 0x2029, 'BK'], [0x202F, 0x202F, 'GL'],
+    [0x2030, 0x2037, 'PO'], [0x2039, 0x203A, 'QU'], [0x203C, 0x203D, 'NS'],
+    [0x2044, 0x2044, 'IS'], [0x2047, 0x2049, 'NS'], [0x205F, 0x205F, 'BA'],
+    [0x2060, 0x2060, 'WJ'], [0x20A0, 0x20A6, 'PR'], [0x20A7, 0x20A7, 'PO'],
+    [0x20A8, 0x20B5, 'PR'], [0x20B6, 0x20B6, 'PO'], [0x20B7, 0x20BA, 'PR'],
+    [0x20BB, 0x20BB, 'PO'], [0x20BC, 0x20BD, 'PR'], [0x20BE, 0x20BE, 'PO'],
+    [0x20BF, 0x20C0, 'PR'], [0x2103, 0x2103, 'PO'], [0x2109, 0x2109, 'PO'],
+    [0x2116, 0x2116, 'PR'], [0x2212, 0x2213, 'PR'], [0x22EF, 0x22EF, 'IN'],
+    [0x3000, 0x3000, 'BA'], [0x3001, 0x3002, 'CL'], [0x3005, 0x3005, 'NS'],
+    [0x301C, 0x301C, 'NS'], [0x303B, 0x303C, 'NS'], [0x3041, 0x3041, 'NS'],
+    [0x3043, 0x3043, 'NS'], [0x3045, 0x3045, 'NS'], [0x3047, 0x3047, 'NS'],
+    [0x3049, 0x3049, 'NS'], [0x3063, 0x3063, 'NS'], [0x3083, 0x3083, 'NS'],
+    [0x3085, 0x3085, 'NS'], [0x3087, 0x3087, 'NS'], [0x308E, 0x308E, 'NS'],
+    [0x3095, 0x3096, 'NS'], [0x309B, 0x309E, 'NS'], [0x30A0, 0x30A1, 'NS'],
+    [0x30A3, 0x30A3, 'NS'], [0x30A5, 0x30A5, 'NS'], [0x30A7, 0x30A7, 'NS'],
+    [0x30A9, 0x30A9, 'NS'], [0x30C3, 0x30C3, 'NS'], [0x30E3, 0x30E3, 'NS'],
+    [0x30E5, 0x30E5, 'NS'], [0x30E7, 0x30E7, 'NS'], [0x30EE, 0x30EE, 'NS'],
+    [0x30F5, 0x30F6, 'NS'], [0x30FB, 0x30FC, 'NS'], [0x30FD, 0x30FE, 'NS'],
+    [0x31F0, 0x31FF, 'NS'], [0xFE10, 0xFE10, 'IS'], [0xFE11, 0xFE12, 'CL'],
+    [0xFE13, 0xFE14, 'IS'], [0xFE15, 0xFE16, 'EX'], [0xFE19, 0xFE19, 'IN'],
+    [0xFE50, 0xFE50, 'CL'], [0xFE52, 0xFE52, 'CL'], [0xFE54, 0xFE55, 'NS'],
+    [0xFE56, 0xFE57, 'EX'], [0xFE69, 0xFE69, 'PR'], [0xFE6A, 0xFE6A, 'PO'],
+    [0xFEFF, 0xFEFF, 'WJ'], [0xFF01, 0xFF01, 'EX'], [0xFF04, 0xFF04, 'PR'],
+    [0xFF05, 0xFF05, 'PO'], [0xFF0C, 0xFF0C, 'CL'], [0xFF0E, 0xFF0E, 'CL'],
+    [0xFF1A, 0xFF1B, 'NS'], [0xFF1F, 0xFF1F, 'EX'], [0xFF61, 0xFF61, 'CL'],
+    [0xFF64, 0xFF64, 'CL'], [0xFF65, 0xFF65, 'NS'], [0xFF67, 0xFF70, 'NS'],
+    [0xFF9E, 0xFF9F, 'NS'], [0xFFE0, 0xFFE0, 'PO'], [0xFFE1, 0xFFE1, 'PR'],
+    [0xFFE5, 0xFFE6, 'PR'], [0xFFFC, 0xFFFC, 'CB'], [0x1F1E6, 0x1F1FF, 'RI'],
+    [0x1F3FB, 0x1F3FF, 'EM']
+];
+
+// Scripts that break between ideographs. Scripts written without spaces,
+// such as Thai (SA), need a dictionary to find word breaks; there is none
+// here, so their letters resolve to AL and only break at spaces and
+// punctuation.
+const IDEOGRAPHIC_SCRIPTS = new Set(['Hani', 'Hira', 'Kana', 'Bopo', 'Yiii']);
+
+const MANDATORY_BREAK_CLASSES = new Set(['BK', 'CR', 'LF', 'NL']);
+
+/**
+ * Get the resolved Line_Break class of a code point (after rule LB1)
+ * AI, SG and XX resolve to AL, SA to AL or CM, and CJ to NS.
+ * @param {number} codePoint - Unicode code point
+ * @returns {string} Two or three letter class such as 'AL', 'SP' or 'ZWJ'
+ */
+function getLineBreakClass(codePoint) {
+    const listed = lookupRange(LINE_BREAK_RANGES, codePoint);
+    if (listed) {
+        return listed;
+    }
+
+    const char = String.fromCodePoint(codePoint);
+    if (/\p{M}|\p{Cc}/u.test(char)) {
+        return 'CM';
+    }
+    if (/\p{Nd}/u.test(char)) {
+        return codePoint >= 0xFF10 && codePoint <= 0xFF19 ? 'ID' : 'NU';
+    }
+    if (/\p{Ps}/u.test(char)) {
+        return 'OP';
+    }
+    if (/\p{Pe}/u.test(char)) {
+        return 'CL';
+    }
+    if (/\p{Pi}|\p{Pf}/u.test(char)) {
+        return 'QU';
+    }
+    if (codePoint >= 0xAC00 && codePoint <= 0xD7A3) {
+        return (codePoint - 0xAC00) % 28 === 0 ? 'H2' : 'H3';
+    }
+    if ((codePoint >= 0x1100 && codePoint <= 0x115F) || (codePoint >= 0xA960 && codePoint <= 0xA97C)) {
+        return 'JL';
+    }
+    if ((codePoint >= 0x1160 && codePoint <= 0x11A7) || (codePoint >= 0xD7B0 && codePoint <= 0xD7C6)) {
+        return 'JV';
+    }
+    if ((codePoint >= 0x11A8 && codePoint <= 0x11FF) || (codePoint >= 0xD7CB && codePoint <= 0xD7FB)) {
+        return 'JT';
+    }
+    if ((codePoint >= 0x3000 && codePoint <= 0x303F) || (codePoint >= 0xFF01 && codePoint <= 0xFF60) ||
+        (codePoint >= 0xFFE0 && codePoint <= 0xFFE6) || /\p{Extended_Pictographic}/u.test(char)) {
+        return 'ID';
+    }
+
+    const script = getScript(codePoint);
+    if (IDEOGRAPHIC_SCRIPTS.has(script)) {
+        return 'ID';
+    }
+    if (script === 'Hebr' && /\p{L}/u.test(char)) {
+        return 'HL';
+    }
+    return 'AL';
+}
+
+/**
+ * Find the line break opportunities in text (UAX #14 rules LB2-LB31)
+ * Combining marks and ZWJ take the class of the character they follow
+ * (LB9), spaces hang at the end of the line (LB7, LB18), and the end of the
+ * text is always a mandatory break.
+ * @param {string} text - Text to analyze
+ * @returns {Array<{position: number, required: boolean}>} Breaks in text order;
+ *   position is the UTF-16 index of the first code unit after the break
+ */
+function findLineBreaks(text) {
+    const chars = [];
+    for (let i = 0; i < text.length; ) {
+        const codePoint = text.codePointAt(i);
+        chars.push({ index: i, codePoint, original: getLineBreakClass(codePoint) });
+        i += codePoint > 0xFFFF ? 2 : 1;
+    }
+
+    // LB9 and LB10: attached marks take their base's class, lone marks are AL
+    chars.forEach((char, i) => {
+        char.cls = char.original;
+        if (char.original === 'CM' || char.original === 'ZWJ') {
+            const base = i > 0 ? chars[i - 1] : null;
+            const attaches = base && !MANDATORY_BREAK_CLASSES.has(base.original) &&
+                base.original !== 'SP' && base.original !== 'ZW';
+            char.cls = attaches ? base.cls : 'AL';
+        }
+    });
+
+    // Class of the last non-space character before index i
+    const beforeSpaces = i => {
+        let j = i - 1;
+        while (j >= 0 && chars[j].cls === 'SP') {
+            j--;
+        }
+        return j >= 0 ? chars[j].cls : null;
+    };
+
+    const breaks = [];
+    let regionalIndicators = 0;
+
+    for (let i = 1; i < chars.length; i++) {
+        const previous = chars[i - 1];
+        const current = chars[i];
+        const before = previous.cls;
+        const after = current.cls;
+        regionalIndicators = before === 'RI' ? regionalIndicators + 1 : 0;
+
+        let result = null; // 'required', 'allowed' or 'prohibited'
+
+        if (previous.original === 'BK') {
+            result = 'required'; // LB4
+        } else if (previous.original === 'CR' && current.original === 'LF') {
+            result = 'prohibited'; // LB5
+        } else if (MANDATORY_BREAK_CLASSES.has(previous.original)) {
+            result = 'required'; // LB5
+        } else if (MANDATORY_BREAK_CLASSES.has(current.original) ||
+            current.original === 'SP' || current.original === 'ZW') {
+            result = 'prohibited'; // LB6, LB7
+        } else if (beforeSpaces(i) === 'ZW' && previous.original !== 'CM' && previous.original !== 'ZWJ') {
+            result = 'allowed'; // LB8
+        } else if (previous.original === 'ZWJ' || current.original === 'CM' || current.original === 'ZWJ') {
+            result = 'prohibited'; // LB8a, LB9
+        } else if (before === 'WJ' || after === 'WJ' || before === 'GL') {
+            result = 'prohibited'; // LB11, LB12
+        } else if (after === 'GL' && before !== 'SP' && before !== 'BA' && before !== 'HY') {
+            result = 'prohibited'; // LB12a
+        } else if (['CL', 'CP', 'EX', 'IS', 'SY'].includes(after)) {
+            result = 'prohibited'; // LB13
+        } else if (beforeSpaces(i) === 'OP') {
+            result = 'prohibited'; // LB14
+        } else if (after === 'OP' && beforeSpaces(i) === 'QU') {
+            result = 'prohibited'; // LB15
+        } else if (after === 'NS' && ['CL', 'CP'].includes(beforeSpaces(i))) {
+            result = 'prohibited'; // LB16
+        } else if (after === 'B2' && beforeSpaces(i) === 'B2') {
+            result = 'prohibited'; // LB17
+        } else if (before === 'SP') {
+            result = 'allowed'; // LB18
+        } else if (before === 'QU' || after === 'QU') {
+            result = 'prohibited'; // LB19
+        } else if (before === 'CB' || after === 'CB') {
+            result = 'allowed'; // LB20
+        } else if (['BA', 'HY', 'NS'].includes(after) || before === 'BB') {
+            result = 'prohibited'; // LB21
+        } else if ((before === 'HY' || before === 'BA') && i >= 2 && chars[i - 2].cls === 'HL') {
+            result = 'prohibited'; // LB21a
+        } else if (before === 'SY' && after === 'HL') {
+            result = 'prohibited'; // LB21b
+        } else if (after === 'IN') {
+            result = 'prohibited'; // LB22
+        } else if (isBreakProhibitedBetween(before, after, current.codePoint, regionalIndicators)) {
+            result = 'prohibited'; // LB23-LB30b
+        } else {
+            result = 'allowed'; // LB31
+        }
+
+        if (result !== 'prohibited') {
+            breaks.push({ position: current.index, required: result === 'required' });
+        }
+    }
+
+    // LB3: always break at the end of text
+    if (text.length > 0) {
+        breaks.push({ position: text.length, required: true });
+    }
+
+    return breaks;
+}
+
+/**
+ * Pair rules LB23 to LB30b for letters, numbers, Hangul and emoji
+ */
+function isBreakProhibitedBetween(before, after, afterCodePoint, regionalIndicators) {
+    const letter = cls => cls === 'AL' || cls === 'HL';
+    const hangul = cls => ['JL', 'JV', 'JT', 'H2', 'H3'].includes(cls);
+
+    // LB23, LB23a, LB24: letters, numbers, prefixes and postfixes
+    if ((letter(before) && after === 'NU') || (before === 'NU' && letter(after))) return true;
+    if ((before === 'PR' && (after === 'ID' || after === 'EM')) || (before === 'ID' && after === 'PO')) return true;
+    if (((before === 'PR' || before === 'PO') && letter(after)) || (letter(before) && (after === 'PR' || after === 'PO'))) return true;
+
+    // LB25: numeric expressions such as "$(12.50)" or "-1,000%"
+    if (['CL', 'CP', 'NU'].includes(before) && (after === 'PO' || after === 'PR')) return true;
+    if ((before === 'PO' || before === 'PR') && (after === 'OP' || after === 'NU')) return true;
+    if (['HY', 'IS', 'NU', 'SY'].includes(before) && after === 'NU') return true;
+
+    // LB26, LB27: Korean syllable blocks
+    if (before === 'JL' && ['JL', 'JV', 'H2', 'H3'].includes(after)) return true;
+    if ((before === 'JV' || before === 'H2') && (after === 'JV' || after === 'JT')) return true;
+    if ((before === 'JT' || before === 'H3') && after === 'JT') return true;
+    if ((hangul(before) && after === 'PO') || (before === 'PR' && hangul(after))) return true;
+
+    // LB28, LB29, LB30: words, and brackets other than East Asian wide ones
+    if (letter(before) && letter(after)) return true;
+    if (before === 'IS' && letter(after)) return true;
+    if ((letter(before) || before === 'NU') && after === 'OP' && afterCodePoint < 0x2E80) return true;
+    if (before === 'CP' && (letter(after) || after === 'NU')) return true;
+
+    // LB30a: regional indicators pair up into flags
+    if (before === 'RI' && after === 'RI' && regionalIndicators % 2 === 1) return true;
+
+    // LB30b: emoji modifiers stay with their base
+    return before === 'ID' && after === 'EM';
+}
+
+export {
+    getLineBreakClass,
+    findLineBreaks
+};
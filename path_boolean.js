@@ -0,0 +1,388 @@
+// Boolean union of filled outlines, without a canvas or DOM
+// Curves are flattened to straight edges within a tolerance, the edges are
+// split where they cross, and only edges that separate filled from empty
+// space are kept. Kept edges remember the curve and parameter range they
+// came from, so curves are written back as curves.
+
+import { bezierPoint, splitBezier, bezierSegmentCount } from './path_geometry.js';
+
+const FILL_RULES = ['nonzero', 'evenodd', 'positive'];
+
+/**
+ * Split path commands into closed contours of curves
+ * @returns {Array<Array<{points: Array<number>}>>} Contours; each curve has
+ *   control points [x0, y0, ..., xn, yn] of a line, quadratic or cubic
+ */
+function pathToContours(commands) {
+    const contours = [];
+    let contour = null;
+    let startX = 0, startY = 0, currentX = 0, currentY = 0;
+
+    const close = () => {
+        if (contour && (currentX !== startX || currentY !== startY)) {
+            contour.push({ points: [currentX, currentY, startX, startY] });
+        }
+        if (contour && contour.length > 0) {
+            contours.push(contour);
+        }
+        contour = null;
+        currentX = startX;
+        currentY = startY;
+    };
+
+    commands.forEach(command => {
+        const v = command.values;
+        if (command.type === 'M') {
+            close();
+            contour = [];
+            startX = currentX = v[0];
+            startY = currentY = v[1];
+        } else if (command.type === 'Z') {
+            close();
+        } else if (v.length >= 2) {
+            if (!contour) {
+                contour = [];
+                startX = currentX;
+                startY = currentY;
+            }
+            contour.push({ points: [currentX, currentY, ...v] });
+            currentX = v[v.length - 2];
+            currentY = v[v.length - 1];
+        }
+    });
+    close();
+
+    return contours;
+}
+
+/**
+ * Where segments p1-p2 and p3-p4 meet, as parameters along each
+ * Collinear overlaps report the endpoints of one segment that lie inside
+ * the other.
+ * @returns {Array<[number, number]>} Pairs of [s along p1-p2, u along p3-p4]
+ */
+function segmentIntersections(p1, p2, p3, p4) {
+    const dx1 = p2[0] - p1[0], dy1 = p2[1] - p1[1];
+    const dx2 = p4[0] - p3[0], dy2 = p4[1] - p3[1];
+    const denominator = dx1 * dy2 - dy1 * dx2;
+    const ex = p3[0] - p1[0], ey = p3[1] - p1[1];
+
+    if (denominator !== 0) {
+        const s = (ex * dy2 - ey * dx2) / denominator;
+        const u = (ex * dy1 - ey * dx1) / denominator;
+        return s >= 0 && s <= 1 && u >= 0 && u <= 1 ? [[s, u]] : [];
+    }
+    if (ex * dy1 - ey * dx1 !== 0) {
+        return []; // Parallel
+    }
+
+    // Collinear: project the endpoints of each segment onto the other
+    const length1 = dx1 * dx1 + dy1 * dy1;
+    const length2 = dx2 * dx2 + dy2 * dy2;
+    const along1 = point => ((point[0] - p1[0]) * dx1 + (point[1] - p1[1]) * dy1) / length1;
+    const along2 = point => ((point[0] - p3[0]) * dx2 + (point[1] - p3[1]) * dy2) / length2;
+    const result = [];
+    [p3, p4].forEach((point, i) => {
+        const s = along1(point);
+        if (s > 0 && s < 1) result.push([s, i]);
+    });
+    [p1, p2].forEach((point, i) => {
+        const u = along2(point);
+        if (u > 0 && u < 1) result.push([i, u]);
+    });
+    return result;
+}
+
+/**
+ * Remove the overlaps of a filled outline
+ * Overlapping contours of one glyph (or of several glyphs passed together)
+ * become non-overlapping contours with consistent winding: outer contours
+ * run one way and holes the other, so the result fills the same area with
+ * either fill rule. Coordinates are snapped to a grid of about tolerance / 64.
+ * @param {Array<Object>} commands - Path commands (M, L, Q, C, Z)
+ * @param {Object} options - tolerance (maximum distance between a curve and
+ *   the edges used to intersect it, default 0.01) and fillRule of the input
+ *   ('nonzero', 'evenodd' or 'positive', default 'nonzero'). 'positive'
+ *   fills where contours with the filled side on their left (counter-
+ *   clockwise with y up) outnumber the others, so reversed contours cut
+ *   holes out of the ones they overlap.
+ * @returns {Array<Object>} Path commands of the union
+ */
+function unionPath(commands, options = {}) {
+    const { tolerance = 0.01, fillRule = 'nonzero' } = options;
+    if (!(tolerance > 0)) {
+        throw new Error('tolerance must be a positive number');
+    }
+    if (!FILL_RULES.includes(fillRule)) {
+        throw new Error(`Unknown fill rule: ${fillRule}. Use ${FILL_RULES.join(', ')}`);
+    }
+    // A power of two keeps integer and binary fraction coordinates exact
+    const grid = 2 ** Math.floor(Math.log2(tolerance / 64));
+
+    // 1. Flatten curves into edges between snapped vertices. Each edge keeps
+    // the parameter range of its curve.
+    const vertices = [];
+    const vertexIds = new Map();
+    const vertexAt = (x, y) => {
+        const gx = Math.round(x / grid);
+        const gy = Math.round(y / grid);
+        const key = `${gx},${gy}`;
+        if (!vertexIds.has(key)) {
+            vertexIds.set(key, vertices.length);
+            vertices.push([gx, gy]);
+        }
+        return vertexIds.get(key);
+    };
+
+    const curves = [];
+    let edges = [];
+    pathToContours(commands).forEach(contour => {
+        contour.forEach(({ points }) => {
+            const curve = curves.length;
+            curves.push(points);
+            const steps = bezierSegmentCount(points, tolerance);
+            let previous = vertexAt(points[0], points[1]);
+            for (let i = 1; i <= steps; i++) {
+                const t = i / steps;
+                const [x, y] = i === steps ? points.slice(-2) : bezierPoint(points, t);
+                const next = vertexAt(x, y);
+                if (next !== previous) {
+                    edges.push({ a: previous, b: next, curve, t0: (i - 1) / steps, t1: t });
+                }
+                previous = next;
+            }
+        });
+    });
+
+    // Edges that collapsed onto one vertex leave a gap in t; close it so
+    // the pieces of a curve still join up
+    for (let i = 1; i < edges.length; i++) {
+        if (edges[i].curve === edges[i - 1].curve && edges[i].a === edges[i - 1].b) {
+            edges[i].t0 = edges[i - 1].t1;
+        }
+    }
+
+    // 2. Split edges where they cross or touch, sweeping in x
+    const splits = edges.map(() => []);
+    const order = edges.map((_, i) => i).sort((i, j) =>
+        Math.min(vertices[edges[i].a][0], vertices[edges[i].b][0]) - Math.min(vertices[edges[j].a][0], vertices[edges[j].b][0]));
+    const active = [];
+    order.forEach(i => {
+        const p1 = vertices[edges[i].a], p2 = vertices[edges[i].b];
+        const xMin = Math.min(p1[0], p2[0]);
+        const yMin = Math.min(p1[1], p2[1]), yMax = Math.max(p1[1], p2[1]);
+        for (let k = active.length - 1; k >= 0; k--) {
+            const j = active[k];
+            const p3 = vertices[edges[j].a], p4 = vertices[edges[j].b];
+            if (Math.max(p3[0], p4[0]) < xMin) {
+                active.splice(k, 1);
+                continue;
+            }
+            if (Math.max(p3[1], p4[1]) < yMin || Math.min(p3[1], p4[1]) > yMax) continue;
+            segmentIntersections(p1, p2, p3, p4).forEach(([s, u]) => {
+                const vertex = vertexAt((p1[0] + (p2[0] - p1[0]) * s) * grid, (p1[1] + (p2[1] - p1[1]) * s) * grid);
+                splits[i].push([s, vertex]);
+                splits[j].push([u, vertex]);
+            });
+        }
+        active.push(i);
+    });
+
+    edges = edges.flatMap((edge, i) => {
+        const pieces = [];
+        let from = edge.a, fromS = 0;
+        splits[i].sort((p, q) => p[0] - q[0]).concat([[1, edge.b]]).forEach(([s, vertex]) => {
+            if (vertex === from) return;
+            pieces.push({
+                a: from,
+                b: vertex,
+                curve: edge.curve,
+                t0: edge.t0 + (edge.t1 - edge.t0) * fromS,
+                t1: s === 1 ? edge.t1 : edge.t0 + (edge.t1 - edge.t0) * s
+            });
+            from = vertex;
+            fromS = s;
+        });
+        return pieces;
+    });
+
+    // 3. Merge edges that run between the same vertices; multiplicity counts
+    // how much the winding number changes across them
+    const groups = new Map();
+    edges.forEach(edge => {
+        const forward = edge.a < edge.b;
+        const key = forward ? `${edge.a},${edge.b}` : `${edge.b},${edge.a}`;
+        if (!groups.has(key)) {
+            groups.set(key, { a: forward ? edge.a : edge.b, b: forward ? edge.b : edge.a, multiplicity: 0, edges: [] });
+        }
+        const group = groups.get(key);
+        group.multiplicity += forward ? 1 : -1;
+        group.edges.push(edge);
+    });
+    const boundaries = [...groups.values()].filter(group => group.multiplicity !== 0);
+
+    // 4. Winding numbers on both sides of each edge, by casting a ray from
+    // its midpoint across the other edges. Bands along each axis limit the
+    // edges a ray has to be tested against.
+    const bandCount = Math.max(1, Math.round(Math.sqrt(boundaries.length)));
+    const makeBands = axis => {
+        let lo = Infinity, hi = -Infinity;
+        vertices.forEach(vertex => {
+            lo = Math.min(lo, vertex[axis]);
+            hi = Math.max(hi, vertex[axis]);
+        });
+        const size = (hi - lo) / bandCount || 1;
+        const band = value => Math.min(bandCount - 1, Math.max(0, Math.floor((value - lo) / size)));
+        const bands = Array.from({ length: bandCount }, () => []);
+        boundaries.forEach(group => {
+            const v1 = vertices[group.a][axis], v2 = vertices[group.b][axis];
+            for (let k = band(Math.min(v1, v2)); k <= band(Math.max(v1, v2)); k++) {
+                bands[k].push(group);
+            }
+        });
+        return { bands, band };
+    };
+    const bandsByAxis = [makeBands(0), makeBands(1)];
+
+    // Ray from point towards +x (axis 1 holds the crossed coordinate) or +y
+    // (axis 0); edges crossing it upwards add their multiplicity
+    const windingAlongRay = (point, axis, exclude) => {
+        const along = 1 - axis;
+        const { bands, band } = bandsByAxis[axis];
+        let winding = 0;
+        bands[band(point[axis])].forEach(group => {
+            if (group === exclude) return;
+            const u = vertices[group.a], v = vertices[group.b];
+            const crossesUp = u[axis] <= point[axis] && point[axis] < v[axis];
+            const crossesDown = v[axis] <= point[axis] && point[axis] < u[axis];
+            if (!crossesUp && !crossesDown) return;
+            const position = u[along] + (point[axis] - u[axis]) * (v[along] - u[along]) / (v[axis] - u[axis]);
+            if (position > point[along]) {
+                winding += crossesUp ? group.multiplicity : -group.multiplicity;
+            }
+        });
+        // Swapping the axes mirrors the plane, which flips the sign
+        return axis === 1 ? winding : -winding;
+    };
+    const isFilled = winding => {
+        if (fillRule === 'positive') return winding > 0;
+        return fillRule === 'nonzero' ? winding !== 0 : winding % 2 !== 0;
+    };
+
+    const kept = [];
+    boundaries.forEach(group => {
+        const a = vertices[group.a], b = vertices[group.b];
+        const dx = b[0] - a[0], dy = b[1] - a[1];
+        const midpoint = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+        const axis = Math.abs(dy) >= Math.abs(dx) ? 1 : 0;
+        const winding = windingAlongRay(midpoint, axis, group);
+
+        // The ray leaves on the left of a -> b when the cross product of
+        // the edge and the ray direction is positive
+        const rayOnLeft = axis === 1 ? -dy > 0 : dx > 0;
+        const left = rayOnLeft ? winding : winding + group.multiplicity;
+        const right = rayOnLeft ? winding - group.multiplicity : winding;
+        if (isFilled(left) === isFilled(right)) return;
+
+        // Keep the filled side on the left; reversed edges run the curve backwards
+        const edge = group.edges[0];
+        const sameDirection = edge.a === group.a;
+        const forward = isFilled(left);
+        kept.push({
+            a: forward ? group.a : group.b,
+            b: forward ? group.b : group.a,
+            curve: edge.curve,
+            t0: forward === sameDirection ? edge.t0 : edge.t1,
+            t1: forward === sameDirection ? edge.t1 : edge.t0
+        });
+    });
+
+    // 5. Link kept edges into loops. Where several loops meet at a vertex,
+    // take the sharpest left turn so each loop hugs its own filled area.
+    const outgoing = new Map();
+    kept.forEach(edge => {
+        if (!outgoing.has(edge.a)) outgoing.set(edge.a, []);
+        outgoing.get(edge.a).push(edge);
+    });
+    const used = new Set();
+    const loops = [];
+    kept.forEach(first => {
+        if (used.has(first)) return;
+        const loop = [first];
+        used.add(first);
+        let current = first;
+        while (current.b !== first.a) {
+            const a = vertices[current.a], b = vertices[current.b];
+            const inAngle = Math.atan2(b[1] - a[1], b[0] - a[0]);
+            let best = null, bestTurn = -Infinity;
+            (outgoing.get(current.b) || []).forEach(candidate => {
+                if (used.has(candidate)) return;
+                const c = vertices[candidate.b];
+                let turn = Math.atan2(c[1] - b[1], c[0] - b[0]) - inAngle;
+                turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+                if (turn > bestTurn) {
+                    best = candidate;
+                    bestTurn = turn;
+                }
+            });
+            if (!best) break; // Left open by snapping; closing it is the best guess
+            used.add(best);
+            loop.push(best);
+            current = best;
+        }
+        loops.push(loop);
+    });
+
+    // 6. Write each loop back, joining consecutive pieces of one curve
+    const result = [];
+    const point = id => [vertices[id][0] * grid, vertices[id][1] * grid];
+    const continues = (previous, next) => previous.curve === next.curve && previous.t1 === next.t0;
+    const collinearLines = (previous, next) => {
+        if (curves[previous.curve].length !== 4 || curves[next.curve].length !== 4) return false;
+        const [x1, y1] = vertices[previous.a], [x2, y2] = vertices[previous.b], [x3, y3] = vertices[next.b];
+        return (x2 - x1) * (y3 - y2) - (y2 - y1) * (x3 - x2) === 0 && (x2 - x1) * (x3 - x2) + (y2 - y1) * (y3 - y2) > 0;
+    };
+    const joins = (previous, next) => continues(previous, next) || collinearLines(previous, next);
+    loops.forEach(loop => {
+        let area = 0;
+        loop.forEach(edge => {
+            const [x1, y1] = vertices[edge.a];
+            const [x2, y2] = vertices[edge.b];
+            area += x1 * y2 - x2 * y1;
+        });
+        if (Math.abs(area / 2) * grid * grid < tolerance * tolerance) {
+            return; // Sliver left by snapping
+        }
+
+        // Start at the beginning of a curve piece
+        const start = loop.findIndex((edge, i) => !joins(loop[(i + loop.length - 1) % loop.length], edge));
+        const ordered = start > 0 ? [...loop.slice(start), ...loop.slice(0, start)] : loop;
+
+        result.push({ type: 'M', values: point(ordered[0].a) });
+        for (let i = 0; i < ordered.length; ) {
+            let j = i;
+            while (j + 1 < ordered.length && joins(ordered[j], ordered[j + 1])) {
+                j++;
+            }
+            const points = curves[ordered[i].curve];
+            const end = point(ordered[j].b);
+            if (points.length === 4) {
+                if (j + 1 < ordered.length) {
+                    result.push({ type: 'L', values: end }); // Z draws the last line
+                }
+            } else {
+                // Control points of the piece, with its ends on the snapped vertices
+                const piece = splitBezier(points, ordered[i].t0, ordered[j].t1);
+                result.push({ type: points.length === 6 ? 'Q' : 'C', values: [...piece.slice(2, -2), ...end] });
+            }
+            i = j + 1;
+        }
+        result.push({ type: 'Z', values: [] });
+    });
+
+    return result;
+}
+
+export {
+    unionPath
+};
@@ -0,0 +1,683 @@
+// Path geometry helpers for glyph outlines
+// Paths use the same command format as hbjs glyphToJson():
+// [{ type: 'M' | 'L' | 'Q' | 'C' | 'Z', values: [x, y, ...] }] with absolute coordinates.
+
+/**
+ * Parse SVG path data with absolute M/L/Q/C/Z commands (as produced by
+ * hbjs glyphToPath) into path commands
+ * @param {string} pathData - SVG path data
+ * @returns {Array<{type: string, values: Array<number>}>} Path commands
+ */
+function parsePathData(pathData) {
+    const commands = [];
+    const pattern = /([MLQCZ])([^MLQCZ]*)/gi;
+    let match;
+
+    while ((match = pattern.exec(pathData)) !== null) {
+        const values = match[2].trim().split(/[\s,]+/).filter(value => value.length).map(Number);
+        commands.push({ type: match[1].toUpperCase(), values });
+    }
+
+    return commands;
+}
+
+// Number of values taken by each SVG path command
+const PATH_ARGUMENT_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+/**
+ * Convert an elliptical arc to cubic beziers (SVG implementation notes,
+ * F.6.5), one per quarter turn or less
+ * @returns {Array<Array<number>>} C command values [c1x, c1y, c2x, c2y, x, y]
+ */
+function arcToCubics(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+    if (x1 === x2 && y1 === y2) {
+        return [];
+    }
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0) {
+        return [[x1, y1, x2, y2, x2, y2]];
+    }
+
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const x1p = cos * (x1 - x2) / 2 + sin * (y1 - y2) / 2;
+    const y1p = -sin * (x1 - x2) / 2 + cos * (y1 - y2) / 2;
+
+    // Radii too small to reach the end point are scaled up
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    const coefficient = (largeArc !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, numerator / denominator));
+    const cxp = coefficient * rx * y1p / ry;
+    const cyp = -coefficient * ry * x1p / rx;
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && delta > 0) {
+        delta -= 2 * Math.PI;
+    } else if (sweep && delta < 0) {
+        delta += 2 * Math.PI;
+    }
+
+    // Points on the unit circle mapped onto the ellipse
+    const map = (ux, uy) => [cx + rx * cos * ux - ry * sin * uy, cy + rx * sin * ux + ry * cos * uy];
+    const segments = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9));
+    const step = delta / segments;
+    const k = 4 / 3 * Math.tan(step / 4);
+    const cubics = [];
+    for (let i = 0; i < segments; i++) {
+        const t1 = theta + i * step;
+        const t2 = t1 + step;
+        const end = i === segments - 1 ? [x2, y2] : map(Math.cos(t2), Math.sin(t2));
+        cubics.push([
+            ...map(Math.cos(t1) - k * Math.sin(t1), Math.sin(t1) + k * Math.cos(t1)),
+            ...map(Math.cos(t2) + k * Math.sin(t2), Math.sin(t2) - k * Math.cos(t2)),
+            ...end
+        ]);
+    }
+    return cubics;
+}
+
+/**
+ * Parse any SVG path data into absolute M/L/Q/C/Z path commands
+ * Relative commands are resolved, H and V become lines, S and T get their
+ * reflected control points and arcs are converted to cubic beziers.
+ * @param {string} pathData - SVG path data
+ * @returns {Array<{type: string, values: Array<number>}>} Path commands
+ */
+function parseSVGPath(pathData) {
+    const commands = [];
+    const number = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+    let index = 0;
+
+    const skipSeparators = () => {
+        while (index < pathData.length && /[\s,]/.test(pathData[index])) index++;
+    };
+    const fail = () => {
+        throw new Error(`Invalid path data at ${index}: ${pathData.slice(index, index + 12)}`);
+    };
+    const readNumber = () => {
+        skipSeparators();
+        number.lastIndex = index;
+        const match = number.exec(pathData);
+        if (!match) fail();
+        index = number.lastIndex;
+        return Number(match[0]);
+    };
+    // Arc flags are single digits and may be written without separators
+    const readFlag = () => {
+        skipSeparators();
+        const flag = pathData[index];
+        if (flag !== '0' && flag !== '1') fail();
+        index++;
+        return flag === '1';
+    };
+    const hasNumber = () => {
+        skipSeparators();
+        return index < pathData.length && /[+\-.\d]/.test(pathData[index]);
+    };
+
+    let x = 0, y = 0, startX = 0, startY = 0;
+    let control = null; // Last control point, for S and T
+    let previous = '';
+
+    skipSeparators();
+    while (index < pathData.length) {
+        const letter = pathData[index];
+        if (!/[a-zA-Z]/.test(letter) || PATH_ARGUMENT_COUNTS[letter.toUpperCase()] === undefined) fail();
+        index++;
+        let type = letter.toUpperCase();
+        const relative = letter !== type;
+
+        do {
+            const dx = relative ? x : 0;
+            const dy = relative ? y : 0;
+            let reflected;
+            switch (type) {
+            case 'M':
+                x = readNumber() + dx;
+                y = readNumber() + dy;
+                startX = x;
+                startY = y;
+                commands.push({ type: 'M', values: [x, y] });
+                type = 'L'; // Further pairs are lines
+                break;
+            case 'L':
+                x = readNumber() + dx;
+                y = readNumber() + dy;
+                commands.push({ type: 'L', values: [x, y] });
+                break;
+            case 'H':
+                x = readNumber() + dx;
+                commands.push({ type: 'L', values: [x, y] });
+                break;
+            case 'V':
+                y = readNumber() + dy;
+                commands.push({ type: 'L', values: [x, y] });
+                break;
+            case 'C': {
+                const values = [readNumber() + dx, readNumber() + dy, readNumber() + dx, readNumber() + dy, readNumber() + dx, readNumber() + dy];
+                commands.push({ type: 'C', values });
+                control = [values[2], values[3]];
+                [x, y] = [values[4], values[5]];
+                break;
+            }
+            case 'S': {
+                reflected = control && 'CS'.includes(previous) ? [2 * x - control[0], 2 * y - control[1]] : [x, y];
+                const values = [...reflected, readNumber() + dx, readNumber() + dy, readNumber() + dx, readNumber() + dy];
+                commands.push({ type: 'C', values });
+                control = [values[2], values[3]];
+                [x, y] = [values[4], values[5]];
+                break;
+            }
+            case 'Q': {
+                const values = [readNumber() + dx, readNumber() + dy, readNumber() + dx, readNumber() + dy];
+                commands.push({ type: 'Q', values });
+                control = [values[0], values[1]];
+                [x, y] = [values[2], values[3]];
+                break;
+            }
+            case 'T': {
+                reflected = control && 'QT'.includes(previous) ? [2 * x - control[0], 2 * y - control[1]] : [x, y];
+                const values = [...reflected, readNumber() + dx, readNumber() + dy];
+                commands.push({ type: 'Q', values });
+                control = reflected;
+                [x, y] = [values[2], values[3]];
+                break;
+            }
+            case 'A': {
+                const rx = readNumber();
+                const ry = readNumber();
+                const rotation = readNumber();
+                const largeArc = readFlag();
+                const sweep = readFlag();
+                const endX = readNumber() + dx;
+                const endY = readNumber() + dy;
+                arcToCubics(x, y, rx, ry, rotation, largeArc, sweep, endX, endY)
+                    .forEach(values => commands.push({ type: 'C', values }));
+                x = endX;
+                y = endY;
+                break;
+            }
+            case 'Z':
+                commands.push({ type: 'Z', values: [] });
+                x = startX;
+                y = startY;
+                break;
+            }
+            previous = type;
+        } while (type !== 'Z' && hasNumber());
+        skipSeparators();
+    }
+
+    return commands;
+}
+
+/**
+ * Apply an affine matrix [a, b, c, d, e, f] to every point of a path
+ * (x' = a*x + c*y + e, y' = b*x + d*y + f, as in SVG's matrix())
+ * @param {Array<Object>} commands - Path commands
+ * @param {Array<number>} matrix - Affine matrix
+ * @returns {Array<Object>} New path commands
+ */
+function transformPath(commands, matrix) {
+    const [a, b, c, d, e, f] = matrix;
+    return commands.map(command => {
+        const values = [];
+        for (let i = 0; i < command.values.length; i += 2) {
+            const x = command.values[i];
+            const y = command.values[i + 1];
+            values.push(a * x + c * y + e, b * x + d * y + f);
+        }
+        return { type: command.type, values };
+    });
+}
+
+/**
+ * Matrix placing a font-unit outline at (x, y) in a y-down coordinate system
+ * @param {number} x - Glyph origin x
+ * @param {number} y - Glyph origin (baseline) y
+ * @param {number} scale - Output units per font unit
+ * @returns {Array<number>} Affine matrix
+ */
+function glyphMatrix(x, y, scale) {
+    return [scale, 0, 0, -scale, x, y];
+}
+
+/**
+ * Format a number for path data, dropping trailing zeros
+ * @param {number} value - Number to format
+ * @param {number} precision - Maximum decimal places
+ */
+function formatNumber(value, precision = 3) {
+    const rounded = Number(value.toFixed(precision));
+    return String(Object.is(rounded, -0) ? 0 : rounded);
+}
+
+/**
+ * Serialize path commands to SVG path data
+ * @param {Array<Object>} commands - Path commands
+ * @param {number} precision - Maximum decimal places (default: 3)
+ * @returns {string} SVG path data
+ */
+function pathToString(commands, precision = 3) {
+    return commands.map(command => {
+        if (command.type === 'Z') {
+            return 'Z';
+        }
+        const pairs = [];
+        for (let i = 0; i < command.values.length; i += 2) {
+            pairs.push(`${formatNumber(command.values[i], precision)},${formatNumber(command.values[i + 1], precision)}`);
+        }
+        return command.type + pairs.join(' ');
+    }).join('');
+}
+
+/**
+ * Values of t in (0, 1) where a 1D quadratic or cubic bezier has an extremum
+ */
+function bezierExtrema(p0, p1, p2, p3) {
+    if (p3 === undefined) {
+        const denominator = p0 - 2 * p1 + p2;
+        return denominator === 0 ? [] : [(p0 - p1) / denominator];
+    }
+
+    // Derivative of the cubic: a*t^2 + b*t + c
+    const a = -p0 + 3 * p1 - 3 * p2 + p3;
+    const b = 2 * (p0 - 2 * p1 + p2);
+    const c = p1 - p0;
+    if (Math.abs(a) < 1e-12) {
+        return b === 0 ? [] : [-c / b];
+    }
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) {
+        return [];
+    }
+    const root = Math.sqrt(discriminant);
+    return [(-b + root) / (2 * a), (-b - root) / (2 * a)];
+}
+
+/**
+ * Evaluate a 1D quadratic or cubic bezier at t
+ */
+function bezierAt(t, p0, p1, p2, p3) {
+    const mt = 1 - t;
+    if (p3 === undefined) {
+        return mt * mt * p0 + 2 * mt * t * p1 + t * t * p2;
+    }
+    return mt * mt * mt * p0 + 3 * mt * mt * t * p1 + 3 * mt * t * t * p2 + t * t * t * p3;
+}
+
+/**
+ * Exact bounding box of a path, including curve extrema
+ * @param {Array<Object>} commands - Path commands
+ * @returns {{xMin: number, yMin: number, xMax: number, yMax: number}|null} Bounds, or null for an empty path
+ */
+function pathBounds(commands) {
+    let xMin = Infinity, yMin = Infinity, xMax = -Infinity, yMax = -Infinity;
+    let currentX = 0, currentY = 0;
+
+    const include = (x, y) => {
+        xMin = Math.min(xMin, x);
+        xMax = Math.max(xMax, x);
+        yMin = Math.min(yMin, y);
+        yMax = Math.max(yMax, y);
+    };
+
+    commands.forEach(command => {
+        const v = command.values;
+        if (command.type === 'Q' || command.type === 'C') {
+            const xs = [currentX, ...v.filter((_, i) => i % 2 === 0)];
+            const ys = [currentY, ...v.filter((_, i) => i % 2 === 1)];
+            [...bezierExtrema(...xs), ...bezierExtrema(...ys)]
+                .filter(t => t > 0 && t < 1)
+                .forEach(t => include(bezierAt(t, ...xs), bezierAt(t, ...ys)));
+        }
+        if (v.length >= 2) {
+            currentX = v[v.length - 2];
+            currentY = v[v.length - 1];
+            include(currentX, currentY);
+        }
+    });
+
+    return xMin === Infinity ? null : { xMin, yMin, xMax, yMax };
+}
+
+/**
+ * Point of a line, quadratic or cubic bezier at t
+ * @param {Array<number>} points - Control points as [x0, y0, x1, y1, ...]
+ * @param {number} t - Curve parameter in [0, 1]
+ * @returns {Array<number>} [x, y]
+ */
+function bezierPoint(points, t) {
+    if (points.length === 4) {
+        return [points[0] + (points[2] - points[0]) * t, points[1] + (points[3] - points[1]) * t];
+    }
+    const xs = points.filter((_, i) => i % 2 === 0);
+    const ys = points.filter((_, i) => i % 2 === 1);
+    return [bezierAt(t, ...xs), bezierAt(t, ...ys)];
+}
+
+/**
+ * Control points of the part of a bezier between t0 and t1 (de Casteljau)
+ * t1 may be smaller than t0 for the reversed part.
+ * @param {Array<number>} points - Control points as [x0, y0, x1, y1, ...]
+ * @param {number} t0 - Start parameter
+ * @param {number} t1 - End parameter
+ * @returns {Array<number>} Control points of the same degree
+ */
+function splitBezier(points, t0, t1) {
+    const split = (values, t) => {
+        // Keep the part after t
+        const levels = [values];
+        while (levels[levels.length - 1].length > 2) {
+            const previous = levels[levels.length - 1];
+            const next = [];
+            for (let i = 0; i + 3 < previous.length; i += 2) {
+                next.push(previous[i] + (previous[i + 2] - previous[i]) * t, previous[i + 1] + (previous[i + 3] - previous[i + 1]) * t);
+            }
+            levels.push(next);
+        }
+        return levels.slice().reverse().flatMap(level => level.slice(-2));
+    };
+    const reverse = values => {
+        const result = [];
+        for (let i = values.length - 2; i >= 0; i -= 2) {
+            result.push(values[i], values[i + 1]);
+        }
+        return result;
+    };
+
+    if (t1 < t0) {
+        return reverse(splitBezier(points, t1, t0));
+    }
+    // Cut at t0 and keep the tail, then cut the tail where t1 lands and keep the head
+    const tail = t0 > 0 ? split(points, t0) : points;
+    const t = t0 < 1 ? (t1 - t0) / (1 - t0) : 1;
+    return t < 1 ? reverse(split(reverse(tail), 1 - t)) : tail;
+}
+
+/**
+ * Number of equal parameter steps that keep straight segments within
+ * tolerance of a bezier, from the bound on its second derivative
+ * @param {Array<number>} points - Control points as [x0, y0, x1, y1, ...]
+ * @param {number} tolerance - Maximum distance between curve and chord
+ * @returns {number} Segment count, at least 1
+ */
+function bezierSegmentCount(points, tolerance) {
+    if (points.length <= 4) {
+        return 1;
+    }
+    let secondDifference = 0;
+    for (let i = 0; i + 5 < points.length; i += 2) {
+        secondDifference = Math.max(secondDifference, Math.hypot(
+            points[i] - 2 * points[i + 2] + points[i + 4],
+            points[i + 1] - 2 * points[i + 3] + points[i + 5]
+        ));
+    }
+    // |B''| is at most 2 * d for a quadratic and 6 * d for a cubic, and a
+    // chord over a step h deviates by at most |B''| * h^2 / 8
+    const degree = points.length / 2 - 1;
+    const bound = degree * (degree - 1) * secondDifference;
+    return Math.max(1, Math.ceil(Math.sqrt(bound / (8 * tolerance))));
+}
+
+/**
+ * Convert path commands to polylines
+ * Curves are replaced by chords that stay within tolerance of the curve.
+ * Subpaths ending with Z are closed; the first point is not repeated.
+ * @param {Array<Object>} commands - Path commands
+ * @param {number} tolerance - Maximum distance between a curve and its chords
+ * @returns {Array<{points: Array<Array<number>>, closed: boolean}>} Polylines of [x, y] points
+ */
+function flattenPath(commands, tolerance) {
+    if (!(tolerance > 0)) {
+        throw new Error('tolerance must be a positive number');
+    }
+
+    const polylines = [];
+    let current = null;
+    let currentX = 0, currentY = 0;
+
+    const add = (x, y) => {
+        const last = current.points[current.points.length - 1];
+        if (last[0] !== x || last[1] !== y) {
+            current.points.push([x, y]);
+        }
+    };
+    const finish = closed => {
+        if (current) {
+            const [first] = current.points;
+            const last = current.points[current.points.length - 1];
+            if (closed && current.points.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+                current.points.pop();
+            }
+            current.closed = closed;
+            if (current.points.length > 1) {
+                polylines.push(current);
+            }
+        }
+        current = null;
+    };
+
+    commands.forEach(command => {
+        const v = command.values;
+        if (command.type === 'M') {
+            finish(false);
+            current = { points: [[v[0], v[1]]], closed: false };
+        } else if (command.type === 'Z') {
+            if (current) {
+                const [[startX, startY]] = current.points;
+                finish(true);
+                currentX = startX;
+                currentY = startY;
+            }
+            return;
+        } else {
+            if (!current) {
+                current = { points: [[currentX, currentY]], closed: false };
+            }
+            const points = [currentX, currentY, ...v];
+            const steps = bezierSegmentCount(points, tolerance);
+            for (let i = 1; i < steps; i++) {
+                add(...bezierPoint(points, i / steps));
+            }
+            add(v[v.length - 2], v[v.length - 1]);
+        }
+        currentX = v[v.length - 2];
+        currentY = v[v.length - 1];
+    });
+    finish(false);
+
+    return polylines;
+}
+
+/**
+ * Whether a point is inside a closed polygon (even-odd)
+ */
+function pointInPolygon([x, y], points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        if ((yi > y) !== (yj > y) && x < xi + (y - yi) * (xj - xi) / (yj - yi)) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Convert polylines back to M/L/Z path commands
+ * @param {Array<{points: Array<Array<number>>, closed: boolean}>} polylines - Polylines from flattenPath()
+ * @returns {Array<Object>} Path commands
+ */
+function polylinesToPath(polylines) {
+    return polylines.flatMap(({ points, closed }) => [
+        ...points.map((point, i) => ({ type: i === 0 ? 'M' : 'L', values: [point[0], point[1]] })),
+        ...(closed ? [{ type: 'Z', values: [] }] : [])
+    ]);
+}
+
+/**
+ * Reverse the direction of every subpath
+ * Closed subpaths stay closed and start at the same point; open subpaths
+ * start at their old end.
+ * @param {Array<Object>} commands - Path commands
+ * @returns {Array<Object>} Path commands drawing the same shape backwards
+ */
+function reversePath(commands) {
+    const result = [];
+    let start = null;
+    let segments = [];
+
+    const finish = closed => {
+        if (!start) return;
+        const end = segments.length > 0 ? segments[segments.length - 1].to : start;
+        // A closed subpath ends where it starts, through its closing line
+        const first = closed && (end[0] !== start[0] || end[1] !== start[1]) ? start : end;
+        if (closed && first === start && segments.length > 0) {
+            segments.push({ type: 'L', controls: [], from: end, to: start });
+        }
+        result.push({ type: 'M', values: [...first] });
+        for (let i = segments.length - 1; i >= 0; i--) {
+            const { type, controls, from } = segments[i];
+            if (closed && i === 0 && type === 'L') {
+                break; // Z draws the last line
+            }
+            const reversed = [];
+            for (let j = controls.length - 2; j >= 0; j -= 2) {
+                reversed.push(controls[j], controls[j + 1]);
+            }
+            result.push({ type, values: [...reversed, ...from] });
+        }
+        if (closed) {
+            result.push({ type: 'Z', values: [] });
+        }
+        start = null;
+        segments = [];
+    };
+
+    let x = 0, y = 0;
+    commands.forEach(command => {
+        const v = command.values;
+        if (command.type === 'M') {
+            finish(false);
+            start = [v[0], v[1]];
+            [x, y] = start;
+        } else if (command.type === 'Z') {
+            const closedStart = start;
+            finish(true);
+            if (closedStart) [x, y] = closedStart;
+        } else {
+            if (!start) start = [x, y];
+            const to = [v[v.length - 2], v[v.length - 1]];
+            segments.push({ type: command.type, controls: v.slice(0, -2), from: [x, y], to });
+            [x, y] = to;
+        }
+    });
+    finish(false);
+
+    return result;
+}
+
+/**
+ * Measure path commands by arc length, for placing things along them
+ * Curves are flattened within tolerance. Subpaths follow each other; the
+ * moves between them add no length.
+ * @param {Array<Object>} commands - Path commands
+ * @param {number} tolerance - Maximum distance between a curve and its chords
+ * @param {boolean} reverse - Measure from the end of the path backwards (default: false)
+ * @returns {{segments: Array<Object>, length: number, closed: boolean}} Straight
+ *   segments with from, to, start (arc length at from) and length; closed
+ *   when the path is one closed subpath
+ */
+function measurePath(commands, tolerance, reverse = false) {
+    let polylines = flattenPath(commands, tolerance);
+    if (reverse) {
+        polylines = polylines.reverse().map(({ points, closed }) => ({
+            points: closed ? [points[0], ...points.slice(1).reverse()] : [...points].reverse(),
+            closed
+        }));
+    }
+
+    const segments = [];
+    let length = 0;
+    polylines.forEach(({ points, closed }) => {
+        const ends = closed ? [...points, points[0]] : points;
+        for (let i = 1; i < ends.length; i++) {
+            const from = ends[i - 1], to = ends[i];
+            const segmentLength = Math.hypot(to[0] - from[0], to[1] - from[1]);
+            if (segmentLength > 0) {
+                segments.push({ from, to, start: length, length: segmentLength });
+                length += segmentLength;
+            }
+        }
+    });
+
+    return { segments, length, closed: polylines.length === 1 && polylines[0].closed };
+}
+
+/**
+ * Point and tangent at an arc length along a measured path
+ * Closed paths wrap around; open paths continue straight along their
+ * first or last segment beyond their ends.
+ * @param {Object} measured - Result of measurePath()
+ * @param {number} distance - Arc length from the start of the path
+ * @returns {{point: Array<number>, angle: number}} Point and tangent angle
+ *   in radians, from the +x axis towards +y
+ */
+function pointAtLength(measured, distance) {
+    const { segments, length, closed } = measured;
+    if (segments.length === 0) {
+        throw new Error('Path has no length');
+    }
+    const at = closed ? ((distance % length) + length) % length : distance;
+
+    // Last segment starting at or before the distance
+    let low = 0, high = segments.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (segments[middle].start <= at) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    const { from, to, start, length: segmentLength } = segments[low];
+    const t = (at - start) / segmentLength;
+    return {
+        point: [from[0] + (to[0] - from[0]) * t, from[1] + (to[1] - from[1]) * t],
+        angle: Math.atan2(to[1] - from[1], to[0] - from[0])
+    };
+}
+
+export {
+    parsePathData,
+    parseSVGPath,
+    arcToCubics,
+    transformPath,
+    glyphMatrix,
+    formatNumber,
+    pathToString,
+    pathBounds,
+    bezierPoint,
+    splitBezier,
+    bezierSegmentCount,
+    flattenPath,
+    pointInPolygon,
+    polylinesToPath,
+    reversePath,
+    measurePath,
+    pointAtLength
+};
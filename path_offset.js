@@ -0,0 +1,159 @@
+// Offsetting of filled outlines, for kerf compensation and outline effects
+// Outlines are flattened to polygons with the filled side on the left of
+// every edge. Each edge sweeps a band of the offset distance to one side,
+// and each corner that opens on that side gets a miter, round or bevel
+// join. Growing unites the bands with the shape; shrinking subtracts them,
+// so counters shrink as the outer contour grows and the other way round.
+
+import { flattenPath, polylinesToPath, reversePath, arcToCubics } from './path_geometry.js';
+import { unionPath } from './path_boolean.js';
+
+// Corner styles, as in SVG's stroke-linejoin
+const OFFSET_JOINS = ['miter', 'round', 'bevel'];
+
+/**
+ * Check the options shared by offsetPath() and outlinePath()
+ */
+function readOffsetOptions(options) {
+    const { join = 'round', miterLimit = 4, tolerance = 0.01 } = options;
+    if (!OFFSET_JOINS.includes(join)) {
+        throw new Error(`Unknown offset join: ${join}. Use ${OFFSET_JOINS.join(', ')}`);
+    }
+    if (!(miterLimit >= 1)) {
+        throw new Error('miterLimit must be at least 1');
+    }
+    if (!(tolerance > 0)) {
+        throw new Error('tolerance must be a positive number');
+    }
+    return { join, miterLimit, tolerance };
+}
+
+/**
+ * Flatten an outline into polygons with the filled side on the left
+ */
+function outlinePolygons(commands, tolerance) {
+    return flattenPath(unionPath(commands, { tolerance }), tolerance)
+        .filter(polygon => polygon.closed && polygon.points.length > 2);
+}
+
+/**
+ * Bands swept by the edges of polygons and the joins between them
+ * Every piece is a counter-clockwise contour (y up), so the pieces fill
+ * with the 'positive' fill rule however much they overlap.
+ * @param {Array<Object>} polygons - Polygons from outlinePolygons()
+ * @param {number} distance - Band width
+ * @param {string} side - 'right' (outside the fill) or 'left' (inside)
+ * @param {Object} options - join, miterLimit and tolerance
+ * @returns {Array<Object>} Path commands
+ */
+function offsetBands(polygons, distance, side, options) {
+    const { join, miterLimit, tolerance } = options;
+    const sign = side === 'right' ? 1 : -1;
+    const pieces = [];
+    const polygon = points => {
+        pieces.push({ type: 'M', values: points[0] });
+        points.slice(1).forEach(point => pieces.push({ type: 'L', values: point }));
+        pieces.push({ type: 'Z', values: [] });
+    };
+
+    polygons.forEach(({ points }) => {
+        // Unit direction and band normal of each edge
+        const edges = points.map((a, i) => {
+            const b = points[(i + 1) % points.length];
+            const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+            if (length === 0) return null;
+            const ux = (b[0] - a[0]) / length, uy = (b[1] - a[1]) / length;
+            return { a, b, ux, uy, nx: sign * uy * distance, ny: -sign * ux * distance };
+        }).filter(Boolean);
+
+        edges.forEach((edge, i) => {
+            const { a, b, nx, ny } = edge;
+            const band = [a, [a[0] + nx, a[1] + ny], [b[0] + nx, b[1] + ny], b];
+            polygon(side === 'right' ? band : band.reverse());
+
+            // Join at b with the next edge when the corner opens on this side
+            const next = edges[(i + 1) % edges.length];
+            const cross = edge.ux * next.uy - edge.uy * next.ux;
+            if (sign * cross <= 0) return;
+            const cos = Math.max(-1, Math.min(1, edge.ux * next.ux + edge.uy * next.uy));
+            const cosHalf = Math.sqrt((1 + cos) / 2);
+            const p1 = [b[0] + nx, b[1] + ny];
+            const p2 = [b[0] + next.nx, b[1] + next.ny];
+            // The normals turn counter-clockwise from first to second
+            const [from, to] = sign > 0 ? [p1, p2] : [p2, p1];
+
+            const bevelError = distance * (1 - cosHalf);
+            if (join === 'round' && bevelError > tolerance) {
+                pieces.push({ type: 'M', values: b }, { type: 'L', values: from });
+                arcToCubics(from[0], from[1], distance, distance, 0, false, true, to[0], to[1])
+                    .forEach(values => pieces.push({ type: 'C', values }));
+                pieces.push({ type: 'Z', values: [] });
+            } else if (join === 'miter' && 1 / cosHalf <= miterLimit && distance * (1 / cosHalf - 1) > tolerance) {
+                const scale = 1 / (1 + cos);
+                polygon([b, from, [b[0] + (nx + next.nx) * scale, b[1] + (ny + next.ny) * scale], to]);
+            } else {
+                polygon([b, from, to]);
+            }
+        });
+    });
+
+    return pieces;
+}
+
+/**
+ * Grow or shrink a filled outline
+ * Overlapping contours are united first. Curves are flattened within
+ * tolerance; round joins are written as arcs.
+ * @param {Array<Object>} commands - Path commands (M, L, Q, C, Z)
+ * @param {number} distance - Offset distance; positive grows the filled
+ *   area, negative shrinks it
+ * @param {Object} options - join ('miter', 'round' or 'bevel', default
+ *   'round'), miterLimit (ratio of miter length to distance beyond which a
+ *   miter is beveled, default 4) and tolerance (default 0.01)
+ * @returns {Array<Object>} Path commands of the offset outline
+ */
+function offsetPath(commands, distance, options = {}) {
+    const settings = readOffsetOptions(options);
+    if (!Number.isFinite(distance)) {
+        throw new Error('offset distance must be a finite number');
+    }
+    const polygons = outlinePolygons(commands, settings.tolerance);
+    const shape = polylinesToPath(polygons);
+    if (distance === 0) {
+        return shape;
+    }
+
+    const bands = offsetBands(polygons, Math.abs(distance), distance > 0 ? 'right' : 'left', settings);
+    return unionPath([...shape, ...(distance > 0 ? bands : reversePath(bands))], {
+        tolerance: settings.tolerance,
+        fillRule: 'positive'
+    });
+}
+
+/**
+ * Outline a filled shape with a ring centred on its contours
+ * The ring covers everything within thickness / 2 of a contour, the area
+ * a stroke of that width would paint.
+ * @param {Array<Object>} commands - Path commands (M, L, Q, C, Z)
+ * @param {number} thickness - Width of the ring
+ * @param {Object} options - join, miterLimit and tolerance as for offsetPath()
+ * @returns {Array<Object>} Path commands of the ring
+ */
+function outlinePath(commands, thickness, options = {}) {
+    const settings = readOffsetOptions(options);
+    if (!(thickness > 0)) {
+        throw new Error('outline thickness must be a positive number');
+    }
+    const polygons = outlinePolygons(commands, settings.tolerance);
+    const bands = [
+        ...offsetBands(polygons, thickness / 2, 'right', settings),
+        ...offsetBands(polygons, thickness / 2, 'left', settings)
+    ];
+    return unionPath(bands, { tolerance: settings.tolerance, fillRule: 'positive' });
+}
+
+export {
+    offsetPath,
+    outlinePath,
+    OFFSET_JOINS
+};
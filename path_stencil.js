@@ -0,0 +1,183 @@
+// Stencil bridges for filled outlines
+// Cutting a letter out of a sheet frees the islands of sheet inside its
+// counters. Each inner contour (a hole in the filled outline) gets bridges:
+// strips removed from the outline that run from the hole across the stroke
+// to the space outside it, so the island stays attached.
+
+import { flattenPath, reversePath, pointInPolygon } from './path_geometry.js';
+import { unionPath } from './path_boolean.js';
+
+/**
+ * Signed area of a polygon; positive when counter-clockwise with y up
+ */
+function polygonArea(points) {
+    let area = 0;
+    points.forEach((point, i) => {
+        const next = points[(i + 1) % points.length];
+        area += point[0] * next[1] - next[0] * point[1];
+    });
+    return area / 2;
+}
+
+/**
+ * Distances along a ray to every polygon edge it crosses
+ * @returns {Array<number>} Distances in increasing order
+ */
+function rayCrossings(polygons, origin, direction) {
+    const crossings = [];
+    polygons.forEach(({ points }) => {
+        points.forEach((a, i) => {
+            const b = points[(i + 1) % points.length];
+            const ex = b[0] - a[0], ey = b[1] - a[1];
+            const denominator = direction[0] * ey - direction[1] * ex;
+            if (denominator === 0) return;
+            const ox = a[0] - origin[0], oy = a[1] - origin[1];
+            const t = (ox * ey - oy * ex) / denominator;
+            const s = (ox * direction[1] - oy * direction[0]) / denominator;
+            if (t >= 0 && s >= 0 && s <= 1) crossings.push(t);
+        });
+    });
+    return crossings.sort((a, b) => a - b);
+}
+
+/**
+ * Point of a polygon furthest along a direction; the middle of a flat
+ * side when several vertices tie
+ */
+function supportPoint(points, direction, tolerance) {
+    const along = point => point[0] * direction[0] + point[1] * direction[1];
+    const across = point => point[1] * direction[0] - point[0] * direction[1];
+    const extreme = Math.max(...points.map(along));
+    const candidates = points.filter(point => along(point) >= extreme - tolerance);
+    const lo = Math.min(...candidates.map(across));
+    const hi = Math.max(...candidates.map(across));
+    const middle = (lo + hi) / 2;
+    // Back from (along, across) coordinates
+    return [extreme * direction[0] - middle * direction[1], extreme * direction[1] + middle * direction[0]];
+}
+
+/**
+ * Find the thinnest places around a hole
+ * The hole's outline is sampled at half the bridge width; from each sample
+ * the wall is measured along the normal into the material. Walls that lead
+ * to the outside are preferred over walls into another hole, and bridges
+ * are kept apart by at least half the spacing of evenly placed ones.
+ * @returns {Array<{point: Array<number>, direction: Array<number>}>} Bridge starts
+ */
+function thinnestPoints(hole, polygons, holes, count, width, tolerance) {
+    const samples = [];
+    let perimeter = 0;
+    hole.points.forEach((a, i) => {
+        const b = hole.points[(i + 1) % hole.points.length];
+        const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+        if (length === 0) return;
+        // The filled side is on the left of every edge
+        const normal = [-(b[1] - a[1]) / length, (b[0] - a[0]) / length];
+        const steps = Math.max(1, Math.ceil(length / (width / 2)));
+        for (let k = 0; k < steps; k++) {
+            const f = (k + 0.5) / steps;
+            const point = [a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f];
+            const crossing = rayCrossings(polygons, point, normal).find(t => t > tolerance);
+            if (crossing === undefined) continue;
+            const beyond = [point[0] + normal[0] * (crossing + tolerance), point[1] + normal[1] * (crossing + tolerance)];
+            samples.push({
+                point,
+                direction: normal,
+                thickness: crossing,
+                outside: !holes.some(other => pointInPolygon(beyond, other.points)),
+                position: perimeter + length * f
+            });
+        }
+        perimeter += length;
+    });
+
+    samples.sort((p, q) => (p.outside === q.outside ? p.thickness - q.thickness : p.outside ? -1 : 1));
+    const spacing = perimeter / count / 2;
+    const picked = [];
+    samples.forEach(sample => {
+        if (picked.length >= count) return;
+        const apart = picked.every(other => {
+            const gap = Math.abs(other.position - sample.position);
+            return Math.min(gap, perimeter - gap) >= spacing;
+        });
+        if (apart) picked.push(sample);
+    });
+    return picked;
+}
+
+/**
+ * Cut stencil bridges into a filled outline
+ * Every hole gets count bridges. With angles, each bridge leaves the hole
+ * at its furthest point in that direction; with angles 'auto' they are
+ * placed where the wall to the outside is thinnest. A bridge runs from
+ * inside the hole, across the material, to just past its far side.
+ * @param {Array<Object>} commands - Path commands (M, L, Q, C, Z)
+ * @param {Object} options - Stencil options:
+ *   - width: Bridge width (required)
+ *   - count: Bridges per hole (default: 2)
+ *   - angles: Bridge directions in degrees, counter-clockwise from +x
+ *     with y up, or 'auto' (default: count angles evenly spaced from 90)
+ *   - tolerance: Curve flattening tolerance (default: 0.01)
+ * @returns {Array<Object>} Path commands without holes where bridges reach
+ *   the outside; curves not touched by a bridge stay curves
+ */
+function stencilPath(commands, options = {}) {
+    const { width, count = 2, angles = null, tolerance = 0.01 } = options;
+    if (!(width > 0)) {
+        throw new Error('bridge width must be a positive number');
+    }
+    if (!Number.isInteger(count) || count < 1) {
+        throw new Error('bridge count must be a positive integer');
+    }
+    if (angles !== null && angles !== 'auto' &&
+        (!Array.isArray(angles) || angles.length === 0 || angles.some(angle => !Number.isFinite(angle)))) {
+        throw new Error("bridge angles must be an array of degrees or 'auto'");
+    }
+
+    const shape = unionPath(commands, { tolerance });
+    const polygons = flattenPath(shape, tolerance).filter(polygon => polygon.closed && polygon.points.length > 2);
+    const holes = polygons.filter(polygon => polygonArea(polygon.points) < 0);
+    if (holes.length === 0) {
+        return shape;
+    }
+
+    const directions = angles === 'auto' ? null :
+        (angles || Array.from({ length: count }, (_, i) => 90 + i * 360 / count))
+            .map(angle => [Math.cos(angle * Math.PI / 180), Math.sin(angle * Math.PI / 180)]);
+
+    const bridges = [];
+    holes.forEach(hole => {
+        const starts = directions ?
+            directions.map(direction => ({ point: supportPoint(hole.points, direction, tolerance), direction })) :
+            thinnestPoints(hole, polygons, holes, count, width, tolerance);
+
+        starts.forEach(({ point, direction }) => {
+            const ahead = rayCrossings(polygons, point, direction).filter(t => t > tolerance);
+            if (ahead.length === 0) return;
+            const back = rayCrossings(polygons, point, [-direction[0], -direction[1]]).find(t => t > tolerance);
+
+            // Start inside the hole and end past the wall, without reaching
+            // the far side of the hole or the next contour
+            const start = -Math.min(width, back !== undefined ? back / 2 : width);
+            const end = ahead[0] + Math.min(width / 2, ahead.length > 1 ? (ahead[1] - ahead[0]) / 2 : width / 2);
+            const [dx, dy] = direction;
+            const [nx, ny] = [-dy * width / 2, dx * width / 2];
+            const at = t => [point[0] + dx * t, point[1] + dy * t];
+            const [s, e] = [at(start), at(end)];
+            bridges.push(
+                { type: 'M', values: [s[0] - nx, s[1] - ny] },
+                { type: 'L', values: [e[0] - nx, e[1] - ny] },
+                { type: 'L', values: [e[0] + nx, e[1] + ny] },
+                { type: 'L', values: [s[0] + nx, s[1] + ny] },
+                { type: 'Z', values: [] }
+            );
+        });
+    });
+
+    // Bridges are counter-clockwise; reversed, they subtract
+    return unionPath([...shape, ...reversePath(bridges)], { tolerance, fillRule: 'positive' });
+}
+
+export {
+    stencilPath
+};
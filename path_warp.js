@@ -0,0 +1,232 @@
+// Envelope warps for outlines
+// A warp moves every point of an outline by where it sits in a box: arcs
+// and arches bend the text, bulges swell its middle, waves and flags
+// ripple it, perspective tilts it away, and an envelope fits it between
+// two curves. Segments are split into short pieces first and their control
+// points move with them, so curves stay smooth and straight edges bend
+// with the text.
+
+import { parseSVGPath, pathBounds, splitBezier, flattenPath } from './path_geometry.js';
+
+// Values of the style option
+const WARP_STYLES = ['arc', 'arch', 'bulge', 'wave', 'flag', 'perspective', 'envelope'];
+
+/**
+ * Projective map of the unit square onto a quadrilateral
+ * @param {Array<Array<number>>} corners - Images of (0, 0), (1, 0), (1, 1) and (0, 1)
+ * @returns {Function} (u, v) => [x, y]
+ */
+function squareToQuad([[x0, y0], [x1, y1], [x2, y2], [x3, y3]]) {
+    const dx1 = x1 - x2, dx2 = x3 - x2, dx3 = x0 - x1 + x2 - x3;
+    const dy1 = y1 - y2, dy2 = y3 - y2, dy3 = y0 - y1 + y2 - y3;
+    const determinant = dx1 * dy2 - dx2 * dy1;
+    const g = (dx3 * dy2 - dx2 * dy3) / determinant;
+    const h = (dx1 * dy3 - dx3 * dy1) / determinant;
+    const a = x1 - x0 + g * x1, b = x3 - x0 + h * x3;
+    const d = y1 - y0 + g * y1, e = y3 - y0 + h * y3;
+    return (u, v) => {
+        const w = g * u + h * v + 1;
+        return [(a * u + b * v + x0) / w, (d * u + e * v + y0) / w];
+    };
+}
+
+/**
+ * A curve of an envelope as a function of the fraction of its length,
+ * running from its left end to its right end
+ */
+function envelopeCurve(curve, tolerance, name) {
+    const commands = typeof curve === 'string' ? parseSVGPath(curve) : curve;
+    const points = flattenPath(commands, tolerance).flatMap(polyline => polyline.points);
+    if (points.length < 2) {
+        throw new Error(`envelope ${name} must be a path with length`);
+    }
+    if (points[0][0] > points[points.length - 1][0]) {
+        points.reverse();
+    }
+    const lengths = [0];
+    for (let i = 1; i < points.length; i++) {
+        lengths.push(lengths[i - 1] + Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]));
+    }
+    const total = lengths[lengths.length - 1];
+    return u => {
+        const at = Math.max(0, Math.min(1, u)) * total;
+        let i = 1;
+        while (i < lengths.length - 1 && lengths[i] < at) i++;
+        const t = lengths[i] > lengths[i - 1] ? (at - lengths[i - 1]) / (lengths[i] - lengths[i - 1]) : 0;
+        return [points[i - 1][0] + (points[i][0] - points[i - 1][0]) * t, points[i - 1][1] + (points[i][1] - points[i - 1][1]) * t];
+    };
+}
+
+/**
+ * Build the point mapping of a warp
+ * Coordinates are on a page with y down; u runs from 0 at the left of the
+ * box to 1 at its right and v from 0 at its top to 1 at its bottom.
+ * @returns {Function} (x, y) => [x, y]
+ */
+function warpFunction(style, bounds, options) {
+    const { bend, waves, top, bottom, tolerance } = options;
+    const { xMin, yMin, xMax, yMax } = bounds;
+    const width = xMax - xMin, height = yMax - yMin;
+    const normalized = mapping => (x, y) => mapping((x - xMin) / width, (y - yMin) / height, x, y);
+
+    switch (style) {
+    case 'arc': {
+        // The bottom of the box becomes an arc of bend * 180°, keeping its
+        // length; letters fan out from the centre of the circle
+        if (bend === 0) return (x, y) => [x, y];
+        const sign = Math.sign(bend);
+        const angle = Math.abs(bend) * Math.PI;
+        const radius = width / angle;
+        const cx = xMin + width / 2, cy = yMax + sign * radius;
+        return normalized((u, v, x, y) => {
+            const phi = (u - 0.5) * angle;
+            const r = radius + sign * (yMax - y);
+            return [cx + r * Math.sin(phi), cy - sign * r * Math.cos(phi)];
+        });
+    }
+    case 'arch':
+        // Upright letters raised along a hump
+        return normalized((u, v, x, y) => [x, y - bend * height * Math.sin(Math.PI * u)]);
+    case 'bulge':
+        // The top rises and the bottom sinks towards the middle
+        return normalized((u, v, x, y) => [x, y + bend * height * (v - 0.5) * Math.sin(Math.PI * u)]);
+    case 'wave':
+        // Top and bottom ripple a quarter wave apart, so letters lean and swell
+        return normalized((u, v, x, y) =>
+            [x, y - bend * height / 2 * Math.sin(2 * Math.PI * (waves * u + (1 - v) / 4))]);
+    case 'flag':
+        // The whole text ripples, more the further it is from the pole
+        return normalized((u, v, x, y) => [x, y - bend * height / 2 * u * Math.sin(2 * Math.PI * waves * u)]);
+    case 'perspective': {
+        // The right side shrinks by bend (the left for negative bend), as if
+        // turned away from the viewer
+        const shrink = Math.abs(bend) / 2;
+        const corners = bend >= 0 ?
+            [[0, 0], [1, shrink], [1, 1 - shrink], [0, 1]] :
+            [[0, shrink], [1, 0], [1, 1], [0, 1 - shrink]];
+        const project = squareToQuad(corners);
+        return normalized((u, v) => {
+            const [pu, pv] = project(u, v);
+            return [xMin + pu * width, yMin + pv * height];
+        });
+    }
+    default: {
+        // Envelope: each column of the box runs between the two curves
+        const topAt = envelopeCurve(top, tolerance, 'top');
+        const bottomAt = envelopeCurve(bottom, tolerance, 'bottom');
+        return normalized((u, v) => {
+            const [tx, ty] = topAt(u);
+            const [bx, by] = bottomAt(u);
+            return [tx + (bx - tx) * v, ty + (by - ty) * v];
+        });
+    }
+    }
+}
+
+/**
+ * Warp path commands
+ * @param {Array<Object>} commands - Path commands (M, L, Q, C, Z), y down
+ * @param {Object} options - Warp options:
+ *   - style: 'arc', 'arch', 'bulge', 'wave', 'flag', 'perspective' or 'envelope'
+ *   - bend: Strength, usually between -1 and 1; negative bends the other
+ *     way (default: 0.5). For 'arc', 1 bends the bottom into a half circle
+ *   - waves: Number of waves across the box for 'wave' and 'flag' (default: 1)
+ *   - top, bottom: Curves bounding an 'envelope', as SVG path data or
+ *     path commands, each drawn across the text from one side to the other
+ *   - bounds: Box being warped, { xMin, yMin, xMax, yMax } (default: the
+ *     bounds of commands)
+ *   - tolerance: Flattening tolerance of envelope curves (default: 0.01)
+ * @returns {Array<Object>} Warped path commands; lines become cubics except
+ *   in perspective, which keeps lines straight
+ */
+function warpPath(commands, options = {}) {
+    const {
+        style,
+        bend = 0.5,
+        waves = 1,
+        top = null,
+        bottom = null,
+        bounds = pathBounds(commands),
+        tolerance = 0.01
+    } = options;
+    if (!WARP_STYLES.includes(style)) {
+        throw new Error(`Unknown warp style: ${style}. Use ${WARP_STYLES.join(', ')}`);
+    }
+    if (!Number.isFinite(bend)) {
+        throw new Error('warp bend must be a finite number');
+    }
+    if (style === 'perspective' && Math.abs(bend) >= 1) {
+        throw new Error('perspective bend must be between -1 and 1');
+    }
+    if (!(waves > 0)) {
+        throw new Error('waves must be a positive number');
+    }
+    if (style === 'envelope' && (!top || !bottom)) {
+        throw new Error('envelope warp needs top and bottom curves');
+    }
+    if (!bounds || !(bounds.xMax > bounds.xMin) || !(bounds.yMax > bounds.yMin)) {
+        return commands.map(command => ({ type: command.type, values: [...command.values] }));
+    }
+
+    const map = warpFunction(style, bounds, { bend, waves, top, bottom, tolerance });
+    const keepLines = style === 'perspective';
+    // Pieces short against the height of the box, and against each wave
+    const wavy = style === 'wave' || style === 'flag';
+    const step = Math.min(bounds.yMax - bounds.yMin, wavy ? (bounds.xMax - bounds.xMin) / waves / 2 : Infinity) / 4;
+
+    const result = [];
+    let x = 0, y = 0, startX = 0, startY = 0;
+    const segment = (type, values) => {
+        let points = [x, y, ...values];
+        if (type === 'L' && keepLines) {
+            result.push({ type: 'L', values: map(values[0], values[1]) });
+            return;
+        }
+        if (type === 'L') {
+            // Raised to a cubic so the edge can bend
+            points = [x, y, x + (values[0] - x) / 3, y + (values[1] - y) / 3,
+                x + (values[0] - x) * 2 / 3, y + (values[1] - y) * 2 / 3, values[0], values[1]];
+        }
+        let polygonLength = 0;
+        for (let i = 2; i < points.length; i += 2) {
+            polygonLength += Math.hypot(points[i] - points[i - 2], points[i + 1] - points[i - 1]);
+        }
+        const pieces = Math.max(1, Math.ceil(polygonLength / step));
+        for (let i = 0; i < pieces; i++) {
+            const piece = splitBezier(points, i / pieces, (i + 1) / pieces);
+            const mapped = [];
+            for (let j = 2; j < piece.length; j += 2) {
+                mapped.push(...map(piece[j], piece[j + 1]));
+            }
+            result.push({ type: points.length === 6 ? 'Q' : 'C', values: mapped });
+        }
+    };
+
+    commands.forEach(command => {
+        const v = command.values;
+        if (command.type === 'M') {
+            result.push({ type: 'M', values: map(v[0], v[1]) });
+            x = startX = v[0];
+            y = startY = v[1];
+        } else if (command.type === 'Z') {
+            // The closing line bends too
+            if (x !== startX || y !== startY) {
+                segment('L', [startX, startY]);
+            }
+            result.push({ type: 'Z', values: [] });
+            x = startX;
+            y = startY;
+        } else {
+            segment(command.type, v);
+            x = v[v.length - 2];
+            y = v[v.length - 1];
+        }
+    });
+
+    return result;
+}
+
+export {
+    warpPath,
+    WARP_STYLES
+};
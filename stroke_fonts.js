@@ -0,0 +1,299 @@
+// Readers for single-stroke (engraving) fonts
+// Hershey fonts (.jhf) and SVG fonts (<font> with <glyph d="...">) draw
+// each glyph as open centre lines, so an engraver or plotter traces every
+// stroke once instead of going around both edges of an outline. Both are
+// parsed into the same glyph table, with outlines in font units, y up.
+
+import { parseSVGPath, pathToString, pathBounds } from './path_geometry.js';
+
+// Signatures of binary font files HarfBuzz reads
+const BINARY_FONT_SIGNATURES = ['\u0000\u0001\u0000\u0000', 'OTTO', 'true', 'typ1', 'ttcf'];
+
+// Signatures of compressed web fonts, which HarfBuzz cannot unpack
+const WOFF_SIGNATURES = ['wOFF', 'wOF2'];
+
+// Hershey coordinates are character codes offset by 'R'
+const HERSHEY_ORIGIN = 'R'.charCodeAt(0);
+
+// Nominal Hershey em: glyphs are designed on a 32 unit grid with the
+// baseline 9 units above the bottom
+const HERSHEY_UNITS_PER_EM = 32;
+const HERSHEY_BASELINE = 9;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Get the text of font data, or null for binary data
+ * WOFF and WOFF2 data is rejected, since HarfBuzz would read it as an
+ * empty font.
+ */
+function fontDataText(data) {
+    if (typeof data === 'string') {
+        return data;
+    }
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    const signature = String.fromCharCode(...bytes.subarray(0, 4));
+    if (WOFF_SIGNATURES.includes(signature)) {
+        throw new Error('WOFF and WOFF2 fonts are not supported. Convert the font to TTF or OTF');
+    }
+    if (BINARY_FONT_SIGNATURES.includes(signature)) {
+        return null;
+    }
+    return new TextDecoder('utf-8').decode(bytes);
+}
+
+/**
+ * Detect the format of font data
+ * @param {ArrayBuffer|Uint8Array|string} data - Font file contents
+ * @returns {string} 'opentype' (anything HarfBuzz reads), 'svg' or 'hershey'
+ */
+function detectFontFormat(data) {
+    const text = fontDataText(data);
+    if (text === null) {
+        return 'opentype';
+    }
+    if (/<font[\s>]/.test(text)) {
+        return 'svg';
+    }
+    if (/^\s*\d+\s*\d+\s*[ -~]{2}/.test(text)) {
+        return 'hershey';
+    }
+    return 'opentype';
+}
+
+/**
+ * Vertical metrics of a glyph table, from the ink of its glyphs
+ */
+function inkMetrics(glyphs) {
+    let yMin = 0, yMax = 0;
+    glyphs.forEach(glyph => {
+        if (glyph.bounds) {
+            yMin = Math.min(yMin, glyph.bounds.yMin);
+            yMax = Math.max(yMax, glyph.bounds.yMax);
+        }
+    });
+    return { ascender: yMax, descender: yMin };
+}
+
+/**
+ * Parse a Hershey font in the .jhf format
+ * Each glyph is a record of a 5-digit glyph number, a 3-digit vertex
+ * count, the left and right side bearings and then coordinate pairs, where
+ * " R" lifts the pen. Records may be wrapped over several lines. Hershey
+ * fonts carry no character mapping: glyphs are assigned to characters in
+ * file order, by default the printable ASCII range from the space.
+ * @param {string} text - File contents
+ * @param {Object} options - characters, a string or array of code points
+ *   giving the character of each glyph in file order (default: from U+0020
+ *   upwards), and name
+ * @returns {Object} Stroke font with format, name, upem, ascender,
+ *   descender, capHeight, glyphs and kerning
+ */
+function parseHersheyFont(text, options = {}) {
+    const { characters = null, name = 'Hershey' } = options;
+    const codePoints = typeof characters === 'string' ? [...characters].map(char => char.codePointAt(0)) : characters;
+    const data = text.replace(/\r/g, '');
+    const glyphs = [{ name: '.notdef', unicode: null, advance: HERSHEY_UNITS_PER_EM / 2, pathJson: [] }];
+    const toFont = (xCode, yCode) => [xCode - HERSHEY_ORIGIN, HERSHEY_BASELINE - (yCode - HERSHEY_ORIGIN)];
+
+    let index = 0;
+    while (index < data.length) {
+        if (data[index] === '\n') {
+            index++;
+            continue;
+        }
+        const number = parseInt(data.slice(index, index + 5), 10);
+        const vertexCount = parseInt(data.slice(index + 5, index + 8), 10);
+        if (!Number.isFinite(number) || !Number.isFinite(vertexCount) || vertexCount < 1) {
+            throw new Error(`Invalid Hershey glyph record at offset ${index}`);
+        }
+        index += 8;
+
+        // Coordinate characters, skipping line wraps
+        let coordinates = '';
+        while (coordinates.length < vertexCount * 2 && index < data.length) {
+            if (data[index] !== '\n') {
+                coordinates += data[index];
+            }
+            index++;
+        }
+        if (coordinates.length < vertexCount * 2) {
+            throw new Error(`Hershey glyph ${number} is truncated`);
+        }
+
+        const left = coordinates.charCodeAt(0) - HERSHEY_ORIGIN;
+        const right = coordinates.charCodeAt(1) - HERSHEY_ORIGIN;
+        const pathJson = [];
+        let penUp = true;
+        for (let i = 2; i < coordinates.length; i += 2) {
+            if (coordinates[i] === ' ' && coordinates[i + 1] === 'R') {
+                penUp = true;
+                continue;
+            }
+            const [x, y] = toFont(coordinates.charCodeAt(i), coordinates.charCodeAt(i + 1));
+            pathJson.push({ type: penUp ? 'M' : 'L', values: [x - left, y] });
+            penUp = false;
+        }
+
+        const glyphIndex = glyphs.length - 1;
+        const codePoint = codePoints ? codePoints[glyphIndex] : 0x20 + glyphIndex;
+        glyphs.push({
+            name: `hershey${number}`,
+            unicode: codePoint !== undefined && codePoint !== null ? String.fromCodePoint(codePoint) : null,
+            advance: right - left,
+            pathJson
+        });
+    }
+
+    glyphs.forEach(glyph => {
+        glyph.path = pathToString(glyph.pathJson);
+        glyph.bounds = pathBounds(glyph.pathJson);
+    });
+    const capital = glyphs.find(glyph => glyph.unicode === 'H');
+    return {
+        format: 'hershey',
+        name,
+        upem: HERSHEY_UNITS_PER_EM,
+        ...inkMetrics(glyphs),
+        capHeight: capital && capital.bounds ? capital.bounds.yMax : 21,
+        glyphs,
+        kerning: new Map()
+    };
+}
+
+/**
+ * Decode the character and entity references of an XML attribute value
+ */
+function decodeXML(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            return String.fromCodePoint(entity[1].toLowerCase() === 'x' ?
+                parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+        }
+        return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+    });
+}
+
+/**
+ * Find elements of an SVG document with their attributes
+ * @returns {Array<{name: string, attributes: Object}>} Elements in document order
+ */
+function findElements(text, names) {
+    const pattern = new RegExp(`<(${names.join('|')})\\b((?:[^>"']|"[^"]*"|'[^']*')*)>`, 'g');
+    const elements = [];
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const attributes = {};
+        const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let attribute;
+        while ((attribute = attributePattern.exec(match[2])) !== null) {
+            attributes[attribute[1]] = decodeXML(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+        }
+        elements.push({ name: match[1], attributes });
+    }
+    return elements;
+}
+
+/**
+ * Parse an SVG font
+ * Glyph paths are in font units with y up, as the SVG 1.1 font spec
+ * defines them; open subpaths stay open. A glyph whose unicode attribute
+ * has several characters is a ligature. hkern elements with u1/u2
+ * character lists or g1/g2 glyph name lists become kerning pairs.
+ * @param {string} text - SVG document containing a <font> element
+ * @returns {Object} Stroke font with format, name, upem, ascender,
+ *   descender, capHeight, glyphs and kerning
+ */
+function parseSVGFont(text) {
+    const start = text.search(/<font[\s>]/);
+    if (start < 0) {
+        throw new Error('No <font> element in SVG font');
+    }
+    const end = text.indexOf('</font>', start);
+    const elements = findElements(text.slice(start, end < 0 ? text.length : end), ['font-face', 'missing-glyph', 'glyph', 'hkern', 'font']);
+    const font = elements.find(element => element.name === 'font').attributes;
+    const face = (elements.find(element => element.name === 'font-face') || { attributes: {} }).attributes;
+
+    const upem = Number(face['units-per-em']) || 1000;
+    const defaultAdvance = Number(font['horiz-adv-x']) || upem / 2;
+    const makeGlyph = (attributes, name, unicode) => {
+        const pathJson = attributes.d ? parseSVGPath(attributes.d) : [];
+        return {
+            name,
+            unicode,
+            advance: attributes['horiz-adv-x'] !== undefined ? Number(attributes['horiz-adv-x']) : defaultAdvance,
+            pathJson,
+            path: pathToString(pathJson),
+            bounds: pathBounds(pathJson)
+        };
+    };
+
+    const missing = elements.find(element => element.name === 'missing-glyph');
+    const glyphs = [makeGlyph(missing ? missing.attributes : {}, '.notdef', null)];
+    elements.filter(element => element.name === 'glyph').forEach(({ attributes }, i) => {
+        glyphs.push(makeGlyph(attributes, attributes['glyph-name'] || `glyph${i + 1}`, attributes.unicode || null));
+    });
+
+    // Kerning pairs by glyph index; k is subtracted from the advance
+    const kerning = new Map();
+    const glyphsOf = (characters, names) => {
+        const indices = [];
+        (characters || '').split(',').filter(Boolean).forEach(character => {
+            const unicode = /^U\+[0-9a-f]+$/i.test(character) ? String.fromCodePoint(parseInt(character.slice(2), 16)) : character;
+            glyphs.forEach((glyph, index) => {
+                if (glyph.unicode === unicode) indices.push(index);
+            });
+        });
+        (names || '').split(',').map(name => name.trim()).filter(Boolean).forEach(name => {
+            glyphs.forEach((glyph, index) => {
+                if (glyph.name === name) indices.push(index);
+            });
+        });
+        return indices;
+    };
+    elements.filter(element => element.name === 'hkern').forEach(({ attributes }) => {
+        const k = Number(attributes.k) || 0;
+        glyphsOf(attributes.u1, attributes.g1).forEach(first => {
+            glyphsOf(attributes.u2, attributes.g2).forEach(second => {
+                kerning.set(`${first},${second}`, k);
+            });
+        });
+    });
+
+    const metrics = inkMetrics(glyphs);
+    const capital = glyphs.find(glyph => glyph.unicode === 'H');
+    return {
+        format: 'svg',
+        name: face['font-family'] || font.id || 'SVG Font',
+        upem,
+        ascender: face.ascent !== undefined ? Number(face.ascent) : metrics.ascender,
+        descender: face.descent !== undefined ? -Math.abs(Number(face.descent)) : metrics.descender,
+        capHeight: face['cap-height'] !== undefined ? Number(face['cap-height']) :
+            (capital && capital.bounds ? capital.bounds.yMax : Math.round(upem * 0.7)),
+        glyphs,
+        kerning
+    };
+}
+
+/**
+ * Parse single-stroke font data
+ * @param {ArrayBuffer|Uint8Array|string} data - Font file contents
+ * @param {Object} options - format ('svg' or 'hershey', detected when
+ *   omitted) and the parseHersheyFont() options
+ * @returns {Object} Stroke font
+ */
+function parseStrokeFont(data, options = {}) {
+    const format = options.format || detectFontFormat(data);
+    const text = fontDataText(data);
+    if (text === null || (format !== 'svg' && format !== 'hershey')) {
+        throw new Error('Not a single-stroke font. Use an SVG font or Hershey .jhf data');
+    }
+    return format === 'svg' ? parseSVGFont(text) : parseHersheyFont(text, options);
+}
+
+export {
+    detectFontFormat,
+    parseHersheyFont,
+    parseSVGFont,
+    parseStrokeFont
+};
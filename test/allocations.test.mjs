@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createShaper, latinFont, hebrewFont } from './helpers.mjs';
+
+const COUNTS = ['blobs', 'faces', 'fonts', 'buffers', 'total', 'blobBytes'];
+
+test('shaping frees its buffers and unloading frees the fonts', async () => {
+    const shaper = await createShaper();
+    let stats = shaper.getAllocationStats();
+    assert.deepEqual([stats.blobs, stats.faces, stats.fonts, stats.buffers], [2, 2, 2, 0]);
+    assert.equal(stats.blobBytes, latinFont.length + hebrewFont.length);
+
+    shaper.shapeText('Hello שלום office', { fontSize: 12, maxWidth: 40, features: 'liga' });
+    shaper.getShapingInfo('Hello שלום', { trace: true });
+    assert.equal(shaper.getAllocationStats().buffers, 0);
+
+    shaper.unloadFont('hebrew');
+    stats = shaper.getAllocationStats();
+    assert.deepEqual([stats.blobs, stats.faces, stats.fonts, stats.buffers], [1, 1, 1, 0]);
+    assert.equal(stats.blobBytes, latinFont.length);
+
+    shaper.unloadFont('latin');
+    shaper.dispose();
+    stats = shaper.getAllocationStats();
+    COUNTS.forEach(kind => assert.equal(stats[kind], 0, kind));
+});
+
+test('dispose frees fonts that are still loaded', async () => {
+    const shaper = await createShaper();
+    shaper.shapeText('Hello', { fontSize: 12 });
+    shaper.dispose();
+    const stats = shaper.getAllocationStats();
+    COUNTS.forEach(kind => assert.equal(stats[kind], 0, kind));
+});
+
+test('loading and unloading a font in a loop does not exhaust the wasm heap', async () => {
+    const shaper = await createShaper();
+    // Far more font data than the heap holds, so any copy left behind on
+    // unload ends in an out-of-memory abort
+    const rounds = Math.ceil(4 * shaper.hbModule.HEAPU8.byteLength / latinFont.length);
+    for (let i = 0; i < rounds; i++) {
+        shaper.loadFont(latinFont, 'loop');
+        shaper.shapeText('office', { fontSize: 12, fontScript: 'loop' });
+        shaper.unloadFont('loop');
+    }
+    shaper.dispose();
+    COUNTS.forEach(kind => assert.equal(shaper.getAllocationStats()[kind], 0, kind));
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createShaper } from './helpers.mjs';
+
+const ROWS = [
+    { text: 'Ada', offset: '' },
+    { text: 'Bob', offset: 'x' },
+    { text: 'Eve', offset: '1' }
+];
+
+['separate', 'sheet'].forEach(layout => {
+    test(`a row with a bad option is reported and skipped in ${layout} layout`, async () => {
+        const shaper = await createShaper();
+        const batch = shaper.renderBatch(ROWS, { layout, fontSize: 20, columns: { offset: 'offset' } });
+
+        assert.equal(batch.manifest.rendered, 2);
+        assert.deepEqual(batch.manifest.errors.map(error => error.index), [1]);
+        assert.match(batch.manifest.errors[0].message, /offset must be a finite number/);
+        if (layout === 'sheet') {
+            assert.deepEqual(batch.rows.map(row => row.x !== undefined), [true, false, true]);
+            assert.match(batch.sheet, /^<svg/);
+        } else {
+            assert.deepEqual(batch.rows.map(row => row.svg !== null), [true, false, true]);
+        }
+    });
+});
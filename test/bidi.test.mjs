@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createShaper } from './helpers.mjs';
+
+test('brackets inside an RTL run are reported as mirrored', async () => {
+    const shaper = await createShaper();
+    const text = 'שלום (עולם)';
+    const result = shaper.shapeText(text, { fontSize: 10 });
+    const open = result.glyphs.find(glyph => glyph.cluster === text.indexOf('('));
+    const close = result.glyphs.find(glyph => glyph.cluster === text.indexOf(')'));
+    assert.equal(open.mirrored, true);
+    assert.equal(close.mirrored, true);
+    assert.equal(result.glyphs.filter(glyph => glyph.mirrored).length, 2);
+});
+
+test('brackets in LTR text are not mirrored', async () => {
+    const shaper = await createShaper();
+    const result = shaper.shapeText('hello (world)', { fontSize: 10 });
+    assert.ok(result.glyphs.every(glyph => !glyph.mirrored));
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createShaper, rectangle, contourAreas, pathArea, windingNumbers } from './helpers.mjs';
+import { unionPath } from '../path_boolean.js';
+import { parsePathData, pathBounds, transformPath } from '../path_geometry.js';
+
+const union = (path, options) => unionPath(parsePathData(path), options);
+
+test('overlapping squares merge into one contour', () => {
+    const result = union(rectangle(0, 0, 10, 10) + rectangle(5, 5, 10, 10));
+    assert.deepEqual(contourAreas(result), [175]);
+});
+
+test('a nested contour of the same direction is absorbed', () => {
+    const result = union(rectangle(0, 0, 10, 10) + rectangle(2, 2, 6, 6));
+    assert.deepEqual(contourAreas(result), [100]);
+});
+
+test('an even-odd inner contour becomes a hole of opposite winding', () => {
+    const result = union(rectangle(0, 0, 10, 10) + rectangle(2, 2, 6, 6), { fillRule: 'evenodd' });
+    assert.deepEqual(contourAreas(result), [100, -36]);
+    const winding = windingNumbers(result);
+    assert.equal(winding(1, 1), 1);
+    assert.equal(winding(5, 5), 0);
+});
+
+test('a Hebrew shin and an overlapping copy fill the same points once', async () => {
+    const shaper = await createShaper();
+    const [glyph] = shaper.shapeText('ש', { fontSize: 10, returnPaths: true }).glyphs;
+    const shin = parsePathData(shaper.getFontEntry('hebrew').font.glyphToPath(glyph.glyphId));
+
+    // The clockwise TrueType contour is turned counter-clockwise and keeps its area
+    const area = -pathArea(shin);
+    assert.ok(area > 0);
+    assert.ok(Math.abs(pathArea(unionPath(shin)) - area) < 1);
+
+    const input = [...shin, ...transformPath(shin, [1, 0, 0, 1, 300, 150])];
+    const result = unionPath(input);
+    const before = windingNumbers(input);
+    const after = windingNumbers(result);
+    const bounds = pathBounds(input);
+    let filled = 0;
+    for (let x = bounds.xMin + 5; x < bounds.xMax; x += 20) {
+        for (let y = bounds.yMin + 5; y < bounds.yMax; y += 20) {
+            const inside = before(x, y) !== 0;
+            assert.equal(after(x, y), inside ? 1 : 0, `winding at ${x},${y}`);
+            filled += inside ? 1 : 0;
+        }
+    }
+    assert.ok(filled > 0);
+    assert.ok(pathArea(result) < 2 * area);
+    assert.ok(Math.abs(pathArea(result) - filled * 400) / pathArea(result) < 0.05);
+});
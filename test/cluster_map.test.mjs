@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createShaper } from './helpers.mjs';
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} is not ${expected}`);
+
+test('carets split where the direction changes', async () => {
+    const shaper = await createShaper();
+    const result = shaper.shapeText('abc שלום def', { fontSize: 20 });
+    const [line] = shaper.getClusterMap(result).lines;
+    const cluster = start => line.clusters.find(candidate => candidate.start === start);
+    // Visual order: abc, space, the Hebrew word reversed, space, def
+    assert.deepEqual(line.clusters.map(candidate => candidate.start), [0, 1, 2, 3, 7, 6, 5, 4, 8, 9, 10, 11]);
+
+    // Before ש: primary after the LTR space, secondary at the right of ש
+    const start = shaper.getCaretPosition(result, 4);
+    assert.equal(start.direction, 'ltr');
+    near(start.x, cluster(3).right);
+    assert.equal(start.secondary.direction, 'rtl');
+    near(start.secondary.x, cluster(4).right);
+
+    // After ם: primary before the LTR space, secondary at the left of ם
+    const end = shaper.getCaretPosition(result, 8);
+    assert.equal(end.direction, 'ltr');
+    near(end.x, cluster(8).left);
+    assert.equal(end.secondary.direction, 'rtl');
+    near(end.secondary.x, cluster(7).left);
+
+    // Inside the RTL run the caret is on the right edge of the next letter
+    const inside = shaper.getCaretPosition(result, 5);
+    assert.equal(inside.direction, 'rtl');
+    assert.equal(inside.secondary, null);
+    near(inside.x, cluster(5).right);
+});
+
+test('a selection across the bidi boundary falls apart into two rectangles', async () => {
+    const shaper = await createShaper();
+    const result = shaper.shapeText('abc שלום def', { fontSize: 20 });
+    const [line] = shaper.getClusterMap(result).lines;
+    const cluster = start => line.clusters.find(candidate => candidate.start === start);
+
+    const rects = shaper.getSelectionRects(result, 2, 6);
+    assert.equal(rects.length, 2);
+    near(rects[0].x, cluster(2).left);
+    near(rects[0].x + rects[0].width, cluster(3).right);
+    near(rects[1].x, cluster(5).left);
+    near(rects[1].x + rects[1].width, cluster(4).right);
+});
+
+test('hit testing in an RTL run counts from the right', async () => {
+    const shaper = await createShaper();
+    const result = shaper.shapeText('abc שלום def', { fontSize: 20 });
+    const [line] = shaper.getClusterMap(result).lines;
+    const lamed = line.clusters.find(candidate => candidate.start === 5);
+
+    assert.equal(shaper.hitTest(result, lamed.right - 0.5, 5).offset, 5);
+    assert.equal(shaper.hitTest(result, lamed.left + 0.5, 5).offset, 6);
+    assert.deepEqual(shaper.hitTest(result, 1, 5), { offset: 0, line: 0, inside: true });
+    assert.equal(shaper.hitTest(result, 1000, 5).inside, false);
+});
+
+test('the ffi ligature is divided evenly between its letters', async () => {
+    const shaper = await createShaper();
+    const result = shaper.shapeText('office', { fontSize: 20 });
+    const [line] = shaper.getClusterMap(result).lines;
+    const ligature = line.clusters.find(candidate => candidate.start === 1);
+    assert.equal(ligature.end, 4);
+    assert.deepEqual(ligature.stops, [1, 2, 3, 4]);
+
+    const third = (ligature.right - ligature.left) / 3;
+    [1, 2, 3, 4].forEach((offset, k) => near(shaper.getCaretPosition(result, offset).x, ligature.left + k * third));
+
+    const [rect] = shaper.getSelectionRects(result, 2, 3);
+    near(rect.x, ligature.left + third);
+    near(rect.width, third);
+
+    assert.equal(shaper.hitTest(result, ligature.left + third * 0.4, 5).offset, 1);
+    assert.equal(shaper.hitTest(result, ligature.left + third * 1.2, 5).offset, 2);
+    assert.equal(shaper.hitTest(result, ligature.left + third * 2.2, 5).offset, 3);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDXF } from '../dxf_export.js';
+
+// A 10 mm square and a triangle on two layers
+const contours = [
+    { layer: 'TEXT_LINE_1', commands: [
+        { type: 'M', values: [0, 0] }, { type: 'L', values: [10, 0] },
+        { type: 'L', values: [10, 10] }, { type: 'L', values: [0, 10] }, { type: 'Z', values: [] }
+    ] },
+    { layer: 'TEXT_LINE_2', commands: [
+        { type: 'M', values: [20, 0] }, { type: 'Q', values: [25, 10, 30, 0] }, { type: 'Z', values: [] }
+    ] }
+];
+
+/**
+ * Split DXF text into objects: { type, section, groups: [[code, value]] }
+ */
+function readObjects(dxf) {
+    const lines = dxf.trimEnd().split('\n');
+    const objects = [];
+    let section = null;
+    for (let i = 0; i < lines.length; i += 2) {
+        const code = Number(lines[i]), value = lines[i + 1];
+        if (code === 0) {
+            objects.push({ type: value, section, groups: [] });
+        } else {
+            objects[objects.length - 1].groups.push([code, value]);
+        }
+        if (code === 2 && objects[objects.length - 1].type === 'SECTION') {
+            section = value;
+        }
+    }
+    return objects;
+}
+
+const group = (object, code) => {
+    const found = object.groups.find(([candidate]) => candidate === code);
+    return found ? found[1] : undefined;
+};
+
+for (const entity of ['LWPOLYLINE', 'SPLINE']) {
+    test(`${entity} files have the AutoCAD 2000 structure`, () => {
+        const objects = readObjects(createDXF(contours, { entity }));
+        const sections = objects.filter(object => object.type === 'SECTION').map(object => group(object, 2));
+        assert.deepEqual(sections, ['HEADER', 'CLASSES', 'TABLES', 'BLOCKS', 'ENTITIES', 'OBJECTS']);
+        assert.equal(objects[objects.length - 1].type, 'EOF');
+
+        const tables = objects.filter(object => object.type === 'TABLE').map(object => group(object, 2));
+        assert.deepEqual(tables, ['VPORT', 'LTYPE', 'LAYER', 'STYLE', 'VIEW', 'UCS', 'APPID', 'DIMSTYLE', 'BLOCK_RECORD']);
+
+        // Handles are unique, below $HANDSEED, and every owner exists
+        const handles = new Map();
+        objects.forEach(object => {
+            const handle = group(object, object.type === 'DIMSTYLE' ? 105 : 5);
+            if (handle !== undefined && object.type !== 'SECTION') {
+                assert.ok(!handles.has(handle), `duplicate handle ${handle}`);
+                handles.set(handle, object);
+            }
+        });
+        const header = objects[0].groups;
+        const seed = parseInt(header[header.findIndex(([, value]) => value === '$HANDSEED') + 1][1], 16);
+        handles.forEach((object, handle) => assert.ok(parseInt(handle, 16) < seed));
+        objects.filter(object => !['SECTION', 'ENDSEC', 'EOF', 'ENDTAB'].includes(object.type)).forEach(object => {
+            const owner = group(object, 330);
+            assert.ok(owner === '0' || handles.has(owner), `${object.type} has no owner`);
+        });
+
+        // Entities belong to model space and are on their layers
+        const modelSpace = objects.find(object => object.type === 'BLOCK_RECORD' && group(object, 2) === '*Model_Space');
+        const entities = objects.filter(object => object.section === 'ENTITIES' && object.type === entity);
+        assert.equal(entities.length, 2);
+        entities.forEach(object => assert.equal(group(object, 330), group(modelSpace, 5)));
+        assert.deepEqual(entities.map(object => group(object, 8)), ['TEXT_LINE_1', 'TEXT_LINE_2']);
+        const layers = objects.filter(object => object.type === 'LAYER').map(object => group(object, 2));
+        assert.deepEqual(layers, ['0', 'TEXT_LINE_1', 'TEXT_LINE_2']);
+
+        // The root dictionary holds the group dictionary
+        const [root, groups] = objects.filter(object => object.type === 'DICTIONARY');
+        assert.equal(group(root, 330), '0');
+        assert.equal(group(root, 350), group(groups, 5));
+    });
+}
+
+test('layer names outside ASCII are escaped', () => {
+    const dxf = createDXF([{ ...contours[0], layer: 'טקסט' }]);
+    assert.match(dxf, /\n\\U\+05D8\\U\+05E7\\U\+05E1\\U\+05D8\n/);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { createShaper } from './helpers.mjs';
+import { detectFontFormat } from '../stroke_fonts.js';
+
+// Hershey glyphs for space, '!' and 'H'
+const HERSHEY = `12345  1JZ
+12345  9MWRFRT RRYQZR[SZRY
+12345  9G]KFK[ RYFY[ RKPYP
+`;
+
+test('fontScript wins over the font registered for the script', async () => {
+    const shaper = await createShaper();
+    shaper.loadFont(HERSHEY, 'hershey', false, { characters: ' !H' });
+
+    const preferred = shaper.shapeText('HiH', { fontSize: 10, fontScript: 'hershey' });
+    assert.deepEqual(preferred.glyphs.map(glyph => glyph.font), ['hershey', 'latin', 'hershey']);
+    assert.equal(preferred.glyphs[0].stroke, true);
+
+    const plain = shaper.shapeText('HiH', { fontSize: 10 });
+    assert.ok(plain.glyphs.every(glyph => glyph.font === 'latin'));
+});
+
+test('WOFF fonts are rejected with a clear error', async () => {
+    const shaper = await createShaper();
+    const woff = readFileSync(new URL('../fonts/OpenSans-Regular.woff', import.meta.url));
+    assert.throws(() => shaper.loadFont(woff, 'web'), /Convert the font to TTF or OTF/);
+    assert.throws(() => detectFontFormat(woff), /WOFF/);
+    assert.equal(shaper.fonts.has('web'), false);
+});
+
+test('vertical metrics come from the hhea and OS/2 tables', async () => {
+    const shaper = await createShaper();
+    const font = shaper.getFontEntry('latin');
+    assert.deepEqual([font.ascender, font.descender, font.capHeight], [2189, -600, 1462]);
+});
+
+test('font names come from the name table', async () => {
+    const shaper = await createShaper();
+    assert.equal(shaper.getFontEntry('hebrew').names.get(1), 'Open Sans Hebrew');
+    assert.deepEqual(shaper.getVariationAxes('latin'), []);
+});
+
+test('features are listed from the GSUB and GPOS tables', async () => {
+    const shaper = await createShaper();
+    const features = new Map(shaper.getFontFeatures('latin').map(feature => [feature.tag, feature]));
+    assert.deepEqual(features.get('liga').tables, ['GSUB']);
+    assert.equal(features.get('liga').enabledByDefault, true);
+    assert.deepEqual(shaper.getFontFeatures('hebrew').map(feature => feature.tag), ['mark']);
+});
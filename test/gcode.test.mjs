@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGCode } from '../gcode_export.js';
+
+// A 10 mm square whose nearest corner to the origin is (10, 10)
+const square = [{ points: [[10, 10], [20, 10], [20, 20], [10, 20]], closed: true }];
+
+test('dry run summary of a square', () => {
+    const { gcode, summary } = createGCode(square, { feedRate: 600, travelRate: 3000, dryRun: true });
+    assert.equal(gcode, null);
+    assert.equal(summary.contourCount, 1);
+    assert.equal(summary.cutLength, 40);
+    // Out to (10, 10) and back to the origin at the end
+    const travel = 2 * Math.hypot(10, 10);
+    assert.ok(Math.abs(summary.travelLength - travel) < 1e-9);
+    assert.ok(Math.abs(summary.estimatedTime - (40 / 600 + travel / 3000) * 60) < 1e-9);
+    assert.deepEqual(summary.bounds, { xMin: 10, yMin: 10, xMax: 20, yMax: 20 });
+});
+
+test('the summary matches the written G-code', () => {
+    const planned = createGCode(square, { mode: 'pen', passes: 2, dryRun: true }).summary;
+    const { gcode, summary } = createGCode(square, { mode: 'pen', passes: 2 });
+    assert.equal(summary.cutLength, planned.cutLength);
+    assert.equal(summary.travelLength, planned.travelLength);
+    assert.equal(summary.estimatedTime, planned.estimatedTime);
+    assert.equal(summary.cutLength, 80);
+    // Two passes start at (10, 10), so the second needs no travel
+    assert.ok(Math.abs(summary.travelLength - 2 * Math.hypot(10, 10)) < 1e-9);
+    assert.match(gcode, /G0 X0 Y0\n$/);
+});
+
+test('a custom footer without a move adds no travel', () => {
+    const { summary } = createGCode(square, { footer: 'M5', dryRun: true });
+    assert.ok(Math.abs(summary.travelLength - Math.hypot(10, 10)) < 1e-9);
+});
@@ -0,0 +1,127 @@
+// Shared setup for the tests, run with `node --test` from the repository root
+// The page loads HarfBuzz and bidi-js as globals with script tags; the tests
+// do the same with require(). HarfBuzz cannot read the WOFF fonts in fonts/,
+// so they are unpacked to plain OpenType data here.
+
+import { createRequire } from 'module';
+import { readFileSync } from 'fs';
+import { inflateSync } from 'zlib';
+import { parsePathData, flattenPath } from '../path_geometry.js';
+
+const require = createRequire(import.meta.url);
+globalThis.createHarfBuzz = require('../lib/hb.js');
+globalThis.hbjs = require('../lib/hbjs.js');
+globalThis.bidi_js = require('../lib/bidi.min.js');
+
+/**
+ * Unpack a WOFF 1.0 font into the OpenType data it wraps
+ * @param {Buffer} woff - WOFF file contents
+ * @returns {Buffer} TTF or OTF data
+ */
+function unpackWOFF(woff) {
+    const flavor = woff.readUInt32BE(4);
+    const numTables = woff.readUInt16BE(12);
+    let searchRange = 1;
+    while (searchRange * 2 <= numTables) searchRange *= 2;
+
+    const header = Buffer.alloc(12 + 16 * numTables);
+    header.writeUInt32BE(flavor, 0);
+    header.writeUInt16BE(numTables, 4);
+    header.writeUInt16BE(searchRange * 16, 6);
+    header.writeUInt16BE(Math.log2(searchRange), 8);
+    header.writeUInt16BE(numTables * 16 - searchRange * 16, 10);
+
+    const parts = [header];
+    let offset = header.length;
+    for (let i = 0; i < numTables; i++) {
+        const entry = 44 + i * 20;
+        const tableOffset = woff.readUInt32BE(entry + 4);
+        const compLength = woff.readUInt32BE(entry + 8);
+        const origLength = woff.readUInt32BE(entry + 12);
+        let data = woff.subarray(tableOffset, tableOffset + compLength);
+        if (compLength < origLength) {
+            data = inflateSync(data);
+        }
+        const record = 12 + i * 16;
+        header.writeUInt32BE(woff.readUInt32BE(entry), record);
+        header.writeUInt32BE(woff.readUInt32BE(entry + 16), record + 4);
+        header.writeUInt32BE(offset, record + 8);
+        header.writeUInt32BE(origLength, record + 12);
+        const padding = Buffer.alloc((4 - data.length % 4) % 4);
+        parts.push(data, padding);
+        offset += data.length + padding.length;
+    }
+    return Buffer.concat(parts);
+}
+
+const latinFont = unpackWOFF(readFileSync(new URL('../fonts/OpenSans-Regular.woff', import.meta.url)));
+const hebrewFont = unpackWOFF(readFileSync(new URL('../fonts/OpenSansHebrew-regular.woff', import.meta.url)));
+
+/**
+ * Create an initialized shaper with the Latin and Hebrew fonts loaded
+ * @returns {Promise<UniversalTextShaper>}
+ */
+async function createShaper() {
+    const { UniversalTextShaper } = await import('../universal_text_shaper.js');
+    const shaper = new UniversalTextShaper();
+    await shaper.initialize();
+    shaper.loadFont(latinFont, 'latin', true);
+    shaper.loadFont(hebrewFont, 'hebrew');
+    return shaper;
+}
+
+/**
+ * Path data of an axis-aligned rectangle, counter-clockwise with y up
+ */
+function rectangle(x, y, width, height) {
+    return `M${x},${y} L${x + width},${y} L${x + width},${y + height} L${x},${y + height} Z`;
+}
+
+/**
+ * Get the signed area of each closed contour, positive counter-clockwise
+ * with y up
+ * @param {string|Array<Object>} path - Path data or path commands
+ * @returns {Array<number>}
+ */
+function contourAreas(path, tolerance = 0.01) {
+    const commands = typeof path === 'string' ? parsePathData(path) : path;
+    return flattenPath(commands, tolerance).filter(polyline => polyline.closed).map(({ points }) =>
+        points.reduce((sum, [x0, y0], i) => {
+            const [x1, y1] = points[(i + 1) % points.length];
+            return sum + x0 * y1 - x1 * y0;
+        }, 0) / 2);
+}
+
+/**
+ * Get the total signed area of a path's closed contours
+ */
+function pathArea(path, tolerance = 0.01) {
+    return contourAreas(path, tolerance).reduce((sum, area) => sum + area, 0);
+}
+
+/**
+ * Build a function returning the winding number of a path around a point
+ * @param {string|Array<Object>} path - Path data or path commands
+ * @returns {function(number, number): number}
+ */
+function windingNumbers(path, tolerance = 0.01) {
+    const commands = typeof path === 'string' ? parsePathData(path) : path;
+    const edges = flattenPath(commands, tolerance).filter(polyline => polyline.closed)
+        .flatMap(({ points }) => points.map((point, i) => [point, points[(i + 1) % points.length]]));
+    return (x, y) => edges.reduce((winding, [[x0, y0], [x1, y1]]) => {
+        if ((y0 <= y) === (y1 <= y)) return winding;
+        const side = (x1 - x0) * (y - y0) - (x - x0) * (y1 - y0);
+        return winding + (y1 > y0 ? (side > 0 ? 1 : 0) : (side < 0 ? -1 : 0));
+    }, 0);
+}
+
+export {
+    unpackWOFF,
+    rectangle,
+    contourAreas,
+    pathArea,
+    windingNumbers,
+    createShaper,
+    latinFont,
+    hebrewFont
+};
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createShaper } from './helpers.mjs';
+import { findLineBreaks } from '../line_breaking.js';
+
+const positions = text => findLineBreaks(text).map(({ position, required }) => (required ? `${position}!` : position));
+
+test('a break is allowed after a space', () => {
+    assert.deepEqual(positions('Hello world'), [6, '11!']);
+    assert.deepEqual(positions('שלום עולם'), [5, '9!']);
+});
+
+test('no break before closing punctuation or an exclamation mark', () => {
+    assert.deepEqual(positions('a (b) c!'), [2, 6, '8!']);
+    assert.deepEqual(positions('f(x) ok! yes'), [5, 9, '12!']);
+});
+
+test('ideographs break anywhere', () => {
+    assert.deepEqual(positions('日本語'), [1, 2, '3!']);
+});
+
+test('a line feed is a mandatory break', () => {
+    assert.deepEqual(positions('a\nb'), ['2!', '3!']);
+    assert.deepEqual(positions('a\r\nb'), ['3!', '4!']);
+});
+
+test('shapeText wraps at break opportunities within maxWidth', async () => {
+    const shaper = await createShaper();
+    const width = shaper.shapeText('Hello world', { fontSize: 20 }).totalWidth;
+    const result = shaper.shapeText('Hello world again', { fontSize: 20, maxWidth: width + 1 });
+    assert.deepEqual(result.lines.map(line => line.text), ['Hello world', 'again']);
+    assert.ok(result.lines.every(line => line.width <= width + 1 && !line.overflow));
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rectangle, contourAreas, pathArea } from './helpers.mjs';
+import { offsetPath, outlinePath } from '../path_offset.js';
+import { parsePathData, reversePath } from '../path_geometry.js';
+
+// A 10 x 10 square with a 4 x 4 hole in the middle: area 84
+const square = parsePathData(rectangle(0, 0, 10, 10));
+const holed = [...square, ...reversePath(parsePathData(rectangle(3, 3, 4, 4)))];
+
+test('growing the outline shrinks its holes', () => {
+    const grown = offsetPath(holed, 1, { join: 'miter' });
+    assert.deepEqual(contourAreas(grown), [144, -4]);
+    assert.equal(pathArea(grown), 140);
+
+    // A hole narrower than twice the distance closes
+    assert.deepEqual(contourAreas(offsetPath(holed, 2, { join: 'miter' })), [196]);
+});
+
+test('shrinking the outline grows its holes', () => {
+    const shrunk = offsetPath(holed, -1, { join: 'miter' });
+    assert.deepEqual(contourAreas(shrunk), [64, -36]);
+    assert.equal(pathArea(shrunk), 28);
+});
+
+test('round joins add quarter circles at the outer corners', () => {
+    const area = pathArea(offsetPath(square, 1));
+    assert.ok(Math.abs(area - (140 + Math.PI)) < 0.05);
+});
+
+test('a ring covers both sides of every contour', () => {
+    assert.equal(pathArea(outlinePath(square, 2, { join: 'miter' })), 80);
+    // 144 - 64 around the outside plus 36 - 4 around the hole
+    assert.equal(pathArea(outlinePath(holed, 2, { join: 'miter' })), 112);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createShaper } from './helpers.mjs';
+
+test('RTL text starts at the end of the path by default', async () => {
+    const shaper = await createShaper();
+    const result = shaper.shapeText('שלום', { fontSize: 10 });
+    const onPath = shaper.layoutOnPath(result, 'M0,0 L100,0');
+
+    assert.equal(onPath.hiddenClusters, 0);
+    assert.equal(onPath.svgElements.length, 4);
+    assert.notEqual(onPath.bakedPath, '');
+    // The line's right edge sits at the end of the path
+    const right = Math.max(...onPath.glyphs.map(glyph => glyph.pathOffset));
+    const last = onPath.glyphs.find(glyph => glyph.pathOffset === right);
+    assert.ok(Math.abs(right + last.advanceX / 2 - 100) < 1e-6);
+});
+
+test('LTR text starts at the start of the path by default', async () => {
+    const shaper = await createShaper();
+    const result = shaper.shapeText('hello', { fontSize: 10 });
+    const onPath = shaper.layoutOnPath(result, 'M0,0 L100,0');
+
+    assert.equal(onPath.hiddenClusters, 0);
+    const left = Math.min(...onPath.glyphs.map(glyph => glyph.pathOffset));
+    const first = onPath.glyphs.find(glyph => glyph.pathOffset === left);
+    assert.ok(Math.abs(left - first.advanceX / 2) < 1e-6);
+});
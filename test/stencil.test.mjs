@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rectangle, contourAreas, windingNumbers } from './helpers.mjs';
+import { stencilPath } from '../path_stencil.js';
+import { parsePathData, reversePath } from '../path_geometry.js';
+
+/**
+ * A 10 x 10 square with a square hole of the given corner and size
+ */
+const ring = (x, y, size) => [
+    ...parsePathData(rectangle(0, 0, 10, 10)),
+    ...reversePath(parsePathData(rectangle(x, y, size, size)))
+];
+
+test('bridges at fixed angles cut the ring into pieces without holes', () => {
+    const result = stencilPath(ring(3, 3, 4), { width: 1 });
+    // Bridges up and down through the 3 wide walls split the ring in two
+    assert.deepEqual(contourAreas(result), [39, 39]);
+
+    const winding = windingNumbers(result);
+    assert.equal(winding(5, 1.5), 0);
+    assert.equal(winding(5, 8.5), 0);
+    assert.equal(winding(1.5, 5), 1);
+});
+
+test('an automatic bridge crosses the thinnest wall', () => {
+    // The wall left of the hole is 2 wide, the others 3 and 4
+    const result = stencilPath(ring(2, 3, 4), { width: 1, count: 1, angles: 'auto' });
+    const areas = contourAreas(result);
+    assert.equal(areas.length, 1);
+    assert.ok(areas[0] > 0 && areas[0] < 84);
+
+    const winding = windingNumbers(result);
+    assert.ok([1, 3, 5].some(y => winding(1, y) === 0));
+    assert.equal(winding(8, 5), 1);
+    assert.equal(winding(4, 8.5), 1);
+});
+
+test('every hole of an automatic stencil gets its bridges', () => {
+    const result = stencilPath(ring(3, 3, 4), { width: 1, angles: 'auto' });
+    const areas = contourAreas(result);
+    // Two bridges cut the ring in two, and no inner contour is left
+    assert.equal(areas.length, 2);
+    assert.ok(areas.every(area => area > 0));
+});
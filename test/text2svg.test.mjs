@@ -0,0 +1,60 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { latinFont } from './helpers.mjs';
+import { run, EXIT_CODES } from '../text2svg.js';
+
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+/**
+ * Run text2svg with captured output
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+async function runCommand(argv) {
+    let stdout = '', stderr = '';
+    const code = await run(argv, {
+        stdin: { isTTY: true },
+        stdout: { write: text => { stdout += text; } },
+        stderr: { write: text => { stderr += text; } }
+    });
+    return { code, stdout, stderr };
+}
+
+const fontDir = fs.mkdtempSync(path.join(os.tmpdir(), 'text2svg-'));
+const fontFile = path.join(fontDir, 'OpenSans-Regular.ttf');
+fs.writeFileSync(fontFile, latinFont);
+after(() => fs.rmSync(fontDir, { recursive: true, force: true }));
+
+test('writes SVG with a TrueType font', async () => {
+    const { code, stdout } = await runCommand(['--font', fontFile, 'Hello']);
+    assert.equal(code, EXIT_CODES.ok);
+    assert.match(stdout, /^<svg /);
+});
+
+test('rejects WOFF fonts as a font error', async () => {
+    const { code, stdout, stderr } = await runCommand(['--font', path.join(root, 'fonts/OpenSans-Regular.woff'), 'Hello']);
+    assert.equal(code, EXIT_CODES.font);
+    assert.equal(stdout, '');
+    assert.match(stderr, /WOFF/);
+});
+
+test('rejects a font without glyphs as a font error', async () => {
+    // An sfnt header without any tables
+    const emptyFile = path.join(fontDir, 'empty.ttf');
+    fs.writeFileSync(emptyFile, Buffer.from([0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]));
+    const { code, stdout, stderr } = await runCommand(['--font', emptyFile, 'Hello']);
+    assert.equal(code, EXIT_CODES.font);
+    assert.equal(stdout, '');
+    assert.match(stderr, /the font has no glyphs/);
+});
+
+test('bad option values are usage errors', async () => {
+    for (const argv of [['--direction', 'up'], ['--features', 'liga[0'], ['--units', 'cm'], ['--size=-3']]) {
+        const { code, stdout } = await runCommand(['--font', fontFile, ...argv, 'Hello']);
+        assert.equal(code, EXIT_CODES.usage, argv.join(' '));
+        assert.equal(stdout, '');
+    }
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createShaper } from './helpers.mjs';
+
+const runTrace = (shaper, options) => shaper.getShapingInfo('office', { trace: true, ...options }).lines[0].runs[0].trace;
+
+test('the trace reports liga firing for office', async () => {
+    const shaper = await createShaper();
+    const trace = runTrace(shaper);
+    assert.ok(trace.firedFeatures.includes('liga'));
+    const liga = trace.lookups.filter(lookup => lookup.feature === 'liga' && lookup.applied);
+    assert.equal(liga.length, 1);
+    assert.equal(liga[0].table, 'GSUB');
+    assert.deepEqual(trace.afterGSUB.map(glyph => glyph.name), ['o', 'f_f_i', 'c', 'e']);
+});
+
+test('turning liga off removes it from the trace', async () => {
+    const shaper = await createShaper();
+    const trace = runTrace(shaper, { features: '-liga' });
+    assert.equal(trace.requestedFeatures, 'liga=0');
+    assert.ok(!trace.firedFeatures.includes('liga'));
+    assert.ok(!trace.lookups.some(lookup => lookup.feature === 'liga' && lookup.applied));
+    assert.deepEqual(trace.afterGSUB.map(glyph => glyph.name), ['o', 'f', 'f', 'i', 'c', 'e']);
+});
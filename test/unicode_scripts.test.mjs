@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { itemizeScripts } from '../unicode_scripts.js';
+
+const runs = text => itemizeScripts(text).map(({ start, end, script }) => `${script} ${text.slice(start, end)}`);
+
+test('a closing bracket takes the script of its opening bracket', () => {
+    assert.deepEqual(runs('abc (שלום) def'), ['Latn abc (', 'Hebr שלום', 'Latn ) def']);
+    assert.deepEqual(runs('שלום (abc) עולם'), ['Hebr שלום (', 'Latn abc', 'Hebr ) עולם']);
+    // Nested pairs close in order across the Hebrew letter
+    assert.deepEqual(runs('a [b (ש] c)'), ['Latn a [b (', 'Hebr ש', 'Latn ] c)']);
+});
+
+test('Common characters merge into the surrounding run', () => {
+    assert.deepEqual(runs('123 abc'), ['Latn 123 abc']);
+    assert.deepEqual(runs('Hello, world! שלום.'), ['Latn Hello, world! ', 'Hebr שלום.']);
+    assert.deepEqual(runs('"שלום" abc'), ['Hebr "שלום" ', 'Latn abc']);
+});
+
+test('Inherited characters join the preceding run', () => {
+    // U+0301 COMBINING ACUTE ACCENT after a Latin and a Hebrew letter
+    assert.deepEqual(runs('e\u0301 שלום'), ['Latn e\u0301 ', 'Hebr שלום']);
+    assert.deepEqual(runs('ש\u0301a'), ['Hebr ש\u0301', 'Latn a']);
+    // Hebrew points stay with their letters
+    assert.deepEqual(runs('abc שָׁלוֹם'), ['Latn abc ', 'Hebr שָׁלוֹם']);
+});
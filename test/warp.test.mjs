@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rectangle } from './helpers.mjs';
+import { warpPath, WARP_STYLES } from '../path_warp.js';
+import { parsePathData } from '../path_geometry.js';
+
+// A 100 x 20 box, y down
+const box = parsePathData(rectangle(0, 0, 100, 20));
+
+/**
+ * End points of the drawing commands, rounded to 1e-9
+ */
+const endPoints = commands => commands.filter(command => command.type !== 'Z').map(({ values }) =>
+    values.slice(-2).map(value => Math.round(value * 1e9) / 1e9 + 0));
+
+const ENVELOPE = { top: 'M0,-10 Q50,-30 100,-10', bottom: 'M0,30 Q50,10 100,30' };
+
+test('bend 0 leaves every style unchanged', () => {
+    WARP_STYLES.filter(style => style !== 'envelope').forEach(style => {
+        const warped = warpPath(box, { style, bend: 0 });
+        const points = new Set(endPoints(warped).map(String));
+        [[0, 0], [100, 0], [100, 20], [0, 20]].forEach(corner => assert.ok(points.has(String(corner)), `${style} ${corner}`));
+        endPoints(warped).forEach(([x, y]) => assert.ok(y === 0 || y === 20 || x === 0 || x === 100, `${style} ${x},${y}`));
+    });
+});
+
+test('an arch raises the middle and keeps the corners', () => {
+    const points = endPoints(warpPath(box, { style: 'arch', bend: 0.5 }));
+    assert.deepEqual(points[0], [0, 0]);
+    assert.ok(points.some(([x, y]) => x === 100 && y === 0));
+    assert.ok(points.some(([x, y]) => x === 100 && y === 20));
+    assert.ok(points.some(([x, y]) => x === 0 && y === 20));
+    // The top middle rises by bend * height
+    assert.ok(points.some(([x, y]) => x === 50 && y === -10));
+    assert.ok(points.some(([x, y]) => x === 50 && y === 10));
+});
+
+test('perspective keeps lines straight', () => {
+    const warped = warpPath(box, { style: 'perspective', bend: 0.5 });
+    assert.deepEqual(warped.map(command => command.type), ['M', 'L', 'L', 'L', 'L', 'Z']);
+    assert.deepEqual(endPoints(warped), [[0, 0], [100, 5], [100, 15], [0, 20], [0, 0]]);
+});
+
+test('an envelope maps the box corners onto the ends of its curves', () => {
+    const warped = warpPath(box, { style: 'envelope', ...ENVELOPE });
+    const points = endPoints(warped).map(String);
+    [[0, -10], [100, -10], [100, 30], [0, 30]].forEach(corner => assert.ok(points.includes(String(corner)), String(corner)));
+    assert.ok(points.includes(String([50, -20])));
+    assert.ok(points.includes(String([50, 20])));
+});
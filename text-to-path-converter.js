@@ -107,6 +107,8 @@ async function initializeUniversalShaper() {
     console.warn('UniversalTextShaper initialized without fonts');
   }
     
+    buildVariationControls();
+    buildFeatureControls();
     console.log('UniversalTextShaper initialized successfully with both fonts');
   } catch (error) {
     console.error('Failed to initialize UniversalTextShaper:', error);
@@ -133,6 +135,119 @@ window.addEventListener('universalTextShaperReady', function() {
   }
 });
 
+// Build one slider per variation axis of the primary font (HarfBuzz mode only)
+function buildVariationControls() {
+  const controls = document.getElementById('controls');
+  const renderGroup = document.getElementById('render-btn').parentElement;
+  document.querySelectorAll('.variation-axis').forEach(group => group.remove());
+  if (!universalShaper || universalShaper.fontChain.length === 0) {
+    return;
+  }
+
+  universalShaper.getVariationAxes().filter(axis => !axis.hidden).forEach(axis => {
+    const id = `axis-${axis.tag}`;
+    const group = document.createElement('div');
+    group.className = 'control-group variation-axis';
+
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = `${axis.name}:`;
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.id = id;
+    input.dataset.axis = axis.tag;
+    input.min = axis.min;
+    input.max = axis.max;
+    input.step = axis.max - axis.min > 10 ? 1 : 0.1;
+    input.value = axis.default;
+
+    const value = document.createElement('div');
+    value.className = 'slider-value';
+    value.textContent = `${axis.default}`;
+    input.addEventListener('input', () => {
+      value.textContent = input.value;
+    });
+
+    group.append(label, input, value);
+    controls.insertBefore(group, renderGroup);
+  });
+}
+
+function getVariationSettings() {
+  const variations = {};
+  document.querySelectorAll('.variation-axis input').forEach(input => {
+    variations[input.dataset.axis] = parseFloat(input.value);
+  });
+  return variations;
+}
+
+// Default features users commonly switch off; other defaults are shaping internals
+const TOGGLED_DEFAULT_FEATURES = ['kern', 'liga', 'calt', 'clig'];
+
+// Build one toggle per optional OpenType feature of the primary font (HarfBuzz mode only).
+// Features that pick between several alternates get a select instead of a checkbox.
+function buildFeatureControls() {
+  const controls = document.getElementById('controls');
+  const renderGroup = document.getElementById('render-btn').parentElement;
+  document.querySelectorAll('.font-features').forEach(group => group.remove());
+  if (!universalShaper || universalShaper.fontChain.length === 0) {
+    return;
+  }
+
+  const features = universalShaper.getFontFeatures()
+    .filter(feature => !feature.enabledByDefault || TOGGLED_DEFAULT_FEATURES.includes(feature.tag));
+  if (features.length === 0) {
+    return;
+  }
+
+  const group = document.createElement('div');
+  group.className = 'control-group font-features';
+  const heading = document.createElement('label');
+  heading.textContent = 'Font Features:';
+  group.append(heading);
+
+  features.forEach(feature => {
+    const id = `feature-${feature.tag.trim()}`;
+    const row = document.createElement('div');
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.title = feature.tag;
+    label.textContent = ` ${feature.name}`;
+
+    let input;
+    if (feature.maxValue > 1) {
+      input = document.createElement('select');
+      for (let value = 0; value <= feature.maxValue; value++) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value === 0 ? 'Off' : `${value}`;
+        input.append(option);
+      }
+      input.value = feature.enabledByDefault ? '1' : '0';
+    } else {
+      input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = feature.enabledByDefault;
+    }
+    input.id = id;
+    input.dataset.feature = feature.tag;
+
+    row.append(input, label);
+    group.append(row);
+  });
+
+  controls.insertBefore(group, renderGroup);
+}
+
+function getFeatureSettings() {
+  const features = {};
+  document.querySelectorAll('.font-features [data-feature]').forEach(input => {
+    features[input.dataset.feature] = input.type === 'checkbox' ? input.checked : parseInt(input.value, 10);
+  });
+  return features;
+}
+
 function getSettings() {
   return {
     text: document.getElementById('text-input').value,
@@ -142,6 +257,9 @@ function getSettings() {
     strokeWidth: parseFloat(document.getElementById('stroke-width').value),
     letterSpacing: parseFloat(document.getElementById('letter-spacing').value),
     direction: document.getElementById('text-direction').value,
+    variations: getVariationSettings(),
+    features: getFeatureSettings(),
+    removeOverlaps: document.getElementById('remove-overlaps').checked,
     displayMode: document.getElementById('display-mode').value
   };
 }
@@ -222,89 +340,39 @@ async function renderHarfBuzzSVGPath(settings) {
       return `<text x="50%" y="50%" font-family="${family}" font-size="${settings.fontSize}" fill="#999" text-anchor="middle" style="font-style: italic;">Enter text to see HarfBuzz output</text>`;
     }
     
-    // Determine paragraph direction
-    let paragraphDirection = 'auto';
-    if (settings.direction === 'ltr') {
-      paragraphDirection = 'ltr';
-    } else if (settings.direction === 'rtl') {
-      paragraphDirection = 'rtl';
-    }
-    
-    // Detect script based on text content
-    const hasHebrew = /[\u0590-\u05FF]/.test(settings.text);
-    const fontScript = hasHebrew ? 'hebrew' : 'latin';
-    
-    // Use hybrid approach: Bidirectional processing + correct font selection
-    console.log('Using hybrid approach with bidirectional text and font selection');
-    
-    // Get visual order from the main processing (it's already calculated above)
-    const textProcessingResult = processTextForBidi(settings.text, settings.direction);
-    
-    // Create paths using visual order and appropriate fonts
-    // Calculate text width first to center it
-    let totalTextWidth = 0;
-    for (let i = 0; i < textProcessingResult.visualOrder.length; i++) {
-      const charIndex = textProcessingResult.visualOrder[i];
-      const char = settings.text[charIndex];
-      
-      let currentFont = font;
-      const isHebrew = /[\u0590-\u05FF]/.test(char);
-      if (isHebrew && hebrewFont) {
-        currentFont = hebrewFont;
-      }
-      
-      if (currentFont) {
-        const glyph = currentFont.charToGlyph(char);
-        const advance = glyph.advanceWidth * (settings.fontSize / currentFont.unitsPerEm);
-        totalTextWidth += advance;
-      } else {
-        totalTextWidth += settings.fontSize * 0.6; // Fallback width
-      }
-    }
-    
-    // Center the text horizontally using the caller-provided canvas width when available
+    // Lay the text out centered in the canvas; maxWidth only sets the
+    // alignment box here since the canvas is wider than the text. Without
+    // the measured canvas width the text is not centered, so it is not
+    // wrapped at a guessed width either
     const canvasWidth = (typeof settings._canvasWidthForCentering === 'number')
       ? settings._canvasWidthForCentering
-      : Math.max(totalTextWidth + 20, 200);
-    const startX = (canvasWidth - totalTextWidth) / 2;
+      : null;
+    const shapingResult = universalShaper.shapeText(settings.text, {
+      units: 'mm',
+      fontSize: settings.fontSize,
+      paragraphDirection: settings.direction === 'rtl' ? 'rtl' : (settings.direction === 'ltr' ? 'ltr' : 'auto'),
+      maxWidth: canvasWidth,
+      align: 'center',
+      lineHeight: 1.2,
+      features: settings.features,
+      letterSpacing: settings.letterSpacing,
+      variations: settings.variations,
+      returnPaths: true
+    });
+    
     // Use the same baseline as the 'entire' text mode
-    const y = settings.fontSize * 1.2;
-    let currentX = startX;
+    const baselineShift = shapingResult.lines.length > 0 ? settings.fontSize * 1.2 - shapingResult.lines[0].y : 0;
     const glyphElements = [];
     
-    for (let i = 0; i < textProcessingResult.visualOrder.length; i++) {
-      const charIndex = textProcessingResult.visualOrder[i];
-      const char = settings.text[charIndex];
-      
-      // Choose the right font based on character
-      let currentFont = font; // Default to Latin font (OpenType.js)
-      const isHebrew = /[\u0590-\u05FF]/.test(char);
-      
-      if (isHebrew) {
-        if (hebrewFont) {
-          currentFont = hebrewFont;
-        } else {
-          console.log(`Skipping Hebrew character '${char}' - Hebrew font not loaded yet`);
-          // Use a placeholder advance width
-          currentX += settings.fontSize * 0.6; // Approximate Hebrew character width
-          continue;
-        }
-      }
-      
-      const glyph = currentFont.charToGlyph(char);
-      
-      const glyphPath = glyph.getPath(currentX, y, settings.fontSize);
-      const pathData = glyphPath.toPathData(3);
-      
-      if (pathData && pathData.trim() !== '') {
+    // Overlapping contours would be cut twice on a laser or CNC machine
+    const elements = settings.removeOverlaps ? universalShaper.removeOverlaps(shapingResult) : shapingResult.svgElements;
+    elements.forEach(element => {
+      const pathData = universalShaper.applyTransformToPath(element.pathJson || element.path, element.x, element.y + baselineShift, element.scale);
+      if (pathData) {
         glyphElements.push(`<path d="${pathData}" fill="${settings.fillColor}" stroke="${settings.strokeColor}" stroke-width="${settings.strokeWidth}"/>`);
       }
-      
-      const advance = glyph.advanceWidth * (settings.fontSize / currentFont.unitsPerEm);
-      currentX += advance;
-    }
+    });
     
-    console.log('Generated', glyphElements.length, 'glyph paths using visual order');
     return glyphElements.join('\n    ');
     
   } catch (error) {
@@ -314,33 +382,6 @@ async function renderHarfBuzzSVGPath(settings) {
   }
 }
 
-// Helper function to process text for bidirectional rendering
-function processTextForBidi(text, direction) {
-  if (!bidiProcessor) {
-    return { visualOrder: Array.from({length: text.length}, (_, i) => i), visualText: text };
-  }
-  
-  try {
-    const embeddingLevels = bidiProcessor.getEmbeddingLevels(text, direction);
-    const reorderSegments = bidiProcessor.getReorderSegments(text, embeddingLevels);
-    
-    // Create visual order mapping
-    let visualOrder = Array.from({length: text.length}, (_, i) => i);
-    reorderSegments.forEach(([start, end]) => {
-      const segment = visualOrder.slice(start, end + 1).reverse();
-      visualOrder.splice(start, end - start + 1, ...segment);
-    });
-    
-    // Create visual text
-    const visualText = visualOrder.map(i => text[i]).join('');
-    
-    return { visualOrder, visualText };
-  } catch (error) {
-    console.error('Error processing bidirectional text:', error);
-    return { visualOrder: Array.from({length: text.length}, (_, i) => i), visualText: text };
-  }
-}
-
 async function renderSVG() {
   if (!font) {
     clearPreview();
@@ -412,18 +453,18 @@ async function renderSVG() {
         totalWidth = 400;
         maxHeight = 100;
       } else {
-        // Detect script and get proper dimensions from UniversalTextShaper
-        const hasHebrew = /[\u0590-\u05FF]/.test(settings.text);
-        const fontScript = hasHebrew ? 'hebrew' : 'latin';
-        
+        // Get proper dimensions from UniversalTextShaper (fonts are picked per run)
+        // The preview SVG maps one user unit to one millimetre
         const shapingResult = universalShaper.shapeText(settings.text, {
+          units: 'mm',
           fontSize: settings.fontSize,
           paragraphDirection: settings.direction === 'rtl' ? 'rtl' : (settings.direction === 'ltr' ? 'ltr' : 'auto'),
           x: 0,
           y: 0,
           lineHeight: 1.2,
-          fontScript: fontScript,
-          features: 'kern,liga',
+          features: settings.features,
+          letterSpacing: settings.letterSpacing,
+          variations: settings.variations,
           returnPaths: true
         });
         
@@ -431,7 +472,7 @@ async function renderSVG() {
         // Match the SVG height formula used by the 'entire' text mode to avoid vertical offset
         maxHeight = settings.fontSize * 1.5;
         
-        // Pass canvas width so the HarfBuzz renderer can center without altering font size
+        // Pass canvas width so the HarfBuzz renderer can align within it without altering font size
         settings._canvasWidthForCentering = totalWidth;
 
         console.log('Calling renderHarfBuzzSVGPath with settings:', settings);
@@ -478,6 +519,46 @@ document.getElementById('render-btn').addEventListener('click', async () => {
   await renderSVG();
 }); 
 
+// Export the HarfBuzz layout as a DXF file in millimetres for CAM software
+function downloadDXF() {
+  const settings = getSettings();
+  if (!universalShaper || universalShaper.fontChain.length === 0) {
+    document.getElementById('svg-preview-area').textContent = 'Font not loaded, cannot export DXF.';
+    return;
+  }
+  if (!settings.text || settings.text.trim() === '') {
+    return;
+  }
+
+  try {
+    const shapingResult = universalShaper.shapeText(settings.text, {
+      units: 'mm',
+      fontSize: settings.fontSize,
+      paragraphDirection: settings.direction === 'rtl' ? 'rtl' : (settings.direction === 'ltr' ? 'ltr' : 'auto'),
+      lineHeight: 1.2,
+      features: settings.features,
+      letterSpacing: settings.letterSpacing,
+      variations: settings.variations,
+      returnPaths: true
+    });
+    const dxf = universalShaper.exportDXF(shapingResult, {
+      layers: 'line',
+      removeOverlaps: settings.removeOverlaps
+    });
+
+    const url = URL.createObjectURL(new Blob([dxf], { type: 'application/dxf' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'text.dxf';
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    document.getElementById('svg-preview-area').textContent = 'Error exporting DXF: ' + error.message;
+  }
+}
+
+document.getElementById('download-dxf-btn').addEventListener('click', downloadDXF);
+
 // Keep slider value labels in sync with the UI
 function updateSliderLabels() {
   const fontSizeEl = document.getElementById('font-size');
@@ -489,15 +570,15 @@ function updateSliderLabels() {
 
   if (fontSizeEl && fontSizeValEl) {
     const v = parseFloat(fontSizeEl.value);
-    fontSizeValEl.textContent = `${v}px (${v}mm)`;
+    fontSizeValEl.textContent = `${v}mm`;
   }
   if (strokeWidthEl && strokeWidthValEl) {
     const v = parseFloat(strokeWidthEl.value);
-    strokeWidthValEl.textContent = `${v}px (${v}mm)`;
+    strokeWidthValEl.textContent = `${v}mm`;
   }
   if (letterSpacingEl && letterSpacingValEl) {
     const v = parseFloat(letterSpacingEl.value);
-    letterSpacingValEl.textContent = `${v}`;
+    letterSpacingValEl.textContent = `${v}mm`;
   }
 }
 
@@ -0,0 +1,549 @@
+#!/usr/bin/env node
+// text2svg: shape text and write it as SVG from the command line
+// Loads HarfBuzz and bidi-js from lib/, the fonts given with --font and
+// the text from the arguments, a file or stdin, and writes the SVG to a
+// file or stdout. With --batch the text is a template filled from each row
+// of a CSV, TSV or JSON file, giving one SVG per row or one tiled sheet.
+//
+//   node text2svg.js --font fonts/OpenSans.ttf --font hebrew=fonts/Hebrew.ttf \
+//       --size 20 --units mm "Hello שלום" -o hello.svg
+//   node text2svg.js --font fonts/OpenSans.ttf --batch names.csv \
+//       --width 80 --height 30 --units mm "{{name}}" --output-dir plates
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { UniversalTextShaper } from './universal_text_shaper.js';
+import { parseRows, fillTemplate } from './batch_data.js';
+
+// Exit codes, so scripts can tell failures apart
+const EXIT_CODES = {
+    ok: 0,
+    error: 1, // Shaping or output failed
+    usage: 2, // Bad arguments or no text
+    font: 3, // A font file is missing, unreadable or has no glyphs, or none was given
+    missingGlyphs: 4, // Some characters have no glyph in any font
+    overflow: 5 // Batch rows that do not fit their plate or maxWidth
+};
+
+const USAGE = `Usage: text2svg [options] [text...]
+
+Text comes from the arguments, from --text-file, or from stdin. In batch
+mode it is a template with {{column}} placeholders (default: {{text}}).
+
+Fonts:
+  -f, --font [script=]file    Font file (OpenType, TrueType, SVG font or Hershey
+                              .jhf); repeat for fallbacks. The first is the default
+      --font-script script    Font to try first for every character
+
+Shaping (see shapeText()):
+  -s, --size n                Font size (default: 72)
+      --cap-height n          Size by the height of capital letters instead
+  -u, --units unit            px, pt, mm or in (default: px)
+      --dpi n                 Pixels per inch for px (default: 96)
+  -d, --direction dir         Paragraph direction: ltr, rtl or auto (default: auto)
+      --features list         OpenType features, e.g. "kern,-liga,ss01"
+      --variations list       Variable font axes, e.g. "wght=650,wdth=90"
+      --language tag          BCP 47 language tag
+      --script tag            ISO 15924 script tag, overriding detection
+      --max-width n           Wrap lines at this width
+      --overflow mode         break-word, clip or ellipsis
+      --align mode            left, right, center, start, end or justify
+      --line-height n         Line height in ems (default: 1.2)
+      --letter-spacing n      Extra space between clusters
+      --word-spacing n        Extra space after word separators
+      --writing-mode mode     horizontal-tb, vertical-rl or vertical-lr
+      --text-orientation m    mixed, upright or sideways
+
+SVG (see createSVG()):
+      --fill color            Fill color (default: black)
+      --stroke color          Stroke color of single-stroke fonts
+      --stroke-width n        Stroke width of single-stroke fonts
+      --remove-overlaps       Unite overlapping contours
+      --flatten n             Replace curves by lines within this tolerance
+      --use-defs              Write each outline once in <defs>
+      --combined              Write one baked <path> (createCombinedPathSVG())
+
+Batch (see renderBatch()):
+  -b, --batch file            Render one text per row of a CSV, TSV or JSON file,
+                              or of stdin for -
+      --batch-format fmt      csv, tsv or json (default: from the file extension)
+      --column option=column  Take an option from a column; repeatable. Columns
+                              fontSize and direction are read unless remapped
+      --width n               Plate width; wider rows are reported as overflow
+      --height n              Plate height; taller rows are reported as overflow
+      --sheet                 Tile the rows into one SVG instead of one per row
+      --sheet-columns n       Plates per sheet row
+      --gap n                 Space between plates on a sheet (default: 0)
+      --output-dir dir        Directory for one SVG per row (default: .)
+      --file-name template    Name of each row's file (default: row-{{#}}.svg,
+                              where {{#}} is the row number)
+      --manifest file         Write the rows with problems as JSON
+
+Input and output:
+  -t, --text-file file        Read the text from a file, or stdin for -
+  -o, --output file           Write the SVG to a file instead of stdout
+      --allow-missing         Exit 0 even when characters have no glyph
+  -h, --help                  Show this help
+
+Exit codes: 0 success, 1 error, 2 bad arguments, 3 font problem, 4 missing glyphs,
+5 batch rows that overflow`;
+
+const OPTIONS = {
+    font: { type: 'string', short: 'f', multiple: true },
+    'font-script': { type: 'string' },
+    size: { type: 'string', short: 's' },
+    'cap-height': { type: 'string' },
+    units: { type: 'string', short: 'u' },
+    dpi: { type: 'string' },
+    direction: { type: 'string', short: 'd' },
+    features: { type: 'string' },
+    variations: { type: 'string' },
+    language: { type: 'string' },
+    script: { type: 'string' },
+    'max-width': { type: 'string' },
+    overflow: { type: 'string' },
+    align: { type: 'string' },
+    'line-height': { type: 'string' },
+    'letter-spacing': { type: 'string' },
+    'word-spacing': { type: 'string' },
+    'writing-mode': { type: 'string' },
+    'text-orientation': { type: 'string' },
+    fill: { type: 'string' },
+    stroke: { type: 'string' },
+    'stroke-width': { type: 'string' },
+    'remove-overlaps': { type: 'boolean' },
+    flatten: { type: 'string' },
+    'use-defs': { type: 'boolean' },
+    combined: { type: 'boolean' },
+    batch: { type: 'string', short: 'b' },
+    'batch-format': { type: 'string' },
+    column: { type: 'string', multiple: true },
+    width: { type: 'string' },
+    height: { type: 'string' },
+    sheet: { type: 'boolean' },
+    'sheet-columns': { type: 'string' },
+    gap: { type: 'string' },
+    'output-dir': { type: 'string' },
+    'file-name': { type: 'string' },
+    manifest: { type: 'string' },
+    'text-file': { type: 'string', short: 't' },
+    output: { type: 'string', short: 'o' },
+    'allow-missing': { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Values of the flags that take one of a list, as shapeText() accepts them
+const CHOICES = {
+    units: ['px', 'pt', 'mm', 'in'],
+    direction: ['ltr', 'rtl', 'auto'],
+    overflow: ['break-word', 'clip', 'ellipsis'],
+    align: ['left', 'right', 'center', 'start', 'end', 'justify'],
+    'writing-mode': ['horizontal-tb', 'vertical-rl', 'vertical-lr'],
+    'text-orientation': ['mixed', 'upright', 'sideways']
+};
+
+/**
+ * Error that ends the command with a given exit code
+ */
+class CommandError extends Error {
+    constructor(message, exitCode) {
+        super(message);
+        this.exitCode = exitCode;
+    }
+}
+
+/**
+ * Read a numeric flag
+ * @param {boolean} positive - Whether the number must be above 0
+ * @returns {number|undefined} The number, or undefined when the flag is absent
+ */
+function numberOption(values, name, positive = false) {
+    if (values[name] === undefined) {
+        return undefined;
+    }
+    const value = Number(values[name]);
+    if (!Number.isFinite(value) || (positive && value <= 0)) {
+        throw new CommandError(`--${name} must be a ${positive ? 'positive ' : ''}number, got "${values[name]}"`, EXIT_CODES.usage);
+    }
+    return value;
+}
+
+/**
+ * Read a flag that takes one of a list of values
+ * @returns {string|undefined} The value, or undefined when the flag is absent
+ */
+function choiceOption(values, name) {
+    const value = values[name];
+    if (value !== undefined && !CHOICES[name].includes(value)) {
+        throw new CommandError(`--${name} must be one of ${CHOICES[name].join(', ')}, got "${value}"`, EXIT_CODES.usage);
+    }
+    return value;
+}
+
+/**
+ * Check a --features list the way shapeText() reads it
+ */
+function parseFeatures(list) {
+    try {
+        UniversalTextShaper.normalizeFeatures(list);
+    } catch (error) {
+        throw new CommandError(`--features: ${error.message}`, EXIT_CODES.usage);
+    }
+    return list;
+}
+
+/**
+ * Parse "wght=650,wdth=90" into { wght: 650, wdth: 90 }
+ */
+function parseVariations(list) {
+    const variations = {};
+    list.split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+        const [tag, value] = item.split('=');
+        if (!tag || value === undefined || !Number.isFinite(Number(value))) {
+            throw new CommandError(`--variations expects tag=number pairs, got "${item}"`, EXIT_CODES.usage);
+        }
+        variations[tag.trim()] = Number(value);
+    });
+    return variations;
+}
+
+/**
+ * Parse --column option=column flags into renderBatch()'s columns option
+ */
+function parseColumns(list) {
+    const columns = {};
+    list.forEach(item => {
+        const match = /^([A-Za-z]\w*)=(.+)$/.exec(item);
+        if (!match) {
+            throw new CommandError(`--column expects option=column, got "${item}"`, EXIT_CODES.usage);
+        }
+        columns[match[1]] = match[2];
+    });
+    return columns;
+}
+
+/**
+ * Parse command-line arguments into shaping, SVG and I/O options
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { help, fonts, text, textFile, output, allowMissing,
+ *   combined, shapeOptions, svgOptions, batch }; batch is null unless
+ *   --batch is given
+ */
+function parseArguments(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+    } catch (error) {
+        throw new CommandError(error.message, EXIT_CODES.usage);
+    }
+    const { values, positionals } = parsed;
+
+    // [script=]file; script names are identifiers, so a path with '/' or '.'
+    // before an '=' is taken whole
+    const fonts = (values.font || []).map((spec, index) => {
+        const match = /^([A-Za-z][\w-]*)=(.+)$/.exec(spec);
+        const file = match ? match[2] : spec;
+        const script = match ? match[1] : (index === 0 ? 'default' : path.basename(file, path.extname(file)));
+        return { script, file };
+    });
+
+    const shapeOptions = {
+        fontSize: numberOption(values, 'size', true),
+        capHeight: numberOption(values, 'cap-height', true),
+        units: choiceOption(values, 'units'),
+        dpi: numberOption(values, 'dpi', true),
+        paragraphDirection: choiceOption(values, 'direction'),
+        fontScript: values['font-script'],
+        features: values.features !== undefined ? parseFeatures(values.features) : undefined,
+        variations: values.variations !== undefined ? parseVariations(values.variations) : undefined,
+        language: values.language,
+        script: values.script,
+        maxWidth: numberOption(values, 'max-width'),
+        overflow: choiceOption(values, 'overflow'),
+        align: choiceOption(values, 'align'),
+        lineHeight: numberOption(values, 'line-height'),
+        letterSpacing: numberOption(values, 'letter-spacing'),
+        wordSpacing: numberOption(values, 'word-spacing'),
+        writingMode: choiceOption(values, 'writing-mode'),
+        textOrientation: choiceOption(values, 'text-orientation')
+    };
+    const svgOptions = {
+        fill: values.fill,
+        stroke: values.stroke,
+        strokeWidth: numberOption(values, 'stroke-width'),
+        removeOverlaps: values['remove-overlaps'],
+        flatten: numberOption(values, 'flatten'),
+        useDefs: values['use-defs']
+    };
+    const defined = options => Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    const batch = values.batch === undefined ? null : {
+        file: values.batch,
+        format: values['batch-format'] || null,
+        columns: parseColumns(values.column || []),
+        layout: values.sheet ? 'sheet' : 'separate',
+        width: numberOption(values, 'width'),
+        height: numberOption(values, 'height'),
+        sheetColumns: numberOption(values, 'sheet-columns'),
+        gap: numberOption(values, 'gap'),
+        outputDir: values['output-dir'] || '.',
+        fileName: values['file-name'] || 'row-{{#}}.svg',
+        manifest: values.manifest || null
+    };
+    if (!batch && ['column', 'width', 'height', 'sheet', 'sheet-columns', 'gap', 'output-dir', 'file-name', 'manifest', 'batch-format']
+        .some(name => values[name] !== undefined)) {
+        throw new CommandError('Batch flags need --batch', EXIT_CODES.usage);
+    }
+    if (batch && batch.layout === 'separate' && values.output !== undefined) {
+        throw new CommandError('--output writes a --sheet; use --output-dir for one SVG per row', EXIT_CODES.usage);
+    }
+
+    return {
+        help: Boolean(values.help),
+        fonts,
+        text: positionals.length > 0 ? positionals.join(' ') : null,
+        textFile: values['text-file'] || null,
+        output: values.output || null,
+        allowMissing: Boolean(values['allow-missing']),
+        combined: Boolean(values.combined),
+        shapeOptions: defined(shapeOptions),
+        svgOptions: defined(svgOptions),
+        batch
+    };
+}
+
+/**
+ * Read a whole stream as UTF-8 text
+ */
+async function readStream(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Load HarfBuzz and bidi-js from lib/ as the globals the shaper expects
+ */
+function loadLibraries() {
+    const require = createRequire(import.meta.url);
+    const lib = path.join(path.dirname(fileURLToPath(import.meta.url)), 'lib');
+    globalThis.createHarfBuzz = require(path.join(lib, 'hb.js'));
+    globalThis.hbjs = require(path.join(lib, 'hbjs.js'));
+    globalThis.bidi_js = require(path.join(lib, 'bidi.min.js'));
+}
+
+/**
+ * Load font files into a shaper, the first as the default
+ * @param {UniversalTextShaper} shaper - Initialized shaper
+ * @param {Array<{script: string, file: string}>} fonts - Fonts from parseArguments()
+ */
+async function loadFonts(shaper, fonts) {
+    if (fonts.length === 0) {
+        throw new CommandError('No font given; use --font file', EXIT_CODES.font);
+    }
+    for (const [index, { script, file }] of fonts.entries()) {
+        let data;
+        try {
+            data = await UniversalTextShaper.createFontBuffer(file);
+        } catch (error) {
+            throw new CommandError(`Cannot read font ${file}: ${error.message}`, EXIT_CODES.font);
+        }
+        try {
+            shaper.loadFont(data, script, index === 0);
+        } catch (error) {
+            throw new CommandError(`Cannot load font ${file}: ${error.message}`, EXIT_CODES.font);
+        }
+        // HarfBuzz gives data it cannot parse an empty face instead of an error
+        if (shaper.getFontEntry(script).unicodes.size === 0) {
+            throw new CommandError(`Cannot load font ${file}: the font has no glyphs`, EXIT_CODES.font);
+        }
+    }
+}
+
+/**
+ * Describe a character that has no glyph
+ */
+function describeMissing({ offset, character, codePoint }) {
+    const hex = codePoint.toString(16).toUpperCase().padStart(4, '0');
+    return `no glyph for U+${hex} "${character}" at offset ${offset}`;
+}
+
+/**
+ * Read batch rows from a file or stdin
+ */
+async function readBatchRows(batch, stdin) {
+    const extension = path.extname(batch.file).slice(1).toLowerCase();
+    const format = batch.format || (extension === 'json' || extension === 'tsv' ? extension : 'csv');
+    let data;
+    try {
+        data = batch.file === '-' ? await readStream(stdin) : fs.readFileSync(batch.file, 'utf8');
+    } catch (error) {
+        throw new CommandError(`Cannot read batch file ${batch.file}: ${error.message}`, EXIT_CODES.usage);
+    }
+    try {
+        return parseRows(data, format);
+    } catch (error) {
+        throw new CommandError(`Cannot read batch file ${batch.file}: ${error.message}`, EXIT_CODES.usage);
+    }
+}
+
+/**
+ * Render batch rows and write their SVGs and manifest
+ * @returns {number} Exit code
+ */
+function writeBatch(shaper, rows, template, options, stdout, stderr) {
+    const { batch } = options;
+    const { rows: rendered, sheet, manifest } = shaper.renderBatch(rows, {
+        ...options.shapeOptions,
+        ...options.svgOptions,
+        template,
+        columns: batch.columns,
+        layout: batch.layout,
+        combined: options.combined,
+        width: batch.width !== undefined ? batch.width : null,
+        height: batch.height !== undefined ? batch.height : null,
+        sheetColumns: batch.sheetColumns !== undefined ? batch.sheetColumns : null,
+        gap: batch.gap !== undefined ? batch.gap : 0
+    });
+
+    const files = [];
+    if (sheet !== null) {
+        if (options.output) {
+            fs.writeFileSync(options.output, `${sheet}\n`);
+        } else {
+            stdout.write(`${sheet}\n`);
+        }
+    } else {
+        // Row numbers count from 1, like the rows of a spreadsheet
+        const digits = String(rows.length).length;
+        const used = new Set();
+        fs.mkdirSync(batch.outputDir, { recursive: true });
+        rendered.filter(row => row.svg).forEach(row => {
+            const number = String(row.index + 1).padStart(digits, '0');
+            let name;
+            try {
+                name = fillTemplate(batch.fileName, { ...rows[row.index], '#': number });
+            } catch (error) {
+                throw new CommandError(`--file-name: ${error.message}`, EXIT_CODES.usage);
+            }
+            name = name.replace(/[/\\:*?"<>|\u0000-\u001F]/g, '_');
+            if (used.has(name)) {
+                // Two rows with the same name keep both files
+                const extension = path.extname(name);
+                name = `${path.basename(name, extension)}-${number}${extension}`;
+            }
+            used.add(name);
+            fs.writeFileSync(path.join(batch.outputDir, name), `${row.svg}\n`);
+            files.push({ index: row.index, file: name });
+        });
+    }
+    if (batch.manifest) {
+        fs.writeFileSync(batch.manifest, `${JSON.stringify(sheet !== null ? manifest : { ...manifest, files }, null, 2)}\n`);
+    }
+
+    manifest.errors.forEach(({ index, message }) => stderr.write(`text2svg: row ${index + 1}: ${message}\n`));
+    manifest.missingGlyphs.forEach(({ index, characters }) => characters.forEach(missing =>
+        stderr.write(`text2svg: row ${index + 1}: ${describeMissing(missing)}\n`)));
+    manifest.overflow.forEach(({ index, reasons }) =>
+        stderr.write(`text2svg: row ${index + 1}: does not fit (${reasons.join(', ')})\n`));
+
+    if (manifest.errors.length > 0) {
+        return EXIT_CODES.error;
+    }
+    if (manifest.missingGlyphs.length > 0 && !options.allowMissing) {
+        return EXIT_CODES.missingGlyphs;
+    }
+    return manifest.overflow.length > 0 ? EXIT_CODES.overflow : EXIT_CODES.ok;
+}
+
+/**
+ * Run text2svg
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} io - stdin, stdout and stderr streams (default: the process's)
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, io = {}) {
+    const { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = io;
+    let shaper = null;
+    try {
+        const options = parseArguments(argv);
+        if (options.help) {
+            stdout.write(`${USAGE}\n`);
+            return EXIT_CODES.ok;
+        }
+
+        const { batch } = options;
+        if (batch && batch.file === '-' && options.textFile === '-') {
+            throw new CommandError('Only one of --batch and --text-file can read stdin', EXIT_CODES.usage);
+        }
+        let text = options.text;
+        if (text === null) {
+            if (options.textFile && options.textFile !== '-') {
+                try {
+                    text = fs.readFileSync(options.textFile, 'utf8');
+                } catch (error) {
+                    throw new CommandError(`Cannot read text file ${options.textFile}: ${error.message}`, EXIT_CODES.usage);
+                }
+            } else if (options.textFile === '-' || (!batch && !stdin.isTTY)) {
+                text = await readStream(stdin);
+            }
+            // Files and echo end with a newline that is not another line
+            text = text !== null ? text.replace(/\r?\n$/, '') : null;
+        } else if (options.textFile) {
+            throw new CommandError('Give the text as arguments or with --text-file, not both', EXIT_CODES.usage);
+        }
+        if (!text && !batch) {
+            throw new CommandError(`No text given\n\n${USAGE}`, EXIT_CODES.usage);
+        }
+        const rows = batch ? await readBatchRows(batch, stdin) : null;
+
+        loadLibraries();
+        shaper = new UniversalTextShaper();
+        await shaper.initialize();
+        await loadFonts(shaper, options.fonts);
+        if (batch) {
+            return writeBatch(shaper, rows, text || '{{text}}', options, stdout, stderr);
+        }
+
+        const result = shaper.shapeText(text, options.shapeOptions);
+        const svg = options.combined ?
+            shaper.createCombinedPathSVG(result, options.svgOptions) :
+            shaper.createSVG(result, options.svgOptions);
+        if (options.output) {
+            fs.writeFileSync(options.output, `${svg}\n`);
+        } else {
+            stdout.write(`${svg}\n`);
+        }
+
+        const missing = shaper.findMissingGlyphs(result);
+        if (missing.length > 0) {
+            missing.forEach(entry => stderr.write(`text2svg: ${describeMissing(entry)}\n`));
+            return options.allowMissing ? EXIT_CODES.ok : EXIT_CODES.missingGlyphs;
+        }
+        return EXIT_CODES.ok;
+    } catch (error) {
+        stderr.write(`text2svg: ${error.message}\n`);
+        return error instanceof CommandError ? error.exitCode : EXIT_CODES.error;
+    } finally {
+        if (shaper) {
+            shaper.dispose();
+        }
+    }
+}
+
+// Run when started as a script rather than imported
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    run(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+export {
+    run,
+    parseArguments,
+    EXIT_CODES
+};
@@ -0,0 +1,332 @@
+// Unicode script data and script itemization (UAX #24)
+
+/**
+ * Script property ranges as ISO 15924 tags, sorted by start code point.
+ * This is a compact version of Scripts.txt: letters are grouped by block and
+ * only Common ('Zyyy') and Inherited ('Zinh') ranges that matter for shaping
+ * are listed separately. Code points outside all ranges are Unknown ('Zzzz').
+ */
+const SCRIPT_RANGES = [
+    [0x0000, 0x0040, 'Zyyy'], [0x0041, 0x005A, 'Latn'], [0x005B, 0x0060, 'Zyyy'],
+    [0x0061, 0x007A, 'Latn'], [0x007B, 0x00A9, 'Zyyy'], [0x00AA, 0x00AA, 'Latn'],
+    [0x00AB, 0x00B9, 'Zyyy'], [0x00BA, 0x00BA, 'Latn'], [0x00BB, 0x00BF, 'Zyyy'],
+    [0x00C0, 0x00D6, 'Latn'], [0x00D7, 0x00D7, 'Zyyy'], [0x00D8, 0x00F6, 'Latn'],
+    [0x00F7, 0x00F7, 'Zyyy'], [0x00F8, 0x02B8, 'Latn'], [0x02B9, 0x02DF, 'Zyyy'],
+    [0x02E0, 0x02E4, 'Latn'], [0x02E5, 0x02FF, 'Zyyy'], [0x0300, 0x036F, 'Zinh'],
+    [0x0370, 0x0373, 'Grek'], [0x0374, 0x0374, 'Zyyy'], [0x0375, 0x037D, 'Grek'],
+    [0x037E, 0x037E, 'Zyyy'], [0x037F, 0x0384, 'Grek'], [0x0385, 0x0385, 'Zyyy'],
+    [0x0386, 0x0386, 'Grek'], [0x0387, 0x0387, 'Zyyy'], [0x0388, 0x03E1, 'Grek'],
+    [0x03E2, 0x03EF, 'Copt'], [0x03F0, 0x03FF, 'Grek'], [0x0400, 0x0484, 'Cyrl'],
+    [0x0485, 0x0486, 'Zinh'], [0x0487, 0x052F, 'Cyrl'], [0x0531, 0x058F, 'Armn'],
+    [0x0591, 0x05F4, 'Hebr'], [0x0600, 0x0604, 'Arab'], [0x0605, 0x0605, 'Zyyy'],
+    [0x0606, 0x060B, 'Arab'], [0x060C, 0x060C, 'Zyyy'], [0x060D, 0x061A, 'Arab'],
+    [0x061B, 0x061C, 'Zyyy'], [0x061D, 0x061E, 'Arab'], [0x061F, 0x061F, 'Zyyy'],
+    [0x0620, 0x063F, 'Arab'], [0x0640, 0x0640, 'Zyyy'], [0x0641, 0x064A, 'Arab'],
+    [0x064B, 0x0655, 'Zinh'], [0x0656, 0x066F, 'Arab'], [0x0670, 0x0670, 'Zinh'],
+    [0x0671, 0x06DC, 'Arab'], [0x06DD, 0x06DD, 'Zyyy'], [0x06DE, 0x06FF, 'Arab'],
+    [0x0700, 0x074F, 'Syrc'], [0x0750, 0x077F, 'Arab'], [0x0780, 0x07BF, 'Thaa'],
+    [0x07C0, 0x07FF, 'Nkoo'], [0x0800, 0x083F, 'Samr'], [0x0840, 0x085F, 'Mand'],
+    [0x0860, 0x086F, 'Syrc'], [0x0870, 0x08FF, 'Arab'], [0x0900, 0x0950, 'Deva'],
+    [0x0951, 0x0954, 'Zinh'], [0x0955, 0x0963, 'Deva'], [0x0964, 0x0965, 'Zyyy'],
+    [0x0966, 0x097F, 'Deva'], [0x0980, 0x09FF, 'Beng'], [0x0A00, 0x0A7F, 'Guru'],
+    [0x0A80, 0x0AFF, 'Gujr'], [0x0B00, 0x0B7F, 'Orya'], [0x0B80, 0x0BFF, 'Taml'],
+    [0x0C00, 0x0C7F, 'Telu'], [0x0C80, 0x0CFF, 'Knda'], [0x0D00, 0x0D7F, 'Mlym'],
+    [0x0D80, 0x0DFF, 'Sinh'], [0x0E00, 0x0E3E, 'Thai'], [0x0E3F, 0x0E3F, 'Zyyy'],
+    [0x0E40, 0x0E7F, 'Thai'], [0x0E80, 0x0EFF, 'Laoo'], [0x0F00, 0x0FD4, 'Tibt'],
+    [0x0FD5, 0x0FD8, 'Zyyy'], [0x0FD9, 0x0FFF, 'Tibt'], [0x1000, 0x109F, 'Mymr'],
+    [0x10A0, 0x10FA, 'Geor'], [0x10FB, 0x10FB, 'Zyyy'], [0x10FC, 0x10FF, 'Geor'],
+    [0x1100, 0x11FF, 'Hang'], [0x1200, 0x139F, 'Ethi'], [0x13A0, 0x13FF, 'Cher'],
+    [0x1400, 0x167F, 'Cans'], [0x1680, 0x169F, 'Ogam'], [0x16A0, 0x16EA, 'Runr'],
+    [0x16EB, 0x16ED, 'Zyyy'], [0x16EE, 0x16FF, 'Runr'], [0x1700, 0x171F, 'Tglg'],
+    [0x1780, 0x17FF, 'Khmr'], [0x1800, 0x18AF, 'Mong'], [0x1AB0, 0x1AFF, 'Zinh'],
+    [0x1C80, 0x1C8F, 'Cyrl'], [0x1C90, 0x1CBF, 'Geor'], [0x1CD0, 0x1CFF, 'Zinh'],
+    [0x1D00, 0x1D25, 'Latn'], [0x1D26, 0x1D2A, 'Grek'], [0x1D2B, 0x1D2B, 'Cyrl'],
+    [0x1D2C, 0x1D5C, 'Latn'], [0x1D5D, 0x1D61, 'Grek'], [0x1D62, 0x1D65, 'Latn'],
+    [0x1D66, 0x1D6A, 'Grek'], [0x1D6B, 0x1D77, 'Latn'], [0x1D78, 0x1D78, 'Cyrl'],
+    [0x1D79, 0x1DBE, 'Latn'], [0x1DBF, 0x1DBF, 'Grek'], [0x1DC0, 0x1DFF, 'Zinh'],
+    [0x1E00, 0x1EFF, 'Latn'], [0x1F00, 0x1FFF, 'Grek'], [0x2000, 0x200B, 'Zyyy'],
+    [0x200C, 0x200D, 'Zinh'], [0x200E, 0x2070, 'Zyyy'], [0x2071, 0x2071, 'Latn'],
+    [0x2072, 0x207E, 'Zyyy'], [0x207F, 0x207F, 'Latn'], [0x2080, 0x208F, 'Zyyy'],
+    [0x2090, 0x209C, 'Latn'], [0x20A0, 0x20CF, 'Zyyy'], [0x20D0, 0x20FF, 'Zinh'],
+    [0x2100, 0x2125, 'Zyyy'], [0x2126, 0x2126, 'Grek'], [0x2127, 0x2129, 'Zyyy'],
+    [0x212A, 0x212B, 'Latn'], [0x212C, 0x2131, 'Zyyy'], [0x2132, 0x2132, 'Latn'],
+    [0x2133, 0x214D, 'Zyyy'], [0x214E, 0x214E, 'Latn'], [0x214F, 0x215F, 'Zyyy'],
+    [0x2160, 0x2188, 'Latn'], [0x2189, 0x27FF, 'Zyyy'], [0x2800, 0x28FF, 'Brai'],
+    [0x2900, 0x2BFF, 'Zyyy'], [0x2C00, 0x2C5F, 'Glag'], [0x2C60, 0x2C7F, 'Latn'],
+    [0x2C80, 0x2CFF, 'Copt'], [0x2D00, 0x2D2F, 'Geor'], [0x2D30, 0x2D7F, 'Tfng'],
+    [0x2D80, 0x2DDF, 'Ethi'], [0x2DE0, 0x2DFF, 'Cyrl'], [0x2E00, 0x2E7F, 'Zyyy'],
+    [0x2E80, 0x2FDF, 'Hani'], [0x2FF0, 0x3004, 'Zyyy'], [0x3005, 0x3005, 'Hani'],
+    [0x3006, 0x3006, 'Zyyy'], [0x3007, 0x3007, 'Hani'], [0x3008, 0x3020, 'Zyyy'],
+    [0x3021, 0x3029, 'Hani'], [0x302A, 0x302D, 'Zinh'], [0x302E, 0x302F, 'Hang'],
+    [0x3030, 0x3037, 'Zyyy'], [0x3038, 0x303B, 'Hani'], [0x303C, 0x303F, 'Zyyy'],
+    [0x3041, 0x3096, 'Hira'], [0x3099, 0x309A, 'Zinh'], [0x309B, 0x309C, 'Zyyy'],
+    [0x309D, 0x309F, 'Hira'], [0x30A0, 0x30A0, 'Zyyy'], [0x30A1, 0x30FA, 'Kana'],
+    [0x30FB, 0x30FC, 'Zyyy'], [0x30FD, 0x30FF, 'Kana'], [0x3105, 0x312F, 'Bopo'],
+    [0x3131, 0x318F, 'Hang'], [0x3190, 0x319F, 'Zyyy'], [0x31A0, 0x31BF, 'Bopo'],
+    [0x31C0, 0x31EF, 'Zyyy'], [0x31F0, 0x31FF, 'Kana'], [0x3200, 0x321E, 'Hang'],
+    [0x3220, 0x325F, 'Zyyy'], [0x3260, 0x327E, 'Hang'], [0x327F, 0x32CF, 'Zyyy'],
+    [0x32D0, 0x32FE, 'Kana'], [0x32FF, 0x33FF, 'Zyyy'], [0x3400, 0x4DBF, 'Hani'],
+    [0x4DC0, 0x4DFF, 'Zyyy'], [0x4E00, 0x9FFF, 'Hani'], [0xA000, 0xA4CF, 'Yiii'],
+    [0xA4D0, 0xA4FF, 'Lisu'], [0xA640, 0xA69F, 'Cyrl'], [0xA6A0, 0xA6FF, 'Bamu'],
+    [0xA700, 0xA721, 'Zyyy'], [0xA722, 0xA787, 'Latn'], [0xA788, 0xA78A, 'Zyyy'],
+    [0xA78B, 0xA7FF, 'Latn'], [0xA800, 0xA82F, 'Sylo'], [0xA840, 0xA87F, 'Phag'],
+    [0xA880, 0xA8DF, 'Saur'], [0xA8E0, 0xA8FF, 'Deva'], [0xA900, 0xA92F, 'Kali'],
+    [0xA960, 0xA97F, 'Hang'], [0xA980, 0xA9DF, 'Java'], [0xAA00, 0xAA5F, 'Cham'],
+    [0xAA60, 0xAA7F, 'Mymr'], [0xAB30, 0xAB5A, 'Latn'], [0xAB5B, 0xAB5B, 'Zyyy'],
+    [0xAB5C, 0xAB64, 'Latn'], [0xAB65, 0xAB65, 'Grek'], [0xAB70, 0xABBF, 'Cher'],
+    [0xAC00, 0xD7FF, 'Hang'], [0xF900, 0xFAFF, 'Hani'], [0xFB00, 0xFB06, 'Latn'],
+    [0xFB13, 0xFB17, 'Armn'], [0xFB1D, 0xFB4F, 'Hebr'], [0xFB50, 0xFD3D, 'Arab'],
+    [0xFD3E, 0xFD3F, 'Zyyy'], [0xFD40, 0xFDFF, 'Arab'], [0xFE00, 0xFE0F, 'Zinh'],
+    [0xFE10, 0xFE1F, 'Zyyy'], [0xFE20, 0xFE2D, 'Zinh'], [0xFE2E, 0xFE2F, 'Cyrl'],
+    [0xFE30, 0xFE6F, 'Zyyy'], [0xFE70, 0xFEFE, 'Arab'], [0xFEFF, 0xFF20, 'Zyyy'],
+    [0xFF21, 0xFF3A, 'Latn'], [0xFF3B, 0xFF40, 'Zyyy'], [0xFF41, 0xFF5A, 'Latn'],
+    [0xFF5B, 0xFF65, 'Zyyy'], [0xFF66, 0xFF6F, 'Kana'], [0xFF70, 0xFF70, 'Zyyy'],
+    [0xFF71, 0xFF9D, 'Kana'], [0xFF9E, 0xFF9F, 'Zyyy'], [0xFFA0, 0xFFDC, 'Hang'],
+    [0xFFE0, 0xFFFF, 'Zyyy'], [0x1F000, 0x1FAFF, 'Zyyy'], [0x20000, 0x2FA1F, 'Hani'],
+    [0x30000, 0x323AF, 'Hani'], [0xE0001, 0xE007F, 'Zyyy'], [0xE0100, 0xE01EF, 'Zinh']
+];
+
+/**
+ * Script_Extensions for the Common and Inherited characters that are shared
+ * by a known set of scripts (ScriptExtensions.txt), sorted by start code point
+ */
+const SCRIPT_EXTENSION_RANGES = [
+    [0x060C, 0x060C, ['Arab', 'Nkoo', 'Rohg', 'Syrc', 'Thaa', 'Yezi']],
+    [0x061B, 0x061B, ['Arab', 'Nkoo', 'Rohg', 'Syrc', 'Thaa', 'Yezi']],
+    [0x061C, 0x061C, ['Arab', 'Syrc', 'Thaa']],
+    [0x061F, 0x061F, ['Adlm', 'Arab', 'Nkoo', 'Rohg', 'Syrc', 'Thaa', 'Yezi']],
+    [0x0640, 0x0640, ['Adlm', 'Arab', 'Mand', 'Mani', 'Ougr', 'Phlp', 'Rohg', 'Sogd', 'Syrc']],
+    [0x064B, 0x0655, ['Arab', 'Syrc']],
+    [0x0660, 0x0669, ['Arab', 'Thaa', 'Yezi']],
+    [0x0670, 0x0670, ['Arab', 'Syrc']],
+    [0x06D4, 0x06D4, ['Arab', 'Rohg']],
+    [0x0951, 0x0952, ['Beng', 'Deva', 'Gran', 'Gujr', 'Guru', 'Knda', 'Latn', 'Mlym', 'Orya', 'Taml', 'Telu', 'Tirh']],
+    [0x0964, 0x0965, ['Beng', 'Deva', 'Dogr', 'Gong', 'Gonm', 'Gran', 'Gujr', 'Guru', 'Knda', 'Mahj', 'Mlym', 'Nand', 'Orya', 'Sind', 'Sinh', 'Sylo', 'Takr', 'Taml', 'Telu', 'Tirh']],
+    [0x0966, 0x096F, ['Deva', 'Dogr', 'Kthi', 'Mahj']],
+    [0x10FB, 0x10FB, ['Geor', 'Latn']],
+    [0x1CD0, 0x1CD2, ['Beng', 'Deva', 'Gran', 'Knda']],
+    [0x3001, 0x3003, ['Bopo', 'Hang', 'Hani', 'Hira', 'Kana', 'Yiii']],
+    [0x3006, 0x3006, ['Hani']],
+    [0x3008, 0x3011, ['Bopo', 'Hang', 'Hani', 'Hira', 'Kana', 'Yiii']],
+    [0x3013, 0x3013, ['Bopo', 'Hang', 'Hani', 'Hira', 'Kana']],
+    [0x3014, 0x301B, ['Bopo', 'Hang', 'Hani', 'Hira', 'Kana', 'Yiii']],
+    [0x301C, 0x301F, ['Bopo', 'Hang', 'Hani', 'Hira', 'Kana']],
+    [0x302A, 0x302D, ['Bopo', 'Hani']],
+    [0x3030, 0x3030, ['Bopo', 'Hang', 'Hani', 'Hira', 'Kana']],
+    [0x3037, 0x3037, ['Bopo', 'Hang', 'Hani', 'Hira', 'Kana']],
+    [0x303C, 0x303D, ['Hani', 'Hira', 'Kana']],
+    [0x3099, 0x309C, ['Hira', 'Kana']],
+    [0x30A0, 0x30A0, ['Hira', 'Kana']],
+    [0x30FB, 0x30FB, ['Bopo', 'Hang', 'Hani', 'Hira', 'Kana', 'Yiii']],
+    [0x30FC, 0x30FC, ['Hira', 'Kana']],
+    [0xFD3E, 0xFD3F, ['Arab', 'Nkoo']],
+    [0xFF61, 0xFF65, ['Bopo', 'Hang', 'Hani', 'Hira', 'Kana', 'Yiii']],
+    [0xFF70, 0xFF70, ['Hira', 'Kana']],
+    [0xFF9E, 0xFF9F, ['Hira', 'Kana']]
+];
+
+/**
+ * Ranges whose Vertical_Orientation is upright (U or Tu/Tr, which fonts fix
+ * up with vert alternates), sorted by start code point. Everything else is
+ * rotated sideways (R) in vertical text. This is a compact version of
+ * VerticalOrientation.txt covering CJK, Hangul, Canadian syllabics, symbols
+ * and fullwidth forms.
+ */
+const VERTICAL_UPRIGHT_RANGES = [
+    [0x00A7, 0x00A7, 'U'], [0x00A9, 0x00A9, 'U'], [0x00AE, 0x00AE, 'U'],
+    [0x00B1, 0x00B1, 'U'], [0x00BC, 0x00BE, 'U'], [0x00D7, 0x00D7, 'U'],
+    [0x00F7, 0x00F7, 'U'], [0x02EA, 0x02EB, 'U'], [0x1100, 0x11FF, 'U'],
+    [0x1401, 0x167F, 'U'], [0x18B0, 0x18FF, 'U'], [0x2016, 0x2016, 'U'],
+    [0x2020, 0x2021, 'U'], [0x2030, 0x2031, 'U'], [0x203B, 0x203C, 'U'],
+    [0x2042, 0x2042, 'U'], [0x2047, 0x2049, 'U'], [0x2051, 0x2051, 'U'],
+    [0x2100, 0x2101, 'U'], [0x2103, 0x2109, 'U'], [0x210F, 0x210F, 'U'],
+    [0x2113, 0x2114, 'U'], [0x2116, 0x2117, 'U'], [0x211E, 0x2123, 'U'],
+    [0x2125, 0x2125, 'U'], [0x2127, 0x2127, 'U'], [0x2129, 0x2129, 'U'],
+    [0x212E, 0x212E, 'U'], [0x2135, 0x213F, 'U'], [0x2145, 0x214A, 'U'],
+    [0x214C, 0x214D, 'U'], [0x214F, 0x2189, 'U'], [0x221E, 0x221E, 'U'],
+    [0x2234, 0x2235, 'U'], [0x2300, 0x2307, 'U'], [0x230C, 0x231F, 'U'],
+    [0x2324, 0x232B, 'U'], [0x237D, 0x239A, 'U'], [0x23BE, 0x23CD, 'U'],
+    [0x23CF, 0x23CF, 'U'], [0x23D1, 0x23DB, 'U'], [0x23E2, 0x2422, 'U'],
+    [0x2424, 0x24FF, 'U'], [0x25A0, 0x2619, 'U'], [0x2620, 0x2767, 'U'],
+    [0x2776, 0x2793, 'U'], [0x2B12, 0x2B2F, 'U'], [0x2B50, 0x2B59, 'U'],
+    [0x2BB8, 0x2BFF, 'U'], [0x2E80, 0xA4CF, 'U'], [0xA960, 0xA97F, 'U'],
+    [0xAC00, 0xD7FF, 'U'], [0xE000, 0xFAFF, 'U'], [0xFE10, 0xFE1F, 'U'],
+    [0xFE30, 0xFE48, 'U'], [0xFE50, 0xFE57, 'U'], [0xFE59, 0xFE62, 'U'],
+    [0xFE67, 0xFE6F, 'U'], [0xFF01, 0xFF0C, 'U'], [0xFF0E, 0xFF1B, 'U'],
+    [0xFF1F, 0xFF60, 'U'], [0xFFE0, 0xFFE7, 'U'], [0xFFF0, 0xFFF8, 'U'],
+    [0xFFFC, 0xFFFD, 'U'], [0x1F000, 0x1FAFF, 'U'], [0x20000, 0x2FFFD, 'U'],
+    [0x30000, 0x3FFFD, 'U']
+];
+
+/**
+ * Font script identifiers used with loadFont() for each ISO 15924 tag
+ */
+const SCRIPT_NAMES = {
+    Latn: 'latin', Grek: 'greek', Cyrl: 'cyrillic', Armn: 'armenian',
+    Hebr: 'hebrew', Arab: 'arabic', Syrc: 'syriac', Thaa: 'thaana',
+    Deva: 'devanagari', Beng: 'bengali', Guru: 'gurmukhi', Gujr: 'gujarati',
+    Orya: 'oriya', Taml: 'tamil', Telu: 'telugu', Knda: 'kannada',
+    Mlym: 'malayalam', Sinh: 'sinhala', Thai: 'thai', Laoo: 'lao',
+    Tibt: 'tibetan', Mymr: 'myanmar', Geor: 'georgian', Hang: 'hangul',
+    Ethi: 'ethiopic', Khmr: 'khmer', Mong: 'mongolian',
+    Hani: 'cjk', Hira: 'cjk', Kana: 'cjk', Bopo: 'cjk'
+};
+
+// Bracket pairs that take the script of their opening bracket (UAX #24)
+const BRACKET_PAIRS = {
+    '(': ')', '[': ']', '{': '}', '«': '»', '‹': '›',
+    '〈': '〉', '《': '》', '「': '」', '『': '』',
+    '【': '】', '〔': '〕', '（': '）', '［': '］',
+    '｛': '｝'
+};
+// Scripts whose letters join, so spacing them apart breaks the connections
+const CURSIVE_SCRIPTS = new Set(['Arab', 'Syrc', 'Mand', 'Mong', 'Nkoo', 'Adlm', 'Rohg', 'Phag', 'Sogd', 'Ougr']);
+
+const CLOSING_BRACKETS = new Set(Object.values(BRACKET_PAIRS));
+
+/**
+ * Binary search a sorted [start, end, value] range table
+ */
+function lookupRange(ranges, codePoint) {
+    let low = 0;
+    let high = ranges.length - 1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        const [start, end, value] = ranges[mid];
+        if (codePoint < start) {
+            high = mid - 1;
+        } else if (codePoint > end) {
+            low = mid + 1;
+        } else {
+            return value;
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the Script property of a code point
+ * @param {number} codePoint - Unicode code point
+ * @returns {string} ISO 15924 tag ('Zyyy' common, 'Zinh' inherited, 'Zzzz' unknown)
+ */
+function getScript(codePoint) {
+    return lookupRange(SCRIPT_RANGES, codePoint) || 'Zzzz';
+}
+
+/**
+ * Get the Script_Extensions property of a code point
+ * @param {number} codePoint - Unicode code point
+ * @returns {Array<string>} ISO 15924 tags the character is used with
+ */
+function getScriptExtensions(codePoint) {
+    return lookupRange(SCRIPT_EXTENSION_RANGES, codePoint) || [getScript(codePoint)];
+}
+
+/**
+ * Whether a tag is one of the placeholder scripts that take their script
+ * from the surrounding text
+ */
+function isNeutralScript(script) {
+    return script === 'Zyyy' || script === 'Zinh' || script === 'Zzzz';
+}
+
+/**
+ * Whether a script is written with joined letters, such as Arabic
+ * @param {string} script - ISO 15924 tag
+ * @returns {boolean}
+ */
+function isCursiveScript(script) {
+    return CURSIVE_SCRIPTS.has(script);
+}
+
+/**
+ * Get the Vertical_Orientation of a code point (UAX #50)
+ * @param {number} codePoint - Unicode code point
+ * @returns {string} 'U' for upright, 'R' for rotated sideways
+ */
+function getVerticalOrientation(codePoint) {
+    return lookupRange(VERTICAL_UPRIGHT_RANGES, codePoint) || 'R';
+}
+
+/**
+ * Get the loadFont() identifier for a script tag
+ * @param {string} script - ISO 15924 tag
+ * @returns {string|null} Identifier such as 'latin' or 'hebrew'
+ */
+function scriptName(script) {
+    return SCRIPT_NAMES[script] || null;
+}
+
+/**
+ * Split text into runs of a single script
+ * Inherited characters (combining marks, ZWJ) join the preceding run, Common
+ * characters join the surrounding run, characters with Script_Extensions stay
+ * in the current run when it uses one of their scripts, and a closing bracket
+ * takes the script of its opening bracket.
+ * @param {string} text - Text to itemize
+ * @returns {Array<{start: number, end: number, script: string}>} Runs in text order
+ */
+function itemizeScripts(text) {
+    const runs = [];
+    const openBrackets = [];
+    let current = null;
+
+    for (let i = 0; i < text.length; ) {
+        const codePoint = text.codePointAt(i);
+        const length = codePoint > 0xFFFF ? 2 : 1;
+        const char = String.fromCodePoint(codePoint);
+        const extensions = getScriptExtensions(codePoint);
+        let script = getScript(codePoint);
+
+        if (isNeutralScript(script) && extensions.length > 1) {
+            // Shared punctuation: keep the current script if it is one of them
+            script = current && extensions.includes(current.script) ? current.script : extensions[0];
+        } else if (isNeutralScript(script) && script !== 'Zinh') {
+            if (BRACKET_PAIRS[char]) {
+                openBrackets.push({ closing: BRACKET_PAIRS[char], run: current, start: i });
+            } else if (CLOSING_BRACKETS.has(char)) {
+                const match = openBrackets.map(bracket => bracket.closing).lastIndexOf(char);
+                if (match >= 0) {
+                    const opening = openBrackets[match];
+                    openBrackets.length = match;
+                    const openingScript = opening.run ? opening.run.script : 'Zyyy';
+                    if (current && !isNeutralScript(openingScript) && current.script !== openingScript) {
+                        current = { start: i, end: i + length, script: openingScript };
+                        runs.push(current);
+                        i += length;
+                        continue;
+                    }
+                }
+            }
+        }
+
+        if (!current) {
+            current = { start: i, end: i + length, script: isNeutralScript(script) ? 'Zyyy' : script };
+            runs.push(current);
+        } else if (isNeutralScript(script) || script === current.script) {
+            current.end = i + length;
+        } else if (current.script === 'Zyyy') {
+            // Leading common characters take the first real script
+            current.script = script;
+            current.end = i + length;
+        } else {
+            current = { start: i, end: i + length, script };
+            runs.push(current);
+        }
+
+        i += length;
+    }
+
+    return runs;
+}
+
+export {
+    getScript,
+    getScriptExtensions,
+    isNeutralScript,
+    isCursiveScript,
+    getVerticalOrientation,
+    scriptName,
+    itemizeScripts,
+    lookupRange
+};
@@ -1,14 +1,113 @@
 // bidi-js is loaded globally via script tag
 
+import { getScript, isNeutralScript, isCursiveScript, getVerticalOrientation, scriptName, itemizeScripts } from './unicode_scripts.js';
+import { parsePathData, parseSVGPath, transformPath, glyphMatrix, formatNumber, pathToString, pathBounds, flattenPath, polylinesToPath, measurePath, pointAtLength } from './path_geometry.js';
+import { findLineBreaks } from './line_breaking.js';
+import { unionPath } from './path_boolean.js';
+import { offsetPath, outlinePath } from './path_offset.js';
+import { stencilPath } from './path_stencil.js';
+import { warpPath } from './path_warp.js';
+import { fillTemplate } from './batch_data.js';
+import { getClusterMap, caretPosition, hitTest, selectionRects } from './cluster_map.js';
+import { createDXF } from './dxf_export.js';
+import { createGCode } from './gcode_export.js';
+import { readInt16, readTableDirectory, readNameTable, readFvarTable, readLayoutFeatures, DEFAULT_FEATURES } from './font_tables.js';
+import { detectFontFormat, parseStrokeFont } from './stroke_fonts.js';
+
+// Font formats loadFont() reads; svg and hershey are single-stroke fonts
+const FONT_FORMATS = ['opentype', 'svg', 'hershey'];
+
+// Default ignorable code points, drawn with no glyph and no advance by
+// stroke fonts as HarfBuzz does for OpenType fonts
+const DEFAULT_IGNORABLE = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180B-\u180F\u200B-\u200F\u202A-\u202E\u2060-\u206F\u3164\uFE00-\uFE0F\uFEFF\uFFA0\uFFF0-\uFFF8]/;
+
+// Output units supported by shapeText(); px depend on the dpi option
+const UNITS_PER_INCH = { in: 1, pt: 72, mm: 25.4 };
+
+// Ways to fit a word that is wider than maxWidth on its own
+const OVERFLOW_MODES = ['break-word', 'clip', 'ellipsis'];
+
+// Characters that wordSpacing applies to, as in CSS
+const WORD_SEPARATORS = new Set([0x0020, 0x00A0, 0x1361, 0x10100, 0x10101, 0x1039F, 0x1091F]);
+
+// Values of the paragraphDirection option
+const PARAGRAPH_DIRECTIONS = ['ltr', 'rtl', 'auto'];
+
+// Values of the align option; start and end follow each paragraph's direction
+const ALIGN_MODES = ['left', 'right', 'center', 'start', 'end', 'justify'];
+
+// Values of the writingMode and textOrientation options, as in CSS
+const WRITING_MODES = ['horizontal-tb', 'vertical-rl', 'vertical-lr'];
+const TEXT_ORIENTATIONS = ['mixed', 'upright', 'sideways'];
+const VERTICAL_FEATURES = [
+    { tag: 'vert', value: 1, start: null, end: null },
+    { tag: 'vrt2', value: 1, start: null, end: null }
+];
+
+// Values of the layoutOnPath() options
+const PATH_ALIGN_MODES = ['left', 'right', 'center', 'start', 'end'];
+const PATH_SIDES = ['above', 'below'];
+const PATH_OVERFLOW_MODES = ['hidden', 'visible', 'fit'];
+
+// Values of the renderBatch() layout option
+const BATCH_LAYOUTS = ['separate', 'sheet'];
+
+// Options renderBatch() reads from row columns unless told otherwise
+const BATCH_COLUMNS = { fontSize: 'fontSize', paragraphDirection: 'direction' };
+
+// Cells that read as numbers become numeric options
+const NUMERIC_CELL = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+// How exportDXF() assigns layers
+const DXF_LAYER_MODES = ['single', 'line', 'glyph'];
+
+// Where exportGCode() puts the machine origin
+const GCODE_ORIGINS = ['bottom-left', 'layout'];
+
+// Mandatory breaks between paragraphs (UAX #14 classes BK, CR, LF and NL)
+const PARAGRAPH_SEPARATOR = /\r\n|[\n\r\v\f\u0085\u2028\u2029]/g;
+
+/**
+ * Advance of a glyph along its line: advanceX, or -advanceY for glyphs set
+ * upright in a vertical column (HarfBuzz's y axis points up)
+ */
+function inlineAdvance(glyph) {
+    return glyph.upright ? -glyph.advanceY : glyph.advanceX;
+}
+
+/**
+ * Add space after a glyph along its line
+ */
+function addInlineAdvance(glyph, amount) {
+    if (glyph.upright) {
+        glyph.advanceY -= amount;
+    } else {
+        glyph.advanceX += amount;
+    }
+}
+
 /**
  * Universal text shaper using the actual HarfBuzz.js API
  * Based on the real hbjs.js wrapper and hb.js module
  */
 class UniversalTextShaper {
-    constructor() {
+    /**
+     * @param {Object} options - Shaper options
+     * @param {number} options.outlineCacheSize - Maximum number of cached glyph outlines (default: 4096)
+     */
+    constructor(options = {}) {
+        const { outlineCacheSize = 4096 } = options;
+        
         this.hb = null;
+        this.hbModule = null;
+        this.bidi = null;
         this.fonts = new Map();
-        this.fallbackFont = null;
+        this.fontChain = []; // Fallback order, default font first
+        this.nextFontId = 1;
+        this.outlineCache = new Map(); // Least recently used first
+        this.outlineCacheSize = outlineCacheSize;
+        this.outlineCacheStats = { hits: 0, misses: 0, evictions: 0 };
+        this.allocations = { blobs: 0, faces: 0, fonts: 0, buffers: 0, blobBytes: 0 };
         this.isReady = false;
     }
 
@@ -26,35 +125,625 @@ class UniversalTextShaper {
             throw new Error('hbjs wrapper not loaded. Include hbjs.js before using this class.');
         }
         
+        this.hbModule = hbModule;
         this.hb = hbjs(hbModule);
         this.isReady = true;
         
         return this;
     }
 
+    /**
+     * Create a HarfBuzz object and count it as live until destroy() is called
+     * @param {string} kind - Key in this.allocations
+     * @param {Function} create - Factory calling the hbjs constructor
+     * @param {number} bytes - Bytes the object copies into the wasm heap
+     */
+    allocate(kind, create, bytes = 0) {
+        const object = create();
+        const destroy = object.destroy;
+        let destroyed = false;
+        
+        this.allocations[kind]++;
+        this.allocations.blobBytes += bytes;
+        object.destroy = () => {
+            if (destroyed) return;
+            destroyed = true;
+            destroy();
+            this.allocations[kind]--;
+            this.allocations.blobBytes -= bytes;
+        };
+        
+        return object;
+    }
+
+    /**
+     * Get the number of live HarfBuzz objects owned by this shaper
+     * Useful in tests to check that shaping and dispose() free everything.
+     * blobBytes is the font data that live blobs hold in the wasm heap.
+     * @returns {{blobs: number, faces: number, fonts: number, buffers: number, total: number, blobBytes: number}}
+     */
+    getAllocationStats() {
+        const { blobs, faces, fonts, buffers, blobBytes } = this.allocations;
+        return {
+            blobs,
+            faces,
+            fonts,
+            buffers,
+            total: blobs + faces + fonts + buffers,
+            blobBytes
+        };
+    }
+
     /**
      * Load a font from ArrayBuffer
-     * @param {ArrayBuffer|Uint8Array} fontBuffer - Binary font data
+     * Fonts form an ordered fallback chain: each run of text is shaped with the
+     * first font in the chain that covers it, preferring fonts registered for
+     * the run's script. Besides OpenType fonts, single-stroke engraving fonts
+     * (SVG fonts and Hershey .jhf data) can be loaded; their glyphs are open
+     * centre lines that the SVG builders stroke instead of filling.
+     * @param {ArrayBuffer|Uint8Array|string} fontBuffer - Binary font data, or the text of an SVG or Hershey font
      * @param {string} script - Script identifier for multi-font setups (optional)
      * @param {boolean} isDefault - Whether this is the default/fallback font
+     * @param {Object} options - format ('opentype', 'svg' or 'hershey',
+     *   detected when omitted) and, for Hershey fonts, characters: the
+     *   character of each glyph in file order (default: from U+0020 upwards)
      */
-    loadFont(fontBuffer, script = 'default', isDefault = false) {
+    loadFont(fontBuffer, script = 'default', isDefault = false, options = {}) {
         if (!this.isReady) {
             throw new Error('Must call initialize() first');
         }
 
+        const format = options.format || detectFontFormat(fontBuffer);
+        if (!FONT_FORMATS.includes(format)) {
+            throw new Error(`Unknown font format: ${format}. Use ${FONT_FORMATS.join(', ')}`);
+        }
+        const entry = format === 'opentype' ?
+            this.createFontEntry(fontBuffer, script) :
+            this.createStrokeFontEntry(parseStrokeFont(fontBuffer, { ...options, format }), script);
+        
+        // Replacing a script keeps its place in the chain
+        const existing = this.fonts.get(script);
+        this.fonts.set(script, entry);
+        if (existing) {
+            this.fontChain[this.fontChain.indexOf(existing)] = entry;
+            this.destroyFontEntry(existing);
+        } else {
+            this.fontChain.push(entry);
+        }
+        
+        if (isDefault) {
+            this.fontChain.splice(this.fontChain.indexOf(entry), 1);
+            this.fontChain.unshift(entry);
+        }
+        
+        return this;
+    }
+
+    /**
+     * Build the font entry of an OpenType font
+     * The HarfBuzz objects are created once and kept for every shaping call.
+     */
+    createFontEntry(fontBuffer, script) {
         // Convert to Uint8Array if needed
         const fontData = fontBuffer instanceof ArrayBuffer ? 
             new Uint8Array(fontBuffer) : fontBuffer;
         
-        // Store font data
-        this.fonts.set(script, fontData);
+        let blob = null;
+        let face = null;
+        let font = null;
+        try {
+            blob = this.allocate('blobs', () => this.hb.createBlob(fontData), fontData.byteLength);
+            face = this.allocate('faces', () => this.hb.createFace(blob, 0));
+            font = this.allocate('fonts', () => this.hb.createFont(face));
+            font.setScale(face.upem, face.upem);
+            
+            const tables = readTableDirectory(fontData);
+            const metrics = this.readFontMetrics(tables, face, font);
+            const names = readNameTable(tables.get('name'));
+            const variations = readFvarTable(tables.get('fvar'), names);
+            const features = this.readFontFeatures(tables, names);
+            
+            return {
+                id: this.nextFontId++,
+                script,
+                format: 'opentype',
+                stroke: false,
+                data: fontData,
+                upem: face.upem,
+                scale: face.upem,
+                variationKey: 'default', // Identifies the variation instance in outline cache keys
+                ...metrics, // ascender, descender, capHeight in font units
+                names, // name table strings by name ID
+                axes: variations.axes,
+                namedInstances: variations.instances,
+                features, // GSUB and GPOS features
+                unicodes: this.collectUnicodes(face),
+                blob,
+                face,
+                font
+            };
+        } catch (error) {
+            if (font) font.destroy();
+            if (face) face.destroy();
+            if (blob) blob.destroy();
+            throw error;
+        }
+    }
+
+    /**
+     * Get the code points a face maps to glyphs
+     * hbjs leaves the array it returns allocated in the wasm heap, so it is
+     * copied into a Set and freed here.
+     * @returns {Set<number>}
+     */
+    collectUnicodes(face) {
+        const unicodes = face.collectUnicodes();
+        const set = new Set(unicodes);
+        this.hbModule.wasmExports.free(unicodes.byteOffset);
+        return set;
+    }
+
+    /**
+     * Build the font entry of a single-stroke font
+     * Stroke fonts are laid out without HarfBuzz: see shapeStrokeRun().
+     * @param {Object} strokeFont - Font from parseStrokeFont()
+     * @param {string} script - Script identifier
+     */
+    createStrokeFontEntry(strokeFont, script) {
+        // Character sequences to glyph indices; sequences of several
+        // characters are ligatures
+        const cmap = new Map();
+        strokeFont.glyphs.forEach((glyph, index) => {
+            if (glyph.unicode && !cmap.has(glyph.unicode)) {
+                cmap.set(glyph.unicode, index);
+            }
+        });
+        const sequences = [...cmap.keys()];
+        
+        return {
+            id: this.nextFontId++,
+            script,
+            format: strokeFont.format,
+            stroke: true,
+            data: null,
+            upem: strokeFont.upem,
+            scale: strokeFont.upem,
+            variationKey: 'default',
+            ascender: strokeFont.ascender,
+            descender: strokeFont.descender,
+            capHeight: strokeFont.capHeight,
+            names: new Map([[1, strokeFont.name]]),
+            axes: [],
+            namedInstances: [],
+            features: [],
+            unicodes: new Set(sequences.filter(sequence => [...sequence].length === 1).map(sequence => sequence.codePointAt(0))),
+            glyphs: strokeFont.glyphs,
+            cmap,
+            maxSequence: Math.max(1, ...sequences.map(sequence => sequence.length)),
+            kerning: strokeFont.kerning,
+            blob: null,
+            face: null,
+            font: null
+        };
+    }
+
+    /**
+     * Read vertical metrics in font units from the hhea and OS/2 tables
+     * The cap height falls back to the height of the 'H' outline for fonts
+     * without an OS/2 version 2 table.
+     * @param {Map<string, Uint8Array>} tables - Tables from readTableDirectory()
+     */
+    readFontMetrics(tables, face, font) {
+        const hhea = tables.get('hhea');
+        const ascender = hhea ? readInt16(hhea, 4) : Math.round(face.upem * 0.8);
+        const descender = hhea ? readInt16(hhea, 6) : -Math.round(face.upem * 0.2);
         
-        if (isDefault || !this.fallbackFont) {
-            this.fallbackFont = fontData;
+        let capHeight = null;
+        const os2 = tables.get('OS/2');
+        if (os2 && readInt16(os2, 0) >= 2 && os2.length >= 90) {
+            capHeight = readInt16(os2, 88);
         }
         
-        return this;
+        if (!capHeight) {
+            const buffer = this.allocate('buffers', () => this.hb.createBuffer());
+            try {
+                buffer.addText('H');
+                buffer.guessSegmentProperties();
+                this.hb.shape(font, buffer);
+                const [glyph] = buffer.json();
+                const bounds = glyph && glyph.g ? pathBounds(parsePathData(font.glyphToPath(glyph.g))) : null;
+                capHeight = bounds ? bounds.yMax : Math.round(face.upem * 0.7);
+            } finally {
+                buffer.destroy();
+            }
+        }
+        
+        return { ascender, descender, capHeight };
+    }
+
+    /**
+     * List the GSUB and GPOS features of a face
+     * A tag found in both tables is listed once with both table names.
+     * @param {Map<string, Uint8Array>} tables - Tables from readTableDirectory()
+     */
+    readFontFeatures(tables, names) {
+        const features = new Map();
+        ['GSUB', 'GPOS'].forEach(tableTag => {
+            readLayoutFeatures(tables.get(tableTag), tableTag, names).forEach(feature => {
+                const existing = features.get(feature.tag);
+                if (existing) {
+                    existing.tables.push(tableTag);
+                    existing.maxValue = Math.max(existing.maxValue, feature.maxValue);
+                } else {
+                    features.set(feature.tag, {
+                        tag: feature.tag,
+                        name: feature.name,
+                        tables: [tableTag],
+                        maxValue: feature.maxValue,
+                        enabledByDefault: DEFAULT_FEATURES.has(feature.tag)
+                    });
+                }
+            });
+        });
+        return [...features.values()].sort((a, b) => (a.tag < b.tag ? -1 : a.tag > b.tag ? 1 : 0));
+    }
+
+    /**
+     * Get a loaded font entry
+     * @param {string|null} script - Script identifier the font was loaded
+     *   with, or null for the first font in the chain
+     * @returns {Object} Font entry
+     */
+    getFontEntry(script = null) {
+        const entry = script === null ? this.getFontChain()[0] : this.fonts.get(script);
+        if (!entry) {
+            throw new Error(`No font loaded for script: ${script}`);
+        }
+        return entry;
+    }
+
+    /**
+     * List the variation axes of a loaded font (from its fvar table)
+     * @param {string|null} script - Font identifier, or null for the first font
+     * @returns {Array<{tag: string, name: string, min: number, default: number, max: number, hidden: boolean}>}
+     *   Axes in font order; empty for static fonts
+     */
+    getVariationAxes(script = null) {
+        return this.getFontEntry(script).axes.map(axis => ({ ...axis }));
+    }
+
+    /**
+     * List the named instances of a loaded variable font, such as "Bold"
+     * or "Condensed Light"
+     * @param {string|null} script - Font identifier, or null for the first font
+     * @returns {Array<{name: string, coordinates: Object, postScriptName: string|null}>}
+     *   Instances whose coordinates can be passed as the variations option
+     */
+    getNamedInstances(script = null) {
+        return this.getFontEntry(script).namedInstances.map(instance => ({
+            ...instance,
+            coordinates: { ...instance.coordinates }
+        }));
+    }
+
+    /**
+     * List the OpenType features a loaded font supports
+     * Stylistic sets and character variants are named from the font's name
+     * table when it has names for them.
+     * @param {string|null} script - Font identifier, or null for the first font
+     * @returns {Array<{tag: string, name: string, tables: Array<string>, maxValue: number, enabledByDefault: boolean}>}
+     *   Features in tag order. maxValue above 1 means the feature selects
+     *   between alternates (salt=2); enabledByDefault features are applied
+     *   by HarfBuzz unless turned off
+     */
+    getFontFeatures(script = null) {
+        return this.getFontEntry(script).features.map(feature => ({
+            ...feature,
+            tables: [...feature.tables]
+        }));
+    }
+
+    /**
+     * Convert the features option to a list of feature settings
+     * Accepts a HarfBuzz style string ("kern,-liga,salt=2,ss01[0:5]"), an
+     * object ({ ss01: true, liga: false, salt: 2 }) or an array of strings
+     * and { tag, value, start, end } objects. start and end are UTF-16
+     * offsets into the text passed to shapeText(); settings without them
+     * apply to all of it.
+     * @param {string|Object|Array|null} features - features option
+     * @returns {Array<{tag: string, value: number, start: number|null, end: number|null}>} Feature settings
+     */
+    static normalizeFeatures(features) {
+        if (features === null || features === undefined || features === '') {
+            return [];
+        }
+        
+        const toValue = (tag, value) => {
+            if (value === undefined || value === true) return 1;
+            if (value === false) return 0;
+            if (!Number.isInteger(value) || value < 0) {
+                throw new Error(`Invalid value for feature ${tag}: ${value}`);
+            }
+            return value;
+        };
+        const fromObject = ({ tag, value, start = null, end = null }) => {
+            if (typeof tag !== 'string' || !/^[\x20-\x7e]{1,4}$/.test(tag)) {
+                throw new Error(`Invalid feature tag: ${tag}`);
+            }
+            if ((start !== null && !Number.isInteger(start)) || (end !== null && !Number.isInteger(end))) {
+                throw new Error(`Feature ${tag} range must use integer offsets`);
+            }
+            return { tag: tag.padEnd(4), value: toValue(tag, value), start, end };
+        };
+        const fromString = item => {
+            const match = /^([+-])?([\x21-\x7e]{1,4}?)(?:\[(\d*)(?::(\d*))?\])?(?:=(\d+|on|off|true|false))?$/.exec(item.trim());
+            if (!match) {
+                throw new Error(`Invalid feature setting: ${item}`);
+            }
+            const [, sign, tag, start, end, value] = match;
+            // "tag[3]" is the single code unit at 3, "tag[3:]" runs to the end
+            const rangeStart = start ? Number(start) : (end !== undefined && start === '' ? 0 : null);
+            const rangeEnd = end ? Number(end) : (start && end === undefined ? Number(start) + 1 : null);
+            let featureValue = sign === '-' ? 0 : 1;
+            if (value !== undefined) {
+                featureValue = value === 'on' || value === 'true' ? 1 : value === 'off' || value === 'false' ? 0 : Number(value);
+            }
+            return fromObject({ tag, value: featureValue, start: rangeStart, end: rangeEnd });
+        };
+        
+        if (typeof features === 'string') {
+            return features.split(',').filter(item => item.trim()).map(fromString);
+        }
+        if (Array.isArray(features)) {
+            return features.map(item => (typeof item === 'string' ? fromString(item) : fromObject(item)));
+        }
+        if (typeof features === 'object') {
+            return Object.entries(features).map(([tag, value]) => fromObject({ tag, value }));
+        }
+        throw new Error('features must be a string, an object or an array');
+    }
+
+    /**
+     * Build the HarfBuzz feature string for one run
+     * Ranged settings are clipped to the run and made run-relative, since
+     * HarfBuzz ranges count clusters of the buffer being shaped.
+     * @param {Array<Object>} features - Settings from normalizeFeatures()
+     * @param {number} runStart - Offset of the run in the shapeText() input
+     * @param {number} runEnd - End offset of the run
+     * @returns {string|undefined} Feature string, or undefined for none
+     */
+    static runFeatureString(features, runStart, runEnd) {
+        const items = [];
+        features.forEach(({ tag, value, start, end }) => {
+            if (start === null && end === null) {
+                items.push(`${tag}=${value}`);
+                return;
+            }
+            const from = Math.max(start ?? 0, runStart);
+            const to = Math.min(end ?? Infinity, runEnd);
+            if (from < to) {
+                items.push(`${tag}[${from - runStart}:${to - runStart}]=${value}`);
+            }
+        });
+        return items.length > 0 ? items.join(',') : undefined;
+    }
+
+    /**
+     * Set the variation coordinates of a font before shaping
+     * HarfBuzz ignores axes the font does not have and clamps values to the
+     * axis range. The font is only updated when the coordinates change.
+     * @param {Object} fontEntry - Font entry from the fallback chain
+     * @param {Object|null} variations - Axis values such as { wght: 650 }, or null for the default instance
+     */
+    applyVariations(fontEntry, variations) {
+        const entries = Object.entries(variations || {})
+            .filter(([tag]) => fontEntry.axes.some(axis => axis.tag === tag))
+            .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+        const key = entries.length > 0 ? entries.map(([tag, value]) => `${tag}=${value}`).join(',') : 'default';
+        
+        if (fontEntry.variationKey !== key) {
+            fontEntry.font.setVariations(Object.fromEntries(entries));
+            fontEntry.variationKey = key;
+        }
+    }
+
+    /**
+     * Unload a font and free its HarfBuzz objects
+     * @param {string} script - Script identifier the font was loaded with
+     * @returns {boolean} Whether a font was unloaded
+     */
+    unloadFont(script) {
+        const entry = this.fonts.get(script);
+        if (!entry) {
+            return false;
+        }
+        
+        this.fonts.delete(script);
+        this.fontChain.splice(this.fontChain.indexOf(entry), 1);
+        this.destroyFontEntry(entry);
+        
+        return true;
+    }
+
+    /**
+     * Free all native resources. The shaper cannot be used afterwards
+     * until initialize() is called again.
+     */
+    dispose() {
+        [...this.fonts.keys()].forEach(script => this.unloadFont(script));
+        this.hb = null;
+        this.hbModule = null;
+        this.isReady = false;
+    }
+
+    /**
+     * Destroy the HarfBuzz objects of a font entry; stroke fonts have none
+     */
+    destroyFontEntry(entry) {
+        this.clearOutlineCache(entry);
+        if (entry.stroke) {
+            return;
+        }
+        entry.font.destroy();
+        entry.face.destroy();
+        entry.blob.destroy();
+    }
+
+    /**
+     * Get a glyph outline, extracting it from the font only on a cache miss
+     * Outlines are shared between all glyphs with the same font, variation
+     * instance, scale and glyph id, so callers must treat them as read-only.
+     * @param {Object} fontEntry - Font entry from the fallback chain
+     * @param {number} glyphId - Glyph id in the font
+     * @returns {{id: string, path: string, pathJson: Array, bounds: Object|null}} Shared outline in font units
+     */
+    getGlyphOutline(fontEntry, glyphId) {
+        const id = `${fontEntry.id}-${fontEntry.variationKey}-${fontEntry.scale}-${glyphId}`;
+        const cached = this.outlineCache.get(id);
+        
+        if (cached) {
+            // Move to the most recently used end
+            this.outlineCache.delete(id);
+            this.outlineCache.set(id, cached);
+            this.outlineCacheStats.hits++;
+            return cached;
+        }
+        
+        this.outlineCacheStats.misses++;
+        let outline;
+        try {
+            let path, pathJson;
+            if (fontEntry.stroke) {
+                // Stroke glyphs are stored at upem; scale them like HarfBuzz does
+                const factor = fontEntry.scale / fontEntry.upem;
+                pathJson = transformPath(fontEntry.glyphs[glyphId].pathJson, [factor, 0, 0, factor, 0, 0]);
+                path = pathToString(pathJson);
+            } else {
+                path = fontEntry.font.glyphToPath(glyphId);
+                pathJson = parsePathData(path);
+            }
+            outline = { id, path, pathJson, bounds: pathBounds(pathJson) };
+        } catch (error) {
+            console.error(`Error getting path for glyph ${glyphId}:`, error);
+            return { id, path: '', pathJson: [], bounds: null };
+        }
+        
+        this.outlineCache.set(id, outline);
+        while (this.outlineCache.size > this.outlineCacheSize) {
+            this.outlineCache.delete(this.outlineCache.keys().next().value);
+            this.outlineCacheStats.evictions++;
+        }
+        
+        return outline;
+    }
+
+    /**
+     * Drop cached outlines, either for one font or for all fonts
+     * @param {Object} fontEntry - Font entry to clear (optional)
+     */
+    clearOutlineCache(fontEntry = null) {
+        if (!fontEntry) {
+            this.outlineCache.clear();
+            return;
+        }
+        
+        const prefix = `${fontEntry.id}-`;
+        [...this.outlineCache.keys()]
+            .filter(id => id.startsWith(prefix))
+            .forEach(id => this.outlineCache.delete(id));
+    }
+
+    /**
+     * Get outline cache statistics
+     * @returns {{size: number, limit: number, hits: number, misses: number, evictions: number, hitRate: number}}
+     */
+    getOutlineCacheStats() {
+        const { hits, misses, evictions } = this.outlineCacheStats;
+        return {
+            size: this.outlineCache.size,
+            limit: this.outlineCacheSize,
+            hits,
+            misses,
+            evictions,
+            hitRate: hits + misses > 0 ? hits / (hits + misses) : 0
+        };
+    }
+
+    /**
+     * Get the fallback chain, optionally with one font moved to the front
+     * @param {string} preferredScript - Script identifier to try first (optional)
+     * @returns {Array<Object>} Font entries in fallback order
+     */
+    getFontChain(preferredScript = null) {
+        if (this.fontChain.length === 0) {
+            throw new Error('No font loaded. Call loadFont() first');
+        }
+        
+        const preferred = preferredScript && this.fonts.get(preferredScript);
+        if (!preferred) {
+            return this.fontChain;
+        }
+        return [preferred, ...this.fontChain.filter(entry => entry !== preferred)];
+    }
+
+    /**
+     * Pick the best font for a code point from a fallback chain
+     * A preferred font that covers the character wins; then fonts
+     * registered for the run's script win over the chain order; if no font
+     * covers the character the first font is used (.notdef).
+     * @param {number} codePoint - Unicode code point
+     * @param {Array<Object>} chain - Font entries in fallback order
+     * @param {string} script - ISO 15924 tag of the run (optional)
+     * @param {Object} preferred - Font entry to try first (optional)
+     */
+    selectFont(codePoint, chain, script = null, preferred = null) {
+        if (preferred && preferred.unicodes.has(codePoint)) {
+            return preferred;
+        }
+        script = script || getScript(codePoint);
+        if (!isNeutralScript(script)) {
+            const name = scriptName(script);
+            const scriptFont = chain.find(entry =>
+                (entry.script === script || entry.script === name) && entry.unicodes.has(codePoint));
+            if (scriptFont) {
+                return scriptFont;
+            }
+        }
+        return chain.find(entry => entry.unicodes.has(codePoint)) || chain[0];
+    }
+
+    /**
+     * Split text into runs that can each be shaped with a single font
+     * @param {string} text - Text of a single script run or a whole line
+     * @param {string} fontScript - Preferred font script identifier (optional)
+     * @param {string} script - ISO 15924 tag of the text (optional)
+     * @returns {Array<{start: number, end: number, font: Object}>} Runs in text order
+     */
+    itemizeFonts(text, fontScript = null, script = null) {
+        const chain = this.getFontChain(fontScript);
+        const preferred = fontScript ? this.fonts.get(fontScript) : null;
+        const runs = [];
+        let current = null;
+        
+        for (let i = 0; i < text.length; ) {
+            const codePoint = text.codePointAt(i);
+            const length = codePoint > 0xFFFF ? 2 : 1;
+            
+            // Spaces, punctuation and marks stay with the surrounding run
+            const keepRun = current && isNeutralScript(getScript(codePoint)) &&
+                current.font.unicodes.has(codePoint);
+            const font = keepRun ? current.font : this.selectFont(codePoint, chain, script, preferred);
+            
+            if (current && current.font === font) {
+                current.end = i + length;
+            } else {
+                current = { start: i, end: i + length, font };
+                runs.push(current);
+            }
+            i += length;
+        }
+        
+        return runs;
     }
 
     /**
@@ -72,6 +761,38 @@ class UniversalTextShaper {
         }
     }
 
+    /**
+     * Convert a length between output units
+     * @param {number} value - Length to convert
+     * @param {string} from - 'px', 'pt', 'mm' or 'in'
+     * @param {string} to - 'px', 'pt', 'mm' or 'in'
+     * @param {number} dpi - Pixels per inch (default: 96, the CSS pixel)
+     * @returns {number} Converted length
+     */
+    static convertUnits(value, from, to, dpi = 96) {
+        const perInch = unit => {
+            if (unit === 'px') return dpi;
+            if (!UNITS_PER_INCH[unit]) {
+                throw new Error(`Unknown unit: ${unit}. Use px, pt, mm or in`);
+            }
+            return UNITS_PER_INCH[unit];
+        };
+        return value * perInch(to) / perInch(from);
+    }
+
+    /**
+     * Format an SVG width/height attribute with a physical unit suffix
+     * Pixels at the CSS resolution stay unitless; other resolutions are
+     * written in inches so the physical size survives.
+     */
+    formatSVGLength(value, units = 'px', dpi = 96) {
+        if (units === 'px') {
+            return dpi === 96 ? formatNumber(value, 4) :
+                `${formatNumber(UniversalTextShaper.convertUnits(value, 'px', 'in', dpi), 6)}in`;
+        }
+        return `${formatNumber(value, 4)}${units}`;
+    }
+
     /**
      * Shape text with automatic script detection and bidi support
      * @param {string} text - Input text
@@ -84,392 +805,1932 @@ class UniversalTextShaper {
         }
 
         const {
-            fontSize = 72,
-            paragraphDirection = 'auto',
-            x = 0,
-            y = 0,
-            lineHeight = 1.2,
-            fontScript = 'default',
-            features = null, // "kern,liga" format
-            returnPaths = true
+            units = 'px', // Unit of every length option and of the result
+            dpi = 96, // Pixels per inch, used when units is 'px'
+            capHeight = null, // Size the text by the height of capital letters instead of fontSize
+            paragraphDirection = 'auto',
+            x = 0,
+            y = 0,
+            lineHeight = 1.2,
+            fontScript = null, // Font to try first, before the fallback chain
+            script = null, // ISO 15924 tag such as 'Arab', overrides detection
+            language = null, // BCP 47 tag, or { Latn: 'tr', Arab: 'ur', default: 'en' }
+            features = null, // "kern,-liga", { ss01: true, salt: 2 } or [{ tag, value, start, end }]
+            maxWidth = null, // Wrap lines at this width; null only breaks at newlines
+            overflow = 'break-word', // Words wider than maxWidth: 'break-word', 'clip' or 'ellipsis'
+            align = 'left', // 'left', 'right', 'center', 'start', 'end' or 'justify'
+            letterSpacing = 0, // Extra space between clusters
+            wordSpacing = 0, // Extra space after word separators
+            cursiveLetterSpacing = false, // Also letter-space cursive scripts such as Arabic
+            variations = null, // Variable font axis values such as { wght: 650, wdth: 90 }
+            writingMode = 'horizontal-tb', // 'horizontal-tb', 'vertical-rl' or 'vertical-lr'
+            textOrientation = 'mixed', // Vertical modes: 'mixed', 'upright' or 'sideways'
+            flatten = null, // Tolerance: also return the outlines as polylines, see flattenOutlines()
+            trace = false, // Record the HarfBuzz trace of each run in line.runs, see getShapingInfo()
+            returnPaths = true
+        } = options;
+        
+        UniversalTextShaper.convertUnits(1, units, 'in', dpi); // Validates the unit
+        
+        // Font units of the first font map to output units through fontSize
+        const primaryFont = this.getFontChain(fontScript)[0];
+        const fontSize = capHeight !== null ?
+            capHeight * primaryFont.upem / primaryFont.capHeight :
+            (options.fontSize !== undefined ? options.fontSize : 72);
+        if (typeof fontSize !== 'number' || !(fontSize > 0) || fontSize === Infinity) {
+            throw new Error(`${capHeight !== null ? 'capHeight' : 'fontSize'} must be a positive number`);
+        }
+        const scale = fontSize / primaryFont.upem;
+        
+        // Line boxes are fontSize * lineHeight tall with the ascender and
+        // descender centered in them, so y is the top of the first line
+        const lineAdvance = fontSize * lineHeight;
+        const ascent = primaryFont.ascender * scale;
+        const descent = -primaryFont.descender * scale;
+        const baselineOffset = (lineAdvance - ascent - descent) / 2 + ascent;
+
+        if (!PARAGRAPH_DIRECTIONS.includes(paragraphDirection)) {
+            throw new Error(`Unknown paragraph direction: ${paragraphDirection}. Use ${PARAGRAPH_DIRECTIONS.join(', ')}`);
+        }
+        if (!OVERFLOW_MODES.includes(overflow)) {
+            throw new Error(`Unknown overflow mode: ${overflow}. Use ${OVERFLOW_MODES.join(', ')}`);
+        }
+        if (!ALIGN_MODES.includes(align)) {
+            throw new Error(`Unknown align mode: ${align}. Use ${ALIGN_MODES.join(', ')}`);
+        }
+        if (variations !== null && (typeof variations !== 'object' ||
+            Object.values(variations).some(value => typeof value !== 'number' || !isFinite(value)))) {
+            throw new Error('variations must map axis tags to numbers, e.g. { wght: 650 }');
+        }
+        const featureSettings = UniversalTextShaper.normalizeFeatures(features);
+        if (!WRITING_MODES.includes(writingMode)) {
+            throw new Error(`Unknown writing mode: ${writingMode}. Use ${WRITING_MODES.join(', ')}`);
+        }
+        if (!TEXT_ORIENTATIONS.includes(textOrientation)) {
+            throw new Error(`Unknown text orientation: ${textOrientation}. Use ${TEXT_ORIENTATIONS.join(', ')}`);
+        }
+        if (flatten !== null && (!returnPaths || !(flatten > 0))) {
+            throw new Error('flatten must be a positive tolerance and needs returnPaths');
+        }
+        
+        // Vertical lines are columns: maxWidth and align work along the
+        // column from y downwards, and columns are stacked from x
+        const vertical = writingMode !== 'horizontal-tb';
+        const lineOptions = {
+            fontSize, x, fontScript, script, language, features: featureSettings, variations,
+            letterSpacing, wordSpacing, cursiveLetterSpacing,
+            vertical, textOrientation
+        };
+        const shapedLines = [];
+        
+        // 1. Split into paragraphs at mandatory breaks and wrap each one
+        this.splitParagraphs(text).forEach((paragraph, paragraphIndex) => {
+            const paragraphText = text.slice(paragraph.start, paragraph.end);
+            // Upright text has no bidi reordering, as in CSS
+            const bidi = vertical && textOrientation === 'upright' ?
+                { levels: new Uint8Array(paragraphText.length), paragraphLevel: 0, mirrored: new Set() } :
+                this.getBidiLevels(paragraphText, paragraphDirection);
+            const segments = maxWidth !== null && paragraphText ?
+                this.wrapParagraph(paragraphText, bidi, { ...lineOptions, sourceOffset: paragraph.start, maxWidth, overflow }) :
+                [{ start: 0, end: paragraphText.length, text: paragraphText, overflow: null }];
+            
+            // 2. Shape each line in logical order, then reorder runs visually
+            segments.forEach(segment => {
+                const lineTop = y + shapedLines.length * lineAdvance;
+                const shapedLine = this.shapeLine(segment.text, {
+                    ...lineOptions,
+                    y: lineTop + baselineOffset,
+                    sourceOffset: paragraph.start + segment.start,
+                    bidi: this.getLineBidiLevels(bidi, segment),
+                    trace,
+                    returnPaths
+                });
+                
+                if (!vertical) {
+                    shapedLine.top = lineTop;
+                }
+                shapedLine.start = paragraph.start + segment.start;
+                shapedLine.end = paragraph.start + segment.end;
+                shapedLine.paragraph = paragraphIndex;
+                shapedLine.overflow = segment.overflow;
+                shapedLines.push(shapedLine);
+            });
+        });
+        
+        // 3. Align lines within maxWidth, or within the longest line
+        const alignWidth = maxWidth !== null ? maxWidth : Math.max(0, ...shapedLines.map(line => line.width));
+        this.alignLines(shapedLines, { align, origin: vertical ? y : x, width: alignWidth, vertical });
+        if (vertical) {
+            this.placeColumns(shapedLines, { writingMode, x, columnWidth: lineAdvance });
+        }
+        
+        // 4. Combine results, resolving 'auto' to the first paragraph's direction
+        const firstLine = shapedLines.find(line => line.text) || shapedLines[0];
+        const direction = paragraphDirection === 'auto' && firstLine ?
+            firstLine.direction : paragraphDirection;
+        const result = this.combineLines(shapedLines, text, direction, {
+            units,
+            dpi,
+            fontSize,
+            x,
+            y,
+            writingMode,
+            ascent,
+            descent,
+            totalWidth: vertical ? shapedLines.length * lineAdvance : undefined,
+            totalHeight: vertical ? undefined : shapedLines.length * lineAdvance
+        });
+        if (flatten !== null) {
+            result.flattened = this.flattenOutlines(result, { tolerance: flatten });
+        }
+        return result;
+    }
+
+    /**
+     * Position lines along their length within [origin, origin + width]
+     * Justified lines stretch the gaps between words to fill the width, or
+     * the gaps between clusters when a line has no spaces. The last line of
+     * a paragraph and lines holding an overlong word are aligned to start.
+     * Horizontal lines get their x, vertical columns their y; in columns
+     * 'left' and 'start' are the top.
+     * @param {Array<Object>} lines - Shaped lines in layout order
+     * @param {Object} options - align, origin and width of the alignment box, and vertical
+     */
+    alignLines(lines, options) {
+        const { align, origin, width, vertical = false } = options;
+        
+        lines.forEach((line, index) => {
+            let mode = align;
+            if (mode === 'justify') {
+                const next = lines[index + 1];
+                const lastInParagraph = !next || next.paragraph !== line.paragraph;
+                if (!lastInParagraph && !line.overflow) {
+                    this.justifyLine(line, width);
+                }
+                mode = 'start';
+            }
+            if (mode === 'start' || mode === 'end') {
+                const reversed = !vertical && line.direction === 'rtl';
+                mode = (mode === 'start') === reversed ? 'right' : 'left';
+            }
+            
+            const freeSpace = width - line.width;
+            const position = origin + (mode === 'right' ? freeSpace : mode === 'center' ? freeSpace / 2 : 0);
+            if (vertical) {
+                line.y = position;
+            } else {
+                line.x = position;
+            }
+        });
+    }
+
+    /**
+     * Place vertical lines as columns, right to left for 'vertical-rl' and
+     * left to right for 'vertical-lr'
+     * Each column reports its left edge and its x, the central baseline
+     * that upright glyphs are centered on.
+     * @param {Array<Object>} lines - Aligned lines in layout order
+     * @param {Object} options - writingMode, x (left edge of the layout) and columnWidth
+     */
+    placeColumns(lines, options) {
+        const { writingMode, x, columnWidth } = options;
+        
+        lines.forEach((line, index) => {
+            const column = writingMode === 'vertical-rl' ? lines.length - 1 - index : index;
+            line.left = x + column * columnWidth;
+            line.x = line.left + columnWidth / 2;
+        });
+    }
+
+    /**
+     * Stretch a line to the given width by widening its spaces, or by
+     * spacing its clusters apart when it has none
+     * @param {Object} line - Shaped line; glyph advances are updated in place
+     * @param {number} width - Target width
+     */
+    justifyLine(line, width) {
+        const extra = width - line.width;
+        if (extra <= 0 || line.glyphs.length < 2) {
+            return;
+        }
+        
+        let gaps = line.glyphs.filter(glyph => /\s/.test(line.text[glyph.cluster]));
+        if (gaps.length === 0) {
+            // Glyphs followed by a different cluster in visual order
+            gaps = line.glyphs.filter((glyph, i) =>
+                i < line.glyphs.length - 1 && line.glyphs[i + 1].cluster !== glyph.cluster);
+        }
+        if (gaps.length === 0) {
+            return;
+        }
+        
+        gaps.forEach(glyph => addInlineAdvance(glyph, extra / gaps.length));
+        line.width = width;
+        line.justified = true;
+    }
+
+    /**
+     * Split text into paragraphs at mandatory line breaks
+     * CR LF counts as a single break; blank paragraphs are kept.
+     * @param {string} text - Input text
+     * @returns {Array<{start: number, end: number}>} Source ranges without the breaks
+     */
+    splitParagraphs(text) {
+        const paragraphs = [];
+        let start = 0;
+        let match;
+        
+        PARAGRAPH_SEPARATOR.lastIndex = 0;
+        while ((match = PARAGRAPH_SEPARATOR.exec(text)) !== null) {
+            paragraphs.push({ start, end: match.index });
+            start = match.index + match[0].length;
+        }
+        paragraphs.push({ start, end: text.length });
+        
+        return paragraphs;
+    }
+
+    /**
+     * Break a paragraph into lines no wider than maxWidth
+     * The paragraph is shaped once to measure each cluster, then lines are
+     * filled greedily up to the last UAX #14 break opportunity that fits.
+     * Whitespace at a wrap point hangs: it is left out of both lines. A word
+     * that is wider than maxWidth on its own is handled by the overflow mode:
+     * 'break-word' splits it between clusters, 'clip' drops the clusters past
+     * maxWidth and 'ellipsis' replaces them with U+2026.
+     * @param {string} text - Paragraph text
+     * @param {Object} bidi - Paragraph levels from getBidiLevels()
+     * @param {Object} options - maxWidth, overflow and the shapeLine() options
+     * @returns {Array<{start: number, end: number, text: string, overflow: string|null}>}
+     *   Lines with paragraph-relative source ranges
+     */
+    wrapParagraph(text, bidi, options) {
+        const { maxWidth, overflow, ...lineOptions } = options;
+        
+        // Advance of each cluster, stored at its first code unit
+        const measured = this.shapeLine(text, { ...lineOptions, y: 0, bidi, returnPaths: false });
+        const offsets = new Float64Array(text.length + 1);
+        const clusterStarts = new Set([text.length]);
+        measured.glyphs.forEach(glyph => {
+            offsets[glyph.cluster + 1] += inlineAdvance(glyph);
+            clusterStarts.add(glyph.cluster);
+        });
+        for (let i = 1; i <= text.length; i++) {
+            offsets[i] += offsets[i - 1];
+        }
+        
+        const contentEnd = (start, end) => {
+            while (end > start && /\s/.test(text[end - 1])) {
+                end--;
+            }
+            return end;
+        };
+        const fits = (start, end, extra = 0) =>
+            offsets[contentEnd(start, end)] - offsets[start] + extra <= maxWidth + 1e-9;
+        
+        // Last cluster boundary after start where the line still fits
+        const fittingEnd = (start, end, extra = 0) => {
+            let best = start;
+            for (let i = start + 1; i <= end; i++) {
+                if (clusterStarts.has(i) && fits(start, i, extra)) {
+                    best = i;
+                }
+            }
+            return best;
+        };
+        
+        let ellipsisWidth = 0;
+        if (overflow === 'ellipsis') {
+            ellipsisWidth = this.shapeLine('\u2026', { ...lineOptions, y: 0, paragraphDirection: 'ltr', returnPaths: false }).width;
+        }
+        
+        const lines = [];
+        const breaks = findLineBreaks(text);
+        let lineStart = 0;
+        let lastFit = null;
+        
+        for (let b = 0; b < breaks.length; ) {
+            const position = breaks[b].position;
+            
+            if (fits(lineStart, position)) {
+                lastFit = position;
+                b++;
+            } else if (lastFit !== null) {
+                // Wrap at the previous opportunity and measure this one again
+                const end = contentEnd(lineStart, lastFit);
+                lines.push({ start: lineStart, end, text: text.slice(lineStart, end), overflow: null });
+                lineStart = lastFit;
+                lastFit = null;
+            } else if (overflow === 'break-word') {
+                // Keep at least one cluster per line so wrapping always advances
+                let end = fittingEnd(lineStart, position);
+                if (end === lineStart) {
+                    end = lineStart + 1;
+                    while (!clusterStarts.has(end)) end++;
+                }
+                lines.push({ start: lineStart, end, text: text.slice(lineStart, end), overflow });
+                lineStart = end;
+            } else {
+                const end = contentEnd(lineStart, position);
+                const extra = overflow === 'ellipsis' ? ellipsisWidth : 0;
+                const visibleEnd = contentEnd(lineStart, fittingEnd(lineStart, end, extra));
+                const visibleText = text.slice(lineStart, visibleEnd) + (overflow === 'ellipsis' ? '\u2026' : '');
+                lines.push({ start: lineStart, end, text: visibleText, overflow });
+                lineStart = position;
+                b++;
+            }
+        }
+        
+        if (lastFit !== null || lines.length === 0) {
+            lines.push({ start: lineStart, end: text.length, text: text.slice(lineStart), overflow: null });
+        }
+        
+        return lines;
+    }
+
+    /**
+     * Resolve bidi embedding levels for one paragraph (UAX #9)
+     * Trailing whitespace is reset to the paragraph level (rule L1) so it
+     * can be used directly to split the line into level runs.
+     * @param {string} text - Paragraph text without line breaks
+     * @param {string} paragraphDirection - 'ltr', 'rtl' or 'auto'
+     * @returns {{levels: Uint8Array, paragraphLevel: number, mirrored: Set<number>}}
+     */
+    getBidiLevels(text, paragraphDirection) {
+        const baseLevel = paragraphDirection === 'rtl' ? 1 : 0;
+        const fallback = {
+            levels: new Uint8Array(text.length).fill(baseLevel),
+            paragraphLevel: baseLevel,
+            mirrored: new Set()
+        };
+        
+        // Use global bidi_js if available
+        if (typeof bidi_js === 'undefined') {
+            console.warn('bidi_js not available, shaping without bidi reordering');
+            return fallback;
+        }
+        
+        try {
+            const bidiProcessor = this.bidi || (this.bidi = bidi_js());
+            const direction = paragraphDirection === 'auto' ? 'auto' : paragraphDirection;
+            const embeddingLevels = bidiProcessor.getEmbeddingLevels(text, direction);
+            const paragraphLevel = embeddingLevels.paragraphs.length > 0 ?
+                embeddingLevels.paragraphs[0].level : baseLevel;
+            const levels = Uint8Array.from(embeddingLevels.levels);
+            this.resetTrailingLevels(text, levels, paragraphLevel);
+            
+            // L4 is applied by HarfBuzz when shaping RTL runs; keep the
+            // positions so glyphs can report that they were mirrored
+            const mirrorMap = bidiProcessor.getMirroredCharactersMap(text, embeddingLevels.levels);
+            
+            return { levels, paragraphLevel, mirrored: new Set(mirrorMap.keys()) };
+        } catch (error) {
+            console.warn('Bidi processing failed:', error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Apply rule L1 to the levels of one line: segment separators and any
+     * whitespace before them or at the end of the line go back to the
+     * paragraph level
+     * @param {string} text - Line text
+     * @param {Uint8Array} levels - Levels to update in place
+     * @param {number} paragraphLevel - Paragraph embedding level
+     */
+    resetTrailingLevels(text, levels, paragraphLevel) {
+        if (typeof bidi_js === 'undefined') {
+            return;
+        }
+        
+        const bidiProcessor = this.bidi || (this.bidi = bidi_js());
+        let trailing = true;
+        for (let i = text.length - 1; i >= 0; i--) {
+            const type = bidiProcessor.getBidiCharTypeName(text[i]);
+            if (type === 'S' || type === 'B') {
+                levels[i] = paragraphLevel;
+                trailing = true;
+            } else if (trailing && (type === 'WS' || type === 'BN' || /^(LRI|RLI|FSI|PDI)$/.test(type))) {
+                levels[i] = paragraphLevel;
+            } else {
+                trailing = false;
+            }
+        }
+    }
+
+    /**
+     * Levels for one wrapped line of a paragraph
+     * Levels are resolved once per paragraph; each line then gets its own
+     * L1 pass. Text added to the line (an ellipsis) is at the paragraph level.
+     * @param {Object} bidi - Paragraph levels from getBidiLevels()
+     * @param {{start: number, end: number, text: string}} line - Paragraph-relative line
+     * @returns {{levels: Uint8Array, paragraphLevel: number, mirrored: Set<number>}}
+     */
+    getLineBidiLevels(bidi, line) {
+        const levels = new Uint8Array(line.text.length).fill(bidi.paragraphLevel);
+        const sourceLength = Math.min(line.text.length, line.end - line.start);
+        levels.set(bidi.levels.subarray(line.start, line.start + sourceLength));
+        this.resetTrailingLevels(line.text, levels, bidi.paragraphLevel);
+        
+        const mirrored = new Set();
+        bidi.mirrored.forEach(index => {
+            if (index >= line.start && index < line.start + sourceLength) {
+                mirrored.add(index - line.start);
+            }
+        });
+        
+        return { levels, paragraphLevel: bidi.paragraphLevel, mirrored };
+    }
+
+    /**
+     * Split a line into runs with a single script, font and bidi level
+     * @param {string} text - Line text
+     * @param {Uint8Array} levels - Embedding level per UTF-16 code unit
+     * @param {Object} options - fontScript and script (ISO 15924 tag overriding detection)
+     * @returns {Array<{start: number, end: number, script: string, font: Object, level: number}>} Runs in logical order
+     */
+    itemizeRuns(text, levels, options = {}) {
+        const { fontScript = null, script = null } = options;
+        const runs = [];
+        
+        const scriptRuns = script ?
+            [{ start: 0, end: text.length, script }] : itemizeScripts(text);
+        
+        scriptRuns.forEach(scriptRun => {
+            const runText = text.slice(scriptRun.start, scriptRun.end);
+            
+            this.itemizeFonts(runText, fontScript, scriptRun.script).forEach(fontRun => {
+                const fontStart = scriptRun.start + fontRun.start;
+                const fontEnd = scriptRun.start + fontRun.end;
+                
+                let start = fontStart;
+                for (let i = fontStart + 1; i <= fontEnd; i++) {
+                    if (i === fontEnd || levels[i] !== levels[start]) {
+                        runs.push({
+                            start,
+                            end: i,
+                            script: scriptRun.script,
+                            font: fontRun.font,
+                            level: levels[start]
+                        });
+                        start = i;
+                    }
+                }
+            });
+        });
+        
+        return runs;
+    }
+
+    /**
+     * Resolve the language for a run
+     * @param {string|Object|null} language - BCP 47 tag, or a map from ISO 15924
+     *   script tag to language tag with an optional 'default' entry
+     * @param {string} script - ISO 15924 tag of the run
+     * @returns {string|null} Language tag, or null to use HarfBuzz's default
+     */
+    resolveLanguage(language, script) {
+        if (!language) {
+            return null;
+        }
+        if (typeof language === 'string') {
+            return language;
+        }
+        return language[script] || language.default || null;
+    }
+
+    /**
+     * Reorder shaped runs from logical to visual order (UAX #9 rule L2)
+     * From the highest level down to the lowest odd level, every sequence of
+     * runs at that level or above is reversed. Glyphs inside RTL runs are
+     * already in visual order as returned by HarfBuzz.
+     * @param {Array<Object>} runs - Runs in logical order, each with a level
+     * @returns {Array<Object>} Runs in visual (left to right) order
+     */
+    reorderRuns(runs) {
+        if (runs.length === 0) {
+            return runs;
+        }
+        
+        const visualRuns = runs.slice();
+        const maxLevel = Math.max(...runs.map(run => run.level));
+        const minLevel = Math.min(...runs.map(run => run.level));
+        const lowestOddLevel = minLevel % 2 ? minLevel : minLevel + 1;
+        
+        for (let level = maxLevel; level >= lowestOddLevel; level--) {
+            for (let i = 0; i < visualRuns.length; i++) {
+                if (visualRuns[i].level < level) continue;
+                
+                let end = i;
+                while (end + 1 < visualRuns.length && visualRuns[end + 1].level >= level) {
+                    end++;
+                }
+                const reversed = visualRuns.slice(i, end + 1).reverse();
+                visualRuns.splice(i, reversed.length, ...reversed);
+                i = end;
+            }
+        }
+        
+        return visualRuns;
+    }
+
+    /**
+     * Shape a single line using HarfBuzz
+     * The line is split into font and bidi level runs, each run is shaped in
+     * logical order with its own font and direction, and the shaped runs are
+     * then reordered visually. Vertical lines are also split by orientation:
+     * upright runs are shaped top to bottom with vert/vrt2, sideways runs
+     * horizontally to be rotated.
+     * @param {string} text - Line text
+     * @param {Object} options - fontSize, x, y, paragraphDirection (ignored when
+     *   bidi levels for the line are passed as bidi), fontScript, script,
+     *   language, features (settings from normalizeFeatures()), sourceOffset
+     *   (offset of the line in the text the feature ranges refer to),
+     *   variations, letterSpacing, wordSpacing, cursiveLetterSpacing,
+     *   vertical, textOrientation, trace (add each run's trace from
+     *   describeTrace()) and returnPaths
+     */
+    shapeLine(text, options) {
+        const {
+            fontSize, x, y,
+            paragraphDirection = 'auto',
+            bidi = this.getBidiLevels(text, paragraphDirection),
+            fontScript = null,
+            script = null,
+            language = null,
+            features = [],
+            sourceOffset = 0,
+            variations = null,
+            letterSpacing = 0,
+            wordSpacing = 0,
+            cursiveLetterSpacing = false,
+            vertical = false,
+            textOrientation = 'mixed',
+            trace = false,
+            returnPaths
+        } = options;
+        
+        let runs = this.itemizeRuns(text, bidi.levels, { fontScript, script });
+        if (vertical) {
+            runs = this.splitRunsByOrientation(text, runs, textOrientation);
+        }
+        
+        // All runs are shaped at the em size of the first font in the chain so
+        // advances and outlines from fonts with different upem line up
+        const emSize = this.getFontChain(fontScript)[0].upem;
+        const scale = fontSize / emSize; // Output units per font unit
+        
+        const shapedRuns = runs.map(run => {
+            const direction = run.upright ? 'ttb' : (run.level % 2 ? 'rtl' : 'ltr');
+            const runLanguage = this.resolveLanguage(language, run.script);
+            const runFeatures = UniversalTextShaper.runFeatureString(
+                run.upright ? [...features, ...VERTICAL_FEATURES] : features,
+                sourceOffset + run.start, sourceOffset + run.end
+            );
+            const shaped = this.shapeRun(text.slice(run.start, run.end), run.font, {
+                direction,
+                script: run.script,
+                language: runLanguage,
+                emSize,
+                features: runFeatures,
+                variations,
+                trace,
+                returnPaths
+            });
+            const glyphs = trace ? shaped.glyphs : shaped;
+            
+            glyphs.forEach(glyph => {
+                glyph.cluster += run.start; // Make clusters line-relative
+                if (bidi.mirrored.has(glyph.cluster)) {
+                    glyph.mirrored = true;
+                }
+                
+                // Positions in output units; outlines stay in font units
+                // and are placed with glyph.scale
+                glyph.advanceX *= scale;
+                glyph.advanceY *= scale;
+                glyph.offsetX *= scale;
+                glyph.offsetY *= scale;
+                glyph.scale = scale;
+                if (vertical) {
+                    glyph[run.upright ? 'upright' : 'sideways'] = true;
+                }
+            });
+            
+            const runTrace = trace ? this.describeTrace(shaped.trace, run.font, run.start, runFeatures) : undefined;
+            return { ...run, direction, language: runLanguage, glyphs, trace: runTrace };
+        });
+        
+        const visualRuns = this.reorderRuns(shapedRuns);
+        if (letterSpacing || wordSpacing) {
+            this.applySpacing(text, visualRuns, { letterSpacing, wordSpacing, cursiveLetterSpacing });
+        }
+        const totalAdvance = visualRuns.reduce((sum, run) =>
+            run.glyphs.reduce((runSum, glyph) => runSum + inlineAdvance(glyph), sum), 0);
+        
+        return {
+            text,
+            direction: bidi.paragraphLevel % 2 ? 'rtl' : 'ltr',
+            glyphs: visualRuns.flatMap(run => run.glyphs),
+            runs: visualRuns.map(run => ({
+                start: run.start,
+                end: run.end,
+                level: run.level,
+                direction: run.direction,
+                script: run.script,
+                language: run.language,
+                font: run.font.script,
+                ...(trace ? { trace: run.trace } : {})
+            })),
+            width: totalAdvance,
+            height: fontSize,
+            x,
+            y
+        };
+    }
+
+    /**
+     * Split runs where the Vertical_Orientation changes (UAX #50)
+     * With 'mixed', CJK and other upright characters stand upright and the
+     * rest is rotated sideways; combining marks follow their base.
+     * 'upright' and 'sideways' set every run the same way.
+     * @param {string} text - Line text
+     * @param {Array<Object>} runs - Runs from itemizeRuns()
+     * @param {string} textOrientation - 'mixed', 'upright' or 'sideways'
+     * @returns {Array<Object>} Runs with an upright flag
+     */
+    splitRunsByOrientation(text, runs, textOrientation) {
+        if (textOrientation !== 'mixed') {
+            return runs.map(run => ({ ...run, upright: textOrientation === 'upright' }));
+        }
+        
+        const splitRuns = [];
+        runs.forEach(run => {
+            let current = null;
+            for (let i = run.start; i < run.end; ) {
+                const codePoint = text.codePointAt(i);
+                const length = codePoint > 0xFFFF ? 2 : 1;
+                const upright = current && getScript(codePoint) === 'Zinh' ?
+                    current.upright : getVerticalOrientation(codePoint) === 'U';
+                
+                if (current && current.upright === upright) {
+                    current.end = i + length;
+                } else {
+                    current = { ...run, start: i, end: i + length, upright };
+                    splitRuns.push(current);
+                }
+                i += length;
+            }
+        });
+        
+        return splitRuns;
+    }
+
+    /**
+     * Add letter and word spacing between the clusters of a line
+     * Spacing goes after the last glyph of each cluster in visual order, so
+     * ligatures and marks keep their shaped positions, and not after the
+     * last cluster of the line. Letter spacing skips cursive scripts unless
+     * cursiveLetterSpacing is set. The added space is kept in glyph.spacing.
+     * @param {string} text - Line text
+     * @param {Array<Object>} visualRuns - Shaped runs in visual order; glyph advances are updated in place
+     * @param {Object} options - letterSpacing, wordSpacing and cursiveLetterSpacing in output units
+     */
+    applySpacing(text, visualRuns, options) {
+        const { letterSpacing, wordSpacing, cursiveLetterSpacing } = options;
+        const glyphs = visualRuns.flatMap(run => run.glyphs.map(glyph => ({ glyph, run })));
+        
+        glyphs.forEach(({ glyph, run }, i) => {
+            const next = glyphs[i + 1];
+            if (!next || next.glyph.cluster === glyph.cluster) {
+                return;
+            }
+            
+            let spacing = 0;
+            if (cursiveLetterSpacing || !isCursiveScript(run.script)) {
+                spacing += letterSpacing;
+            }
+            if (WORD_SEPARATORS.has(text.codePointAt(glyph.cluster))) {
+                spacing += wordSpacing;
+            }
+            addInlineAdvance(glyph, spacing);
+            glyph.spacing = spacing;
+        });
+    }
+
+    /**
+     * Shape a single-font run of text using HarfBuzz
+     * @param {string} text - Run text
+     * @param {Object} fontEntry - Font entry from the fallback chain
+     * @param {Object} options - direction, script, language, emSize, features,
+     *   variations, trace and returnPaths
+     * @returns {Array<Object>|Object} Glyphs in visual order with run-relative
+     *   clusters; with trace, { glyphs, trace } where trace holds the steps
+     *   from hbjs shapeWithTrace(), or null for stroke fonts
+     */
+    shapeRun(text, fontEntry, options) {
+        const { direction = 'ltr', script = null, language = null, emSize, features, variations = null, trace = false, returnPaths } = options;
+        if (fontEntry.stroke) {
+            const strokeGlyphs = this.shapeStrokeRun(text, fontEntry, options);
+            return trace ? { glyphs: strokeGlyphs, trace: null } : strokeGlyphs;
+        }
+        
+        const font = fontEntry.font;
+        if (fontEntry.scale !== emSize) {
+            font.setScale(emSize, emSize);
+            fontEntry.scale = emSize;
+        }
+        // Shaping and outlines both use the font's current instance
+        this.applyVariations(fontEntry, variations);
+        
+        const buffer = this.allocate('buffers', () => this.hb.createBuffer());
+        try {
+            buffer.addText(text);
+            
+            // Set the resolved run properties; Common-only runs and a missing
+            // language are left for HarfBuzz to guess
+            buffer.setDirection(direction);
+            if (script && !isNeutralScript(script)) {
+                buffer.setScript(script);
+            }
+            if (language) {
+                buffer.setLanguage(language);
+            }
+            buffer.guessSegmentProperties();
+            
+            // Shape the text, recording every lookup when tracing
+            const steps = trace ? this.hb.shapeWithTrace(font, buffer, features, 0, 0) : null;
+            if (!trace) {
+                this.hb.shape(font, buffer, features);
+            }
+            
+            // Get shaped results and generate paths if requested
+            const glyphs = buffer.json().map(glyph => {
+                const result = {
+                    glyphId: glyph.g,
+                    cluster: glyph.cl,
+                    advanceX: glyph.ax,
+                    advanceY: glyph.ay,
+                    offsetX: glyph.dx,
+                    offsetY: glyph.dy,
+                    flags: glyph.flags,
+                    font: fontEntry.script
+                };
+                
+                if (returnPaths) {
+                    const outline = this.getGlyphOutline(fontEntry, glyph.g);
+                    result.outlineId = outline.id;
+                    result.path = outline.path;
+                    result.pathJson = outline.pathJson;
+                    result.outlineBounds = outline.bounds;
+                }
+                
+                return result;
+            });
+            return trace ? { glyphs, trace: steps } : glyphs;
+        } finally {
+            buffer.destroy();
+        }
+    }
+
+    /**
+     * Summarize the HarfBuzz trace of a run
+     * HarfBuzz reports the start and end of each table and lookup, skipped
+     * lookups, and what some lookups did ("ligating glyphs at 1,2,3"). A
+     * lookup fired when it changed the buffer or reported doing something.
+     * Glyph positions are in font units at the em size the run was shaped
+     * at, and clusters are relative to the line.
+     * @param {Array<Object>|null} steps - Steps from hbjs shapeWithTrace(), null for stroke fonts
+     * @param {Object} fontEntry - Font entry the run was shaped with
+     * @param {number} clusterOffset - Start of the run in its line
+     * @param {string} features - Feature string passed to HarfBuzz
+     * @returns {Object|null} { scriptTag, requestedFeatures, firedFeatures,
+     *   lookups, input, afterGSUB, afterGPOS }; null without a trace
+     */
+    describeTrace(steps, fontEntry, clusterOffset, features) {
+        if (!steps) {
+            return null;
+        }
+        const names = new Map();
+        const glyphName = glyphId => {
+            if (!names.has(glyphId)) {
+                names.set(glyphId, fontEntry.font.glyphName(glyphId));
+            }
+            return names.get(glyphId);
+        };
+        const describeBuffer = buffer => buffer.map(glyph => {
+            const described = { glyphId: glyph.g, name: glyphName(glyph.g), cluster: glyph.cl + clusterOffset };
+            if (glyph.ax !== undefined) {
+                Object.assign(described, { advanceX: glyph.ax, advanceY: glyph.ay, offsetX: glyph.dx, offsetY: glyph.dy });
+            }
+            return described;
+        });
+        
+        const summary = {
+            scriptTag: null,
+            requestedFeatures: features || '',
+            firedFeatures: [],
+            lookups: [],
+            input: null,
+            afterGSUB: null,
+            afterGPOS: null
+        };
+        let table = null;
+        let lookup = null;
+        let before = null;
+        steps.filter(step => step.glyphs).forEach(({ m: message, t: buffer }) => {
+            let match;
+            if ((match = /^start table (\w+)(?: script tag '([^']*)')?/.exec(message))) {
+                table = match[1];
+                summary.scriptTag = summary.scriptTag || match[2] || null;
+                if (table === 'GSUB' && !summary.input) {
+                    summary.input = describeBuffer(buffer);
+                }
+            } else if ((match = /^end table (\w+)/.exec(message))) {
+                if (match[1] === 'GSUB' || match[1] === 'GPOS') {
+                    summary[`after${match[1]}`] = describeBuffer(buffer);
+                }
+                table = null;
+            } else if ((match = /^start lookup (\d+)(?: feature '([^']*)')?/.exec(message))) {
+                lookup = { table, lookup: Number(match[1]), feature: match[2] || null, applied: false, skipped: null, messages: [] };
+                before = JSON.stringify(buffer);
+                summary.lookups.push(lookup);
+            } else if ((match = /^end lookup (\d+)/.exec(message))) {
+                if (lookup) {
+                    lookup.applied = !lookup.skipped && (lookup.messages.length > 0 || JSON.stringify(buffer) !== before);
+                }
+                lookup = null;
+            } else if ((match = /^skipped lookup (\d+)(?: feature '([^']*)')? because (.*)$/.exec(message))) {
+                if (lookup && lookup.lookup === Number(match[1])) {
+                    lookup.skipped = match[3];
+                } else {
+                    summary.lookups.push({ table, lookup: Number(match[1]), feature: match[2] || null, applied: false, skipped: match[3], messages: [] });
+                }
+            } else if (lookup) {
+                lookup.messages.push(message);
+            }
+        });
+        
+        summary.firedFeatures = [...new Set(summary.lookups
+            .filter(entry => entry.applied && entry.feature)
+            .map(entry => entry.feature))];
+        // Without a GSUB table the shaper's input is the buffer GPOS starts with
+        if (!summary.input) {
+            summary.input = summary.afterGSUB || summary.afterGPOS;
+        }
+        return summary;
+    }
+
+    /**
+     * Lay out a single-font run of text with a stroke font
+     * Stroke fonts have no shaping tables: each character maps to one glyph
+     * (or a ligature glyph for a sequence the font lists), advances come
+     * from the glyph table with the font's kerning pairs, RTL runs are
+     * reversed with mirrored characters, and upright runs are stacked with
+     * HarfBuzz's default vertical metrics. Features and variations do not
+     * apply.
+     * @param {string} text - Run text
+     * @param {Object} fontEntry - Stroke font entry
+     * @param {Object} options - direction, emSize and returnPaths
+     * @returns {Array<Object>} Glyphs in visual order with run-relative clusters
+     */
+    shapeStrokeRun(text, fontEntry, options) {
+        const { direction = 'ltr', emSize, returnPaths } = options;
+        fontEntry.scale = emSize;
+        const factor = emSize / fontEntry.upem;
+        const mirror = direction === 'rtl' && this.bidi;
+        
+        const glyphs = [];
+        for (let i = 0; i < text.length; ) {
+            let length = text.codePointAt(i) > 0xFFFF ? 2 : 1;
+            let glyphId = 0;
+            
+            // The longest ligature starting here, else the character itself
+            for (let n = Math.min(fontEntry.maxSequence, text.length - i); n > length; n--) {
+                if (fontEntry.cmap.has(text.substr(i, n))) {
+                    glyphId = fontEntry.cmap.get(text.substr(i, n));
+                    length = n;
+                    break;
+                }
+            }
+            const character = text.substr(i, length);
+            const ignorable = DEFAULT_IGNORABLE.test(character);
+            if (!glyphId && !ignorable) {
+                const mirrored = mirror ? this.bidi.getMirroredCharacter(character) : null;
+                glyphId = fontEntry.cmap.get(mirrored || character) || 0;
+            }
+            
+            glyphs.push({
+                glyphId,
+                cluster: i,
+                advanceX: ignorable ? 0 : fontEntry.glyphs[glyphId].advance * factor,
+                advanceY: 0,
+                offsetX: 0,
+                offsetY: 0,
+                flags: 0,
+                font: fontEntry.script,
+                stroke: true,
+                ...(ignorable ? { ignorable: true } : {})
+            });
+            i += length;
+        }
+        
+        if (direction === 'ttb') {
+            // Advance by the line height, origin at the top center of the glyph
+            glyphs.forEach(glyph => {
+                glyph.offsetX = -glyph.advanceX / 2;
+                glyph.offsetY = -fontEntry.ascender * factor;
+                glyph.advanceY = glyph.ignorable ? 0 : -(fontEntry.ascender - fontEntry.descender) * factor;
+                glyph.advanceX = 0;
+            });
+        } else {
+            // Kerning tightens the gap on the glyph that is visually on the left
+            for (let i = 1; i < glyphs.length; i++) {
+                const k = fontEntry.kerning.get(`${glyphs[i - 1].glyphId},${glyphs[i].glyphId}`);
+                if (k) {
+                    glyphs[direction === 'rtl' ? i : i - 1].advanceX -= k * factor;
+                }
+            }
+        }
+        if (direction === 'rtl') {
+            glyphs.reverse();
+        }
+        
+        glyphs.forEach(glyph => {
+            const ignorable = glyph.ignorable;
+            delete glyph.ignorable;
+            if (returnPaths) {
+                const outline = ignorable ?
+                    { id: null, path: '', pathJson: [], bounds: null } :
+                    this.getGlyphOutline(fontEntry, glyph.glyphId);
+                glyph.outlineId = outline.id;
+                glyph.path = outline.path;
+                glyph.pathJson = outline.pathJson;
+                glyph.outlineBounds = outline.bounds;
+            }
+        });
+        return glyphs;
+    }
+
+    /**
+     * Combine shaped lines into final result
+     * @param {Array<Object>} shapedLines - Lines from shapeLine()
+     * @param {string} text - Input text
+     * @param {string} direction - Resolved paragraph direction
+     * @param {Object} layout - units, dpi, fontSize, x and y (top left of the
+     *   layout), writingMode, ascent and descent of the first font, and
+     *   totalWidth (vertical) or totalHeight (horizontal)
+     */
+    combineLines(shapedLines, text, direction, layout = {}) {
+        const {
+            units = 'px', dpi = 96, fontSize = 72, x = 0, y = 0,
+            writingMode = 'horizontal-tb', ascent = 0, descent = 0
+        } = layout;
+        const vertical = writingMode !== 'horizontal-tb';
+        
+        if (shapedLines.length === 0) {
+            return {
+                text,
+                direction,
+                units,
+                dpi,
+                fontSize,
+                writingMode,
+                lines: [],
+                totalWidth: 0,
+                totalHeight: layout.totalHeight || 0,
+                svgElements: [],
+                glyphs: []
+            };
+        }
+
+        // Lines and columns are measured from the layout's top left corner
+        // to the end of the furthest one
+        const totalWidth = vertical ? layout.totalWidth :
+            Math.max(...shapedLines.map(line => line.x - x + line.width));
+        const totalHeight = vertical ?
+            Math.max(...shapedLines.map(line => line.y - y + line.width)) : layout.totalHeight;
+        
+        // Create SVG elements with transforms instead of path manipulation
+        const svgElements = [];
+        const allGlyphs = [];
+        
+        shapedLines.forEach((line, lineIndex) => {
+            let pen = vertical ? line.y : line.x;
+            
+            // Sideways glyphs sit on a baseline that centers their em box on
+            // the column's center line
+            const sidewaysBaseline = line.x - (ascent - descent) / 2;
+            
+            line.glyphs.forEach(glyph => {
+                // Glyph origin in output units (SVG y grows downwards)
+                let finalX, finalY;
+                if (!vertical) {
+                    finalX = pen + glyph.offsetX;
+                    finalY = line.y - glyph.offsetY;
+                } else if (glyph.upright) {
+                    finalX = line.x + glyph.offsetX;
+                    finalY = pen - glyph.offsetY;
+                } else {
+                    finalX = sidewaysBaseline + glyph.offsetY;
+                    finalY = pen + glyph.offsetX;
+                }
+                
+                // Add positioned glyph info
+                const positioned = {
+                    ...glyph,
+                    absoluteX: finalX,
+                    absoluteY: finalY
+                };
+                allGlyphs.push(positioned);
+                
+                if (glyph.path) {
+                    // The path is the shared cached outline in font units;
+                    // the transform scales it and flips it upright, or turns
+                    // it 90° clockwise for sideways glyphs
+                    const matrix = this.placementMatrix(positioned);
+                    svgElements.push({
+                        outlineId: glyph.outlineId,
+                        path: glyph.path,
+                        pathJson: glyph.pathJson,
+                        scale: glyph.scale,
+                        matrix,
+                        transform: glyph.sideways ?
+                            `matrix(0 ${formatNumber(glyph.scale, 8)} ${formatNumber(glyph.scale, 8)} 0 ${formatNumber(finalX, 4)} ${formatNumber(finalY, 4)})` :
+                            `translate(${formatNumber(finalX, 4)}, ${formatNumber(finalY, 4)}) scale(${formatNumber(glyph.scale, 8)}, ${formatNumber(-glyph.scale, 8)})`,
+                        x: finalX,
+                        y: finalY,
+                        stroke: Boolean(glyph.stroke), // Open centre lines to stroke, not fill
+                        line: lineIndex,
+                        glyph: allGlyphs.length - 1 // Index in glyphs
+                    });
+                }
+                
+                pen += inlineAdvance(glyph);
+            });
+        });
+        
+        return {
+            text,
+            direction,
+            units,
+            dpi,
+            fontSize,
+            writingMode,
+            lines: shapedLines,
+            totalWidth,
+            totalHeight,
+            svgElements,
+            glyphs: allGlyphs
+        };
+    }
+
+    /**
+     * Matrix mapping a positioned glyph's outline (font units, y up) to
+     * output units
+     * @param {Object} glyph - Glyph with absoluteX, absoluteY and scale, or
+     *   with the matrix layoutOnPath() gave it
+     * @returns {Array<number>} Affine matrix [a, b, c, d, e, f]
+     */
+    placementMatrix(glyph) {
+        if (glyph.matrix) {
+            return glyph.matrix;
+        }
+        if (glyph.sideways) {
+            // Font x runs down the column and font y points right
+            return [0, glyph.scale, glyph.scale, 0, glyph.absoluteX, glyph.absoluteY];
+        }
+        return glyphMatrix(glyph.absoluteX, glyph.absoluteY, glyph.scale);
+    }
+
+    /**
+     * Lay the lines of a shaping result out along a path
+     * Each cluster is placed at its arc length along the path, with its
+     * middle on the path and rotated to the tangent there; marks and the
+     * other glyphs of a cluster move with it. Lines are taken in visual
+     * order, so right-to-left runs read correctly along the path; later
+     * lines follow the first at their line spacing, below it. Works on
+     * horizontal text only.
+     * @param {Object} shapingResult - Result of shapeText()
+     * @param {string|Array<Object>} svgPathD - SVG path data, in output
+     *   units with y down, or path commands
+     * @param {Object} options - Path layout options:
+     *   - startOffset: Where the text is anchored, as a distance along the
+     *     path in output units or a percentage of its length such as '50%' (default: 0)
+     *   - align: Part of each line at startOffset: 'left', 'right', 'center',
+     *     or 'start' and 'end' following the line's direction, for which
+     *     right-to-left lines measure startOffset from the path's end (default: 'start')
+     *   - side: 'above' the path, or 'below' it, which runs the path
+     *     backwards as SVG 2's side="right" does (default: 'above')
+     *   - overflow: Clusters whose middle falls off an open path, or that
+     *     would wrap onto the start of a closed one, are 'hidden', 'visible'
+     *     (continuing straight past the ends) or the text is scaled down to
+     *     'fit' (default: 'hidden')
+     *   - tolerance: Curve flattening tolerance for measuring the path, in
+     *     output units (default: fontSize / 1000)
+     * @returns {Object} Shaping result whose glyphs carry matrix, angle (degrees),
+     *   pathOffset and hidden, whose svgElements are the visible glyphs placed
+     *   with matrix() transforms, with bakedPath (the visible outlines in
+     *   output units), pathLength and hiddenClusters
+     */
+    layoutOnPath(shapingResult, svgPathD, options = {}) {
+        const fontSize = shapingResult.fontSize || 72;
+        const {
+            startOffset = 0,
+            align = 'start',
+            side = 'above',
+            overflow = 'hidden',
+            tolerance = fontSize / 1000
+        } = options;
+        if ((shapingResult.writingMode || 'horizontal-tb') !== 'horizontal-tb') {
+            throw new Error('layoutOnPath() needs horizontal text');
+        }
+        if (!PATH_ALIGN_MODES.includes(align)) {
+            throw new Error(`Unknown path align mode: ${align}. Use ${PATH_ALIGN_MODES.join(', ')}`);
+        }
+        if (!PATH_SIDES.includes(side)) {
+            throw new Error(`Unknown path side: ${side}. Use ${PATH_SIDES.join(', ')}`);
+        }
+        if (!PATH_OVERFLOW_MODES.includes(overflow)) {
+            throw new Error(`Unknown path overflow mode: ${overflow}. Use ${PATH_OVERFLOW_MODES.join(', ')}`);
+        }
+        
+        const commands = typeof svgPathD === 'string' ? parseSVGPath(svgPathD) : svgPathD;
+        const measured = measurePath(commands, tolerance, side === 'below');
+        if (measured.length === 0) {
+            throw new Error('Path has no length');
+        }
+        const offset = typeof startOffset === 'string' && startOffset.trim().endsWith('%') ?
+            parseFloat(startOffset) / 100 * measured.length : Number(startOffset);
+        if (!Number.isFinite(offset)) {
+            throw new Error('startOffset must be a number or a percentage');
+        }
+        
+        // One placement per glyph, in the order of shapingResult.glyphs
+        const placements = [];
+        let hiddenClusters = 0;
+        const firstBaseline = shapingResult.lines.length > 0 ? shapingResult.lines[0].y : 0;
+        shapingResult.lines.forEach(line => {
+            // Clusters in visual order with their pen positions
+            const clusters = [];
+            let pen = 0;
+            line.glyphs.forEach(glyph => {
+                let cluster = clusters[clusters.length - 1];
+                if (!cluster || cluster.cluster !== glyph.cluster) {
+                    cluster = { cluster: glyph.cluster, start: pen, advance: 0, glyphs: [] };
+                    clusters.push(cluster);
+                }
+                cluster.glyphs.push({ glyph, pen });
+                cluster.advance += inlineAdvance(glyph);
+                pen += inlineAdvance(glyph);
+            });
+            const width = pen;
+            
+            // start and end follow the line's direction, and so does
+            // startOffset: right-to-left lines measure it from the path's end
+            let mode = align;
+            let anchor = offset;
+            if (mode === 'start' || mode === 'end') {
+                const rtl = line.direction === 'rtl';
+                mode = (mode === 'start') === rtl ? 'right' : 'left';
+                anchor = rtl ? measured.length - offset : offset;
+            }
+            const available = measured.closed ? measured.length :
+                mode === 'left' ? measured.length - anchor :
+                    mode === 'right' ? anchor : 2 * Math.min(anchor, measured.length - anchor);
+            const fit = overflow === 'fit' && width > available && available > 0 ? available / width : 1;
+            const begin = anchor - (mode === 'right' ? width : mode === 'center' ? width / 2 : 0) * fit;
+            const shift = (line.y - firstBaseline) * fit;
+            
+            clusters.forEach(cluster => {
+                const middle = begin + (cluster.start + cluster.advance / 2) * fit;
+                const visible = overflow === 'visible' || (measured.closed ?
+                    (cluster.start + cluster.advance) * fit <= measured.length + tolerance :
+                    middle >= -tolerance && middle <= measured.length + tolerance);
+                if (!visible) {
+                    hiddenClusters++;
+                }
+                
+                const { point, angle } = pointAtLength(measured, middle);
+                const cos = Math.cos(angle), sin = Math.sin(angle);
+                cluster.glyphs.forEach(({ glyph, pen: glyphPen }) => {
+                    // Glyph origin relative to the middle of the cluster on
+                    // the baseline, y down, turned to the tangent
+                    const u = (glyphPen - cluster.start - cluster.advance / 2 + glyph.offsetX) * fit;
+                    const v = shift - glyph.offsetY * fit;
+                    const scale = glyph.scale * fit;
+                    placements.push({
+                        matrix: [cos * scale, sin * scale, sin * scale, -cos * scale,
+                            point[0] + cos * u - sin * v, point[1] + sin * u + cos * v],
+                        scale,
+                        angle: angle * 180 / Math.PI,
+                        pathOffset: middle,
+                        hidden: !visible
+                    });
+                });
+            });
+        });
+        
+        const glyphs = shapingResult.glyphs.map((glyph, index) => {
+            const { scale, ...placement } = placements[index];
+            return { ...glyph, ...placement, absoluteX: placement.matrix[4], absoluteY: placement.matrix[5] };
+        });
+        const svgElements = shapingResult.svgElements
+            .filter(element => element.glyph !== null && !placements[element.glyph].hidden)
+            .map(element => {
+                const { matrix, scale } = placements[element.glyph];
+                return {
+                    ...element,
+                    scale,
+                    matrix,
+                    transform: `matrix(${matrix.map((value, i) => formatNumber(value, i < 4 ? 8 : 4)).join(' ')})`,
+                    x: matrix[4],
+                    y: matrix[5]
+                };
+            });
+        const bakedPath = svgElements.map(element =>
+            pathToString(transformPath(element.pathJson || parsePathData(element.path), element.matrix))).join('');
+        
+        // The canvas reaches the furthest ink or path point from the origin
+        const result = { ...shapingResult, glyphs, svgElements, bakedPath, pathLength: measured.length, hiddenClusters };
+        const ink = this.calculateActualBounds(result);
+        const pathBox = pathBounds(commands);
+        result.totalWidth = Math.max(svgElements.length > 0 ? ink.maxX : 0, pathBox ? pathBox.xMax : 0);
+        result.totalHeight = Math.max(svgElements.length > 0 ? ink.maxY : 0, pathBox ? pathBox.yMax : 0);
+        if (shapingResult.flattened) {
+            result.flattened = this.flattenOutlines(result, { tolerance: shapingResult.flattened.tolerance });
+        }
+        return result;
+    }
+
+    /**
+     * Calculate actual visual bounds from glyph outlines
+     * @returns {Object} Ink bounds in the result's output units
+     */
+    calculateActualBounds(shapingResult) {
+        if (!shapingResult.glyphs || shapingResult.glyphs.length === 0) {
+            return {
+                x: 0, y: 0, width: 0, height: 0,
+                minX: 0, maxX: 0, minY: 0, maxY: 0
+            };
+        }
+
+        let minX = Infinity, maxX = -Infinity;
+        let minY = Infinity, maxY = -Infinity;
+        const fontSize = shapingResult.fontSize || 72;
+        
+        shapingResult.glyphs.forEach(glyph => {
+            if (glyph.hidden) {
+                return; // Past the end of a path, see layoutOnPath()
+            }
+            let bounds = glyph.outlineBounds;
+            if (!bounds && glyph.path === undefined) {
+                // Shaped without paths: estimate a box from the advance (or
+                // the em for upright glyphs) and the font size, in font units
+                const extent = glyph.upright ? fontSize : inlineAdvance(glyph) - (glyph.spacing || 0);
+                bounds = {
+                    xMin: 0,
+                    xMax: extent / glyph.scale,
+                    yMin: -fontSize * 0.2 / glyph.scale, // Estimate descent
+                    yMax: fontSize * 0.8 / glyph.scale // Estimate ascent
+                };
+            }
+            if (!bounds) {
+                return;
+            }
+            
+            // Outline bounds are in font units with y up; map their corners
+            const [a, b, c, d, e, f] = this.placementMatrix(glyph);
+            [[bounds.xMin, bounds.yMin], [bounds.xMax, bounds.yMin], [bounds.xMin, bounds.yMax], [bounds.xMax, bounds.yMax]]
+                .forEach(([px, py]) => {
+                    const cornerX = a * px + c * py + e;
+                    const cornerY = b * px + d * py + f;
+                    minX = Math.min(minX, cornerX);
+                    maxX = Math.max(maxX, cornerX);
+                    minY = Math.min(minY, cornerY);
+                    maxY = Math.max(maxY, cornerY);
+                });
+        });
+        
+        // Handle edge case where no valid bounds were found
+        if (minX === Infinity) {
+            return {
+                x: 0, y: 0, width: shapingResult.totalWidth, height: shapingResult.totalHeight,
+                minX: 0, maxX: shapingResult.totalWidth, minY: 0, maxY: shapingResult.totalHeight
+            };
+        }
+        
+        return {
+            x: minX,
+            y: minY,
+            width: maxX - minX,
+            height: maxY - minY,
+            minX, maxX, minY, maxY
+        };
+    }
+
+    /**
+     * Build the bounds object returned by the SVG builders with returnBounds
+     */
+    createBoundsInfo(shapingResult, width, height) {
+        const actualBounds = this.calculateActualBounds(shapingResult);
+        
+        return {
+            units: shapingResult.units || 'px',
+            
+            // Typographic dimensions (layout-based)
+            typographicWidth: shapingResult.totalWidth,
+            typographicHeight: shapingResult.totalHeight,
+            
+            // Visual dimensions (ink-based)
+            actualWidth: actualBounds.width,
+            actualHeight: actualBounds.height,
+            actualX: actualBounds.x,
+            actualY: actualBounds.y,
+            
+            // Canvas dimensions
+            canvasWidth: width,
+            canvasHeight: height,
+            
+            // Detailed bounds
+            visualBounds: {
+                left: actualBounds.minX,
+                right: actualBounds.maxX,
+                top: actualBounds.minY,
+                bottom: actualBounds.maxY
+            }
+        };
+    }
+
+    /**
+     * Opening <svg> tag with width/height in the result's physical unit and
+     * a viewBox in output units
+     */
+    createSVGOpenTag(shapingResult, width, height, viewBox, extraAttributes = '') {
+        const units = shapingResult.units || 'px';
+        const dpi = shapingResult.dpi || 96;
+        const actualViewBox = viewBox || `0 0 ${formatNumber(width, 4)} ${formatNumber(height, 4)}`;
+        
+        return `<svg xmlns="http://www.w3.org/2000/svg"${extraAttributes} width="${this.formatSVGLength(width, units, dpi)}" height="${this.formatSVGLength(height, units, dpi)}" viewBox="${actualViewBox}">`;
+    }
+
+    /**
+     * Remove overlapping contours from the outlines of a shaping result
+     * Each distinct outline is united with itself in font units, so glyphs
+     * keep their transforms. With mergeGlyphs, glyphs whose outlines overlap
+     * or touch are also united with each other; those elements are baked
+     * into output units and have no transform. Stroke font glyphs are open
+     * lines with no area and are returned unchanged.
+     * @param {Object} shapingResult - Result of shapeText()
+     * @param {Object} options - mergeGlyphs (default: false) and tolerance,
+     *   the curve flattening tolerance used to find intersections in output
+     *   units (default: fontSize / 1000)
+     * @returns {Array<Object>} Elements in the format of svgElements
+     */
+    removeOverlaps(shapingResult, options = {}) {
+        const {
+            mergeGlyphs = false,
+            tolerance = (shapingResult.fontSize || 72) / 1000
+        } = options;
+        const elements = shapingResult.svgElements;
+        
+        if (!mergeGlyphs) {
+            const outlines = new Map();
+            return elements.map(element => {
+                if (element.stroke) {
+                    return element;
+                }
+                const key = `${element.outlineId}@${element.scale}`;
+                let pathJson = element.outlineId ? outlines.get(key) : null;
+                if (!pathJson) {
+                    pathJson = unionPath(element.pathJson || parsePathData(element.path), { tolerance: tolerance / element.scale });
+                    if (element.outlineId) {
+                        outlines.set(key, pathJson);
+                    }
+                }
+                return { ...element, pathJson, path: pathToString(pathJson, 2) };
+            });
+        }
+        
+        // Group glyphs whose boxes overlap or touch, then unite each group
+        const strokes = elements.filter(element => element.stroke);
+        const filled = elements.filter(element => !element.stroke);
+        const placed = filled.map(element => transformPath(element.pathJson || parsePathData(element.path), element.matrix));
+        const bounds = placed.map(pathBounds);
+        const parent = placed.map((_, i) => i);
+        const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+        bounds.forEach((a, i) => {
+            for (let j = 0; j < i; j++) {
+                const b = bounds[j];
+                if (a && b && a.xMin <= b.xMax + tolerance && b.xMin <= a.xMax + tolerance &&
+                    a.yMin <= b.yMax + tolerance && b.yMin <= a.yMax + tolerance) {
+                    parent[find(i)] = find(j);
+                }
+            }
+        });
+        
+        const groups = new Map();
+        placed.forEach((commands, i) => {
+            const root = find(i);
+            if (!groups.has(root)) groups.set(root, { first: filled[i], commands: [] });
+            groups.get(root).commands.push(...commands);
+        });
+        const merged = [...groups.values()].map(({ first, commands }) => {
+            const pathJson = unionPath(commands, { tolerance });
+            return {
+                outlineId: null,
+                path: pathToString(pathJson, 4),
+                pathJson,
+                scale: 1,
+                matrix: [1, 0, 0, 1, 0, 0],
+                transform: null,
+                x: 0,
+                y: 0,
+                stroke: false,
+                line: first.line,
+                glyph: null // Several glyphs
+            };
+        });
+        return [...merged, ...strokes];
+    }
+
+    /**
+     * Convert the outlines of a shaping result to polylines
+     * Quadratic and cubic curves are replaced by straight segments that
+     * deviate from the curve by at most tolerance, for plotters and
+     * engravers that only take straight moves.
+     * @param {Object} shapingResult - Result of shapeText()
+     * @param {Object} options - tolerance, the maximum chord deviation in
+     *   output units (default: fontSize / 1000), and the outline options,
+     *   see outlineOptions()
+     * @returns {{tolerance: number, units: string, contours: Array<Object>, contourCount: number, pointCount: number}}
+     *   Contours with element (index of the glyph element they belong to),
+     *   points ([[x, y], ...] in output units) and closed
+     */
+    flattenOutlines(shapingResult, options = {}) {
+        const { tolerance = (shapingResult.fontSize || 72) / 1000 } = options;
+        const elements = this.prepareElements(shapingResult, { ...options, flatten: tolerance });
+        
+        const contours = elements.flatMap((element, index) =>
+            flattenPath(transformPath(element.pathJson, element.matrix), tolerance).map(polyline => ({
+                element: index,
+                points: polyline.points,
+                closed: polyline.closed
+            })));
+        
+        return {
+            tolerance,
+            units: shapingResult.units || 'px',
+            contours,
+            contourCount: contours.length,
+            pointCount: contours.reduce((sum, contour) => sum + contour.points.length, 0)
+        };
+    }
+
+    /**
+     * Grow or shrink the outlines of a shaping result, or turn them into rings
+     * Use a positive offset of half the beam width to compensate the kerf of
+     * a laser or the radius of a cutter: counters shrink as the outer
+     * contours grow. Each distinct outline is offset once in font units and
+     * keeps its transform; stroke font glyphs are returned unchanged.
+     * @param {Object} shapingResult - Result of shapeText()
+     * @param {Object} options - Offset options:
+     *   - offset: Distance in output units; positive grows, negative shrinks (default: 0)
+     *   - offsetJoin: Corners grown outwards, 'miter', 'round' or 'bevel' (default: 'round')
+     *   - miterLimit: Miters longer than miterLimit * offset are beveled (default: 4)
+     *   - outline: Thickness of a ring centred on each contour, replacing
+     *     the filled glyph, applied after offset (default: null)
+     *   - tolerance: Curve flattening tolerance in output units (default: fontSize / 1000)
+     *   - removeOverlaps, mergeGlyphs: As for createSVG(), applied first
+     * @returns {Array<Object>} Elements in the format of svgElements
+     */
+    offsetOutlines(shapingResult, options = {}) {
+        return this.prepareElements(shapingResult, { ...options, flatten: null });
+    }
+
+    /**
+     * Bend the outlines of a shaping result into an arc, arch, bulge, wave,
+     * flag, perspective or a custom envelope
+     * The warp works on the outline points in output units, over the box
+     * around all the ink, so the text bends as one piece. Segments are
+     * split into short pieces before their points move, so curves stay
+     * smooth. Elements are baked into output units and have no transform.
+     * @param {Object} shapingResult - Result of shapeText()
+     * @param {Object} options - Warp options:
+     *   - warp: 'arc', 'arch', 'bulge', 'wave', 'flag', 'perspective' or 'envelope'
+     *   - warpBend: Strength, usually between -1 and 1; negative bends the
+     *     other way (default: 0.5)
+     *   - warpWaves: Waves across the text for 'wave' and 'flag' (default: 1)
+     *   - warpTop, warpBottom: SVG path data of the curves an 'envelope'
+     *     fits the text between, in output units, each across the text
+     *   - tolerance: Flattening tolerance of the envelope curves in output
+     *     units (default: fontSize / 1000)
+     *   - removeOverlaps, mergeGlyphs: As for createSVG(), applied first
+     *   - stencil and offset options: As for createSVG(), applied after the warp
+     * @returns {Array<Object>} Elements in the format of svgElements
+     */
+    warpOutlines(shapingResult, options = {}) {
+        if (!options.warp) {
+            throw new Error('warpOutlines() needs a warp style');
+        }
+        return this.prepareElements(shapingResult, { ...options, flatten: null });
+    }
+
+    /**
+     * Cut stencil bridges into the outlines of a shaping result
+     * Counters (the inner contours of O, A, B or ס) would fall out of a
+     * stencil cut from a sheet. Each one gets bridges across the stroke
+     * around it, leaving closed contours with no islands. Stroke font
+     * glyphs are returned unchanged.
+     * @param {Object} shapingResult - Result of shapeText()
+     * @param {Object} options - Stencil options:
+     *   - bridgeWidth: Width of each bridge in output units (default: fontSize / 20)
+     *   - bridgeCount: Bridges per counter (default: 2)
+     *   - bridgeAngles: Directions of the bridges in degrees, counter-clockwise
+     *     from the +x axis of the page, or 'auto' to cut where the stroke to
+     *     the outside is thinnest (default: bridgeCount angles evenly
+     *     spaced from 90, straight up)
+     *   - tolerance: Curve flattening tolerance in output units (default: fontSize / 1000)
+     *   - removeOverlaps, mergeGlyphs: As for createSVG(), applied first;
+     *     use mergeGlyphs when glyphs overlap and counters form between them
+     *   - offset, offsetJoin, miterLimit, outline: As for offsetOutlines(),
+     *     applied after the bridges are cut
+     * @returns {Array<Object>} Elements in the format of svgElements
+     */
+    stencilOutlines(shapingResult, options = {}) {
+        return this.prepareElements(shapingResult, { ...options, stencil: true, flatten: null });
+    }
+
+    /**
+     * Get the outline options with their defaults
+     * These are the steps prepareElements() applies, in this order, for the
+     * SVG builders, flattenOutlines() and the exporters, which all take
+     * them with their own options. New steps add their options here.
+     * @param {Object} shapingResult - Result of shapeText()
+     * @param {Object} options - Options of any of those methods:
+     *   - removeOverlaps: Unite overlapping contours, see removeOverlaps() (default: false)
+     *   - mergeGlyphs: With removeOverlaps, also unite touching glyphs (default: false)
+     *   - tolerance: Curve flattening tolerance of removeOverlaps, warps,
+     *     bridges and offsets, in output units (default: fontSize / 1000)
+     *   - warp, warpBend, warpWaves, warpTop, warpBottom: See warpOutlines()
+     *     (defaults: null, 0.5, 1, null, null)
+     *   - stencil, bridgeWidth, bridgeCount, bridgeAngles: See
+     *     stencilOutlines() (defaults: false, fontSize / 20, 2, null)
+     *   - offset, offsetJoin, miterLimit, outline: See offsetOutlines()
+     *     (defaults: 0, 'round', 4, null)
+     *   - flatten: Replace curves by lines within this chord tolerance in
+     *     output units (default: null)
+     * @returns {Object} Just the outline options, with defaults filled in
+     */
+    outlineOptions(shapingResult, options = {}) {
+        const fontSize = shapingResult.fontSize || 72;
+        const {
+            removeOverlaps = false,
+            mergeGlyphs = false,
+            tolerance = fontSize / 1000,
+            warp = null,
+            warpBend = 0.5,
+            warpWaves = 1,
+            warpTop = null,
+            warpBottom = null,
+            stencil = false,
+            bridgeWidth = fontSize / 20,
+            bridgeCount = 2,
+            bridgeAngles = null,
+            offset = 0,
+            offsetJoin = 'round',
+            miterLimit = 4,
+            outline = null,
+            flatten = null
         } = options;
+        return {
+            removeOverlaps, mergeGlyphs, tolerance,
+            warp, warpBend, warpWaves, warpTop, warpBottom,
+            stencil, bridgeWidth, bridgeCount, bridgeAngles,
+            offset, offsetJoin, miterLimit, outline,
+            flatten
+        };
+    }
 
-        // 1. Apply bidirectional algorithm if needed
-        const processedText = this.applyBidi(text, paragraphDirection);
+    /**
+     * Apply the outline options shared by the SVG builders and exporters
+     * @param {Object} shapingResult - Result of shapeText()
+     * @param {Object} options - Outline options, see outlineOptions();
+     *   other options are ignored
+     * @returns {Array<Object>} Elements in the format of svgElements
+     */
+    prepareElements(shapingResult, options = {}) {
+        const {
+            removeOverlaps, mergeGlyphs, tolerance,
+            warp, warpBend, warpWaves, warpTop, warpBottom,
+            stencil, bridgeWidth, bridgeCount, bridgeAngles,
+            offset, offsetJoin, miterLimit, outline,
+            flatten
+        } = this.outlineOptions(shapingResult, options);
+        let elements = removeOverlaps ?
+            this.removeOverlaps(shapingResult, { mergeGlyphs, tolerance }) : shapingResult.svgElements;
         
-        // 2. Split into lines
-        const lines = processedText.split('\n');
+        // Each step works on outlines in their own units, which the
+        // transforms only scale, and handles each distinct outline once
+        const mapOutlines = (step, transform) => {
+            const outlines = new Map();
+            return elements.map(element => {
+                if (step !== 'flatten' && element.stroke) {
+                    return element;
+                }
+                // Bridges run in page directions, so a glyph rotated on the
+                // page gets its own outline
+                const rotation = Math.round(Math.atan2(element.matrix[1], element.matrix[0]) * 180 / Math.PI);
+                const outlineId = step === 'stencil' && element.outlineId && rotation !== 0 ?
+                    `${element.outlineId}-r${rotation}` : element.outlineId;
+                const key = `${outlineId}@${element.scale}`;
+                let pathJson = outlineId ? outlines.get(key) : null;
+                if (!pathJson) {
+                    pathJson = transform(element.pathJson || parsePathData(element.path), element.scale, element);
+                    if (outlineId) {
+                        outlines.set(key, pathJson);
+                    }
+                }
+                return { ...element, outlineId, pathJson, path: pathToString(pathJson, element.transform ? 2 : 4) };
+            });
+        };
         
-        // 3. Shape each line
-        const shapedLines = [];
+        if (warp !== null) {
+            // One box around all the ink, so the text bends as one piece
+            const baked = elements.map(element =>
+                transformPath(element.pathJson || parsePathData(element.path), element.matrix));
+            const boxes = baked.map(pathBounds).filter(Boolean);
+            const bounds = boxes.length === 0 ? null : {
+                xMin: Math.min(...boxes.map(box => box.xMin)),
+                yMin: Math.min(...boxes.map(box => box.yMin)),
+                xMax: Math.max(...boxes.map(box => box.xMax)),
+                yMax: Math.max(...boxes.map(box => box.yMax))
+            };
+            const warpOptions = {
+                style: warp, bend: warpBend, waves: warpWaves, top: warpTop, bottom: warpBottom, bounds, tolerance
+            };
+            elements = elements.map((element, index) => {
+                const pathJson = warpPath(baked[index], warpOptions);
+                return {
+                    ...element,
+                    outlineId: null,
+                    path: pathToString(pathJson, 4),
+                    pathJson,
+                    scale: 1,
+                    matrix: [1, 0, 0, 1, 0, 0],
+                    transform: null,
+                    x: 0,
+                    y: 0
+                };
+            });
+        }
         
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            if (!line) continue; // Skip empty lines
-            
-            const lineY = y + (i * fontSize * lineHeight);
-            const shapedLine = this.shapeLine(line, {
-                fontSize,
-                x,
-                y: lineY,
-                fontScript,
-                features,
-                returnPaths
+        if (stencil) {
+            const pageAngles = bridgeAngles === null ?
+                Array.from({ length: bridgeCount }, (_, i) => 90 + i * 360 / bridgeCount) : bridgeAngles;
+            elements = mapOutlines('stencil', (commands, scale, element) => {
+                // Page directions (y down) into the outline's own coordinates
+                const [a, b, c, d] = element.matrix;
+                const determinant = a * d - b * c;
+                const angles = Array.isArray(pageAngles) ? pageAngles.map(angle => {
+                    const px = Math.cos(angle * Math.PI / 180), py = -Math.sin(angle * Math.PI / 180);
+                    const vx = (d * px - c * py) / determinant, vy = (a * py - b * px) / determinant;
+                    return Math.atan2(vy, vx) * 180 / Math.PI;
+                }) : pageAngles;
+                return stencilPath(commands, {
+                    width: bridgeWidth / scale,
+                    count: bridgeCount,
+                    angles,
+                    tolerance: tolerance / scale
+                });
             });
-            
-            shapedLines.push(shapedLine);
         }
         
-        // 4. Combine results
-        return this.combineLines(shapedLines, processedText, paragraphDirection);
-    }
-
-    /**
-     * Apply bidirectional text algorithm
-     */
-    applyBidi(text, paragraphDirection) {
-        if (paragraphDirection === 'ltr') {
-            return text;
+        if (!Number.isFinite(offset)) {
+            throw new Error('offset must be a finite number');
+        }
+        if (outline !== null && !(outline > 0)) {
+            throw new Error('outline must be a positive thickness');
+        }
+        if (offset !== 0 || outline !== null) {
+            elements = mapOutlines('offset', (commands, scale) => {
+                const offsetOptions = { join: offsetJoin, miterLimit, tolerance: tolerance / scale };
+                let result = offset !== 0 ? offsetPath(commands, offset / scale, offsetOptions) : commands;
+                if (outline !== null) {
+                    result = outlinePath(result, outline / scale, offsetOptions);
+                }
+                return result;
+            });
         }
         
-        // Use global bidi_js if available
-        if (typeof bidi_js !== 'undefined') {
-            try {
-                const bidiProcessor = bidi_js();
-                const direction = paragraphDirection === 'rtl' ? 'rtl' : 'auto';
-                
-                // Get embedding levels and reorder segments
-                const embeddingLevels = bidiProcessor.getEmbeddingLevels(text, direction);
-                const reorderSegments = bidiProcessor.getReorderSegments(text, embeddingLevels);
-                
-                // Create visual order mapping
-                let visualOrder = Array.from({length: text.length}, (_, i) => i);
-                reorderSegments.forEach(([start, end]) => {
-                    const segment = visualOrder.slice(start, end + 1).reverse();
-                    visualOrder.splice(start, end - start + 1, ...segment);
-                });
-                
-                // Create visual text
-                return visualOrder.map(i => text[i]).join('');
-            } catch (error) {
-                console.warn('Bidi processing failed:', error);
-                return text;
+        if (flatten !== null) {
+            if (!(flatten > 0)) {
+                throw new Error('flatten must be a positive tolerance');
             }
-        } else {
-            console.warn('bidi_js not available, returning original text');
-            return text;
+            elements = mapOutlines('flatten', (commands, scale) => polylinesToPath(flattenPath(commands, flatten / scale)));
         }
+        
+        return elements;
     }
 
     /**
-     * Shape a single line using HarfBuzz
+     * Export the outlines as a DXF file for CAD and CAM software
+     * Glyphs keep the positions combineLines() gave them, converted to
+     * millimetres with y negated because DXF y points up: the layout's
+     * origin is at (0, 0) and the text lies below the x axis.
+     * @param {Object} shapingResult - Result of shapeText()
+     * @param {Object} options - DXF options:
+     *   - entity: 'LWPOLYLINE' (flattened, default) or 'SPLINE' (exact curves)
+     *   - layers: 'single', 'line' (one layer per line) or 'glyph' (one per glyph)
+     *   - layerName: Layer name or prefix (default: 'TEXT'), or a function
+     *     of { line, glyph, cluster } returning the layer name
+     *   - tolerance: Chord deviation for polylines and removeOverlaps, in
+     *     the result's units (default: fontSize / 1000)
+     *   - precision: Decimal places (default: 4)
+     *   - The outline options, see outlineOptions()
+     * @returns {string} DXF file contents
      */
-    shapeLine(text, options) {
-        const { fontSize, x, y, fontScript, features, returnPaths } = options;
-        
-        // Get font data
-        const fontData = this.fonts.get(fontScript) || this.fallbackFont;
-        if (!fontData) {
-            throw new Error(`No font loaded for script: ${fontScript}`);
-        }
-
-        // Create HarfBuzz objects
-        console.log(`Creating HarfBuzz objects with font data size: ${fontData.byteLength}`);
-        const blob = this.hb.createBlob(fontData);
-        console.log('Blob created:', blob);
-        const face = this.hb.createFace(blob, 0);
-        console.log('Face created, upem:', face.upem);
-        const font = this.hb.createFont(face);
-        console.log('Font created, available methods:', Object.getOwnPropertyNames(font));
-        
-        // Set font scale properly (use face.upem for HarfBuzz, fontSize is applied later)
-        const scale = face.upem; // Use units per em for HarfBuzz
-        font.setScale(scale, scale);
-        console.log('Font scale set to face.upem:', scale, 'fontSize will be applied later:', fontSize);
-        
-        // Test if font has basic glyphs (temporarily disabled while debugging API)
-        /*
-        try {
-            const testPath = font.glyphToPath(0); // Test .notdef glyph
-            console.log('Glyph 0 (.notdef) path:', testPath);
-            
-            // Try to find glyph for 'h' character (unicode 104)
-            for (let glyphId = 1; glyphId <= 100; glyphId++) {
-                const testGlyphPath = font.glyphToPath(glyphId);
-                if (testGlyphPath && testGlyphPath.length > 0) {
-                    console.log(`Found non-empty glyph at ID ${glyphId}: ${testGlyphPath.substring(0, 50)}...`);
-                    break;
-                }
-            }
-        } catch (error) {
-            console.error('Error testing glyph paths:', error);
-        }
-        */
-        
-        // Create buffer and add text
-        const buffer = this.hb.createBuffer();
-        console.log('Adding text to buffer:', text);
-        buffer.addText(text);
-        
-        // Set buffer properties explicitly
-        buffer.setDirection(4); // HB_DIRECTION_LTR = 4
-        buffer.setScript(1214406446); // HB_SCRIPT_LATIN = 'Latn' as 4-byte tag
-        buffer.setLanguage('en'); // English
-        
-        // Also try auto-detection as fallback
-        buffer.guessSegmentProperties();
-        console.log('Buffer properties set and guessed, available methods:', Object.getOwnPropertyNames(buffer));
-        
-        // Shape the text
-        console.log('Shaping text with features:', features);
-        this.hb.shape(font, buffer, features);
-        
-        // Get shaped results
-        const shapedGlyphs = buffer.json();
-        console.log('Raw shaped glyphs:', shapedGlyphs);
-        
-        // Generate paths if requested
-        const glyphs = shapedGlyphs.map(glyph => {
-            const result = {
-                glyphId: glyph.g,
-                cluster: glyph.cl,
-                advanceX: glyph.ax,
-                advanceY: glyph.ay,
-                offsetX: glyph.dx,
-                offsetY: glyph.dy,
-                flags: glyph.flags
-            };
-            
-            if (returnPaths) {
-                console.log(`Attempting to get path for glyph ${glyph.g}`);
-                try {
-                    result.path = font.glyphToPath(glyph.g);
-                    result.pathJson = font.glyphToJson(glyph.g);
-                    console.log(`Glyph ${glyph.g}: path="${result.path}", pathJson:`, result.pathJson);
-                    
-                    // If glyph 0 (missing glyph), let's try to debug what's available
-                    if (glyph.g === 0) {
-                        console.log('Glyph 0 detected - this is the missing glyph (.notdef)');
-                        // Try to get glyph name to see what character this should be
-                        try {
-                            const glyphName = font.glyphName(glyph.g);
-                            console.log(`Glyph name for ${glyph.g}:`, glyphName);
-                        } catch (e) {
-                            console.log('Cannot get glyph name');
-                        }
-                    }
-                } catch (error) {
-                    console.error(`Error getting path for glyph ${glyph.g}:`, error);
-                    result.path = '';
-                    result.pathJson = [];
-                }
+    exportDXF(shapingResult, options = {}) {
+        const {
+            entity = 'LWPOLYLINE',
+            layers = 'single',
+            layerName = 'TEXT',
+            precision = 4
+        } = options;
+        const { tolerance } = this.outlineOptions(shapingResult, options);
+        if (!DXF_LAYER_MODES.includes(layers)) {
+            throw new Error(`Unknown layer mode: ${layers}. Use ${DXF_LAYER_MODES.join(', ')}`);
+        }
+        
+        const millimetres = UniversalTextShaper.convertUnits(1, shapingResult.units || 'px', 'mm', shapingResult.dpi || 96);
+        const toDXF = [millimetres, 0, 0, -millimetres, 0, 0];
+        
+        const elements = this.prepareElements(shapingResult, options);
+        const contours = elements.map(element => {
+            let layer;
+            if (typeof layerName === 'function') {
+                const glyph = element.glyph !== null ? shapingResult.glyphs[element.glyph] : null;
+                const line = shapingResult.lines[element.line];
+                layer = layerName({
+                    line: element.line,
+                    glyph: element.glyph,
+                    cluster: glyph && line ? line.start + glyph.cluster : null // Offset in text
+                });
+            } else if (layers === 'line') {
+                layer = `${layerName}_LINE_${element.line + 1}`;
+            } else if (layers === 'glyph') {
+                layer = element.glyph !== null ? `${layerName}_GLYPH_${element.glyph + 1}` : `${layerName}_LINE_${element.line + 1}`;
+            } else {
+                layer = layerName;
             }
             
-            return result;
+            const commands = element.pathJson || parsePathData(element.path);
+            return { layer, commands: transformPath(transformPath(commands, element.matrix), toDXF) };
         });
         
-        // Calculate total advance width
-        const totalWidth = shapedGlyphs.reduce((sum, glyph) => sum + glyph.ax, 0);
-        
-        // Cleanup HarfBuzz objects
-        buffer.destroy();
-        font.destroy();
-        face.destroy();
-        blob.destroy();
-        
-        return {
-            text,
-            glyphs,
-            width: totalWidth * fontSize / face.upem, // Convert to actual units
-            height: fontSize,
-            x,
-            y
-        };
+        return createDXF(contours, { entity, tolerance: tolerance * millimetres, precision });
     }
 
     /**
-     * Combine shaped lines into final result
+     * Export the outlines as G-code for a laser engraver or pen plotter
+     * Outlines are flattened, converted to millimetres with y pointing up
+     * and ordered into a toolpath that cuts inner contours before the
+     * contours around them.
+     * @param {Object} shapingResult - Result of shapeText()
+     * @param {Object} options - The createGCode() options (mode, feedRate,
+     *   travelRate, power, passes, header, toolOn, toolOff, footer, order,
+     *   precision, dryRun) and:
+     *   - origin: 'bottom-left' puts the bottom left corner of the ink at
+     *     (0, 0); 'layout' keeps the layout origin at (0, 0) with the text
+     *     below the x axis, as in exportDXF() (default: 'bottom-left')
+     *   - tolerance: Chord deviation in the result's units (default: fontSize / 1000)
+     *   - The outline options, see outlineOptions(): removeOverlaps so no
+     *     area is cut twice, stencil so counters stay attached to the
+     *     sheet, offset for kerf compensation
+     * @returns {{gcode: string|null, summary: Object}} G-code (null for a dry
+     *   run) and a summary with contourCount, passes, cutLength and
+     *   travelLength in mm, estimatedTime in seconds, bounds and lineCount
      */
-    combineLines(shapedLines, processedText, direction) {
-        if (shapedLines.length === 0) {
-            return {
-                text: processedText,
-                direction,
-                lines: [],
-                totalWidth: 0,
-                totalHeight: 0,
-                svgElements: [],
-                glyphs: []
-            };
+    exportGCode(shapingResult, options = {}) {
+        const { origin = 'bottom-left', ...gcodeOptions } = options;
+        if (!GCODE_ORIGINS.includes(origin)) {
+            throw new Error(`Unknown G-code origin: ${origin}. Use ${GCODE_ORIGINS.join(', ')}`);
         }
-
-        const totalWidth = Math.max(...shapedLines.map(line => line.width));
-        const totalHeight = shapedLines.length * shapedLines[0].height;
-        
-        // Create SVG elements with transforms instead of path manipulation
-        const svgElements = [];
-        const allGlyphs = [];
-        
-        shapedLines.forEach(line => {
-            let currentX = line.x;
-            console.log(`Processing line: x=${line.x}, y=${line.y}, glyphs:`, line.glyphs.length);
-            
-            line.glyphs.forEach(glyph => {
-                console.log(`Processing glyph: id=${glyph.glyphId}, hasPath=${!!glyph.path}, path="${glyph.path}"`);
-                if (glyph.path) {
-                    // Calculate final position
-                    const finalX = currentX + glyph.offsetX;
-                    const finalY = line.y - glyph.offsetY; // Flip Y coordinate
-                    
-                    console.log(`Adding SVG element at (${finalX}, ${finalY})`);
-                    
-                    // Create SVG group with transform instead of modifying path
-                    svgElements.push({
-                        path: glyph.path,
-                        transform: `translate(${finalX}, ${finalY})`,
-                        x: finalX,
-                        y: finalY
-                    });
-                }
-                
-                // Add positioned glyph info
-                allGlyphs.push({
-                    ...glyph,
-                    absoluteX: currentX + glyph.offsetX,
-                    absoluteY: line.y - glyph.offsetY
-                });
-                
-                currentX += glyph.advanceX;
-            });
-        });
         
-        console.log(`Total SVG elements created: ${svgElements.length}`);
+        const millimetres = UniversalTextShaper.convertUnits(1, shapingResult.units || 'px', 'mm', shapingResult.dpi || 96);
+        const { contours } = this.flattenOutlines(shapingResult, options);
+        let dx = 0, dy = 0;
+        if (origin === 'bottom-left' && contours.length > 0) {
+            let xMin = Infinity, yMax = -Infinity;
+            contours.forEach(contour => contour.points.forEach(([px, py]) => {
+                xMin = Math.min(xMin, px);
+                yMax = Math.max(yMax, py);
+            }));
+            dx = -xMin * millimetres;
+            dy = yMax * millimetres;
+        }
         
-        return {
-            text: processedText,
-            direction,
-            lines: shapedLines,
-            totalWidth,
-            totalHeight,
-            svgElements,
-            glyphs: allGlyphs
-        };
+        const machineContours = contours.map(contour => ({
+            points: contour.points.map(([px, py]) => [px * millimetres + dx, dy - py * millimetres]),
+            closed: contour.closed
+        }));
+        return createGCode(machineContours, gcodeOptions);
     }
 
     /**
-     * Calculate actual visual bounds from glyph metrics
+     * Number of points drawn by a list of flattened elements
      */
-    calculateActualBounds(shapingResult) {
-        if (!shapingResult.glyphs || shapingResult.glyphs.length === 0) {
-            return {
-                x: 0, y: 0, width: 0, height: 0,
-                minX: 0, maxX: 0, minY: 0, maxY: 0
-            };
+    countPoints(elements) {
+        return elements.reduce((sum, element) =>
+            sum + element.pathJson.filter(command => command.type !== 'Z').length, 0);
+    }
+
+    /**
+     * Paint attributes of one element of svgElements
+     * Outline glyphs are filled. Stroke font glyphs are open centre lines:
+     * they get fill="none" and a stroke whose width, given in output units,
+     * is divided by the scale the element's transform applies.
+     * @param {Object} element - Element of svgElements
+     * @param {Object} paint - fill, stroke, strokeWidth, strokeLinecap and strokeLinejoin
+     */
+    paintAttributes(element, paint) {
+        if (!element.stroke) {
+            return `fill="${paint.fill}"`;
         }
+        const strokeWidth = paint.strokeWidth / (element.transform ? element.scale : 1);
+        return `fill="none" stroke="${paint.stroke}" stroke-width="${formatNumber(strokeWidth, 4)}" ` +
+            `stroke-linecap="${paint.strokeLinecap}" stroke-linejoin="${paint.strokeLinejoin}"`;
+    }
 
-        let minX = Infinity, maxX = -Infinity;
-        let minY = Infinity, maxY = -Infinity;
-        
-        // For each line, we need to recalculate with font metrics
-        shapingResult.lines.forEach(line => {
-            let currentX = line.x;
-            
-            line.glyphs.forEach(glyph => {
-                // Use pathJson to get glyph bounds if available
-                if (glyph.pathJson && glyph.pathJson.xMin !== undefined) {
-                    const glyphMinX = currentX + glyph.offsetX + glyph.pathJson.xMin;
-                    const glyphMaxX = currentX + glyph.offsetX + glyph.pathJson.xMax;
-                    const glyphMinY = line.y - glyph.offsetY - glyph.pathJson.yMax; // Flip Y
-                    const glyphMaxY = line.y - glyph.offsetY - glyph.pathJson.yMin; // Flip Y
-                    
-                    minX = Math.min(minX, glyphMinX);
-                    maxX = Math.max(maxX, glyphMaxX);
-                    minY = Math.min(minY, glyphMinY);
-                    maxY = Math.max(maxY, glyphMaxY);
-                } else {
-                    // Fallback: use advance width and font size estimates
-                    const glyphX = currentX + glyph.offsetX;
-                    const glyphY = line.y - glyph.offsetY;
-                    
-                    minX = Math.min(minX, glyphX);
-                    maxX = Math.max(maxX, glyphX + glyph.advanceX);
-                    minY = Math.min(minY, glyphY - line.height * 0.8); // Estimate ascent
-                    maxY = Math.max(maxY, glyphY + line.height * 0.2); // Estimate descent
-                }
-                
-                currentX += glyph.advanceX;
-            });
-        });
-        
-        // Handle edge case where no valid bounds were found
-        if (minX === Infinity) {
-            return {
-                x: 0, y: 0, width: shapingResult.totalWidth, height: shapingResult.totalHeight,
-                minX: 0, maxX: shapingResult.totalWidth, minY: 0, maxY: shapingResult.totalHeight
-            };
+    /**
+     * Get the paint options of the SVG builders with their defaults
+     */
+    paintOptions(shapingResult, options) {
+        const {
+            fill = 'black',
+            stroke = fill, // Color of stroke font glyphs
+            strokeWidth = (shapingResult.fontSize || 72) / 20, // In output units
+            strokeLinecap = 'round',
+            strokeLinejoin = 'round'
+        } = options;
+        return { fill, stroke, strokeWidth, strokeLinecap, strokeLinejoin };
+    }
+
+    /**
+     * SVG markup of one element of svgElements
+     */
+    createGlyphElement(element, paint) {
+        const attributes = this.paintAttributes(element, paint);
+        if (!element.transform) {
+            return `<path d="${element.path}" ${attributes}/>`;
         }
-        
-        return {
-            x: minX,
-            y: minY,
-            width: maxX - minX,
-            height: maxY - minY,
-            minX, maxX, minY, maxY
-        };
+        return `<g transform="${element.transform}"><path d="${element.path}" ${attributes}/></g>`;
     }
 
     /**
      * Create a complete SVG element
+     * Width, height and viewBox are in the shaping result's units; the
+     * width/height attributes carry the unit so the file has a physical size.
      */
     createSVG(shapingResult, options = {}) {
         const {
             width = shapingResult.totalWidth,
             height = shapingResult.totalHeight,
             viewBox = null,
-            fill = 'black',
-            fontSize = 72,
+            useDefs = false, // Emit each outline once in <defs> and place it with <use>
+            idPrefix = 'glyph',
             returnBounds = false
         } = options;
-
-        const actualViewBox = viewBox || `0 0 ${width} ${height}`;
         
-        // Create SVG with individual <g> elements for each glyph
-        const glyphElements = shapingResult.svgElements.map(element => 
-            `<g transform="${element.transform}"><path d="${element.path}" fill="${fill}"/></g>`
-        ).join('\n    ');
+        const paint = this.paintOptions(shapingResult, options);
+        const elements = this.prepareElements(shapingResult, options);
         
-        const svgString = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${actualViewBox}">
+        let svgString;
+        if (useDefs) {
+            // One <path> per distinct outline, referenced by every occurrence
+            const defs = new Map();
+            const useElements = this.createElementsMarkup(elements, paint, defs, idPrefix);
+            
+            svgString = `${this.createSVGOpenTag(shapingResult, width, height, viewBox, ' xmlns:xlink="http://www.w3.org/1999/xlink"')}
+    <defs>
+        ${this.createDefsMarkup(defs).join('\n        ')}
+    </defs>
+    ${useElements.join('\n    ')}
+</svg>`;
+        } else {
+            // Create SVG with individual <g> elements for each glyph
+            const glyphElements = elements.map(element => this.createGlyphElement(element, paint)).join('\n    ');
+            
+            svgString = `${this.createSVGOpenTag(shapingResult, width, height, viewBox)}
     ${glyphElements}
 </svg>`;
+        }
 
         if (returnBounds) {
-            const actualBounds = this.calculateActualBounds(shapingResult);
-            
             return {
                 svg: svgString,
-                bounds: {
-                    // Typographic dimensions (layout-based)
-                    typographicWidth: shapingResult.totalWidth,
-                    typographicHeight: shapingResult.totalHeight,
-                    
-                    // Visual dimensions (ink-based)
-                    actualWidth: actualBounds.width,
-                    actualHeight: actualBounds.height,
-                    actualX: actualBounds.x,
-                    actualY: actualBounds.y,
-                    
-                    // Canvas dimensions
-                    canvasWidth: width,
-                    canvasHeight: height,
-                    
-                    // Detailed bounds
-                    visualBounds: {
-                        left: actualBounds.minX,
-                        right: actualBounds.maxX,
-                        top: actualBounds.minY,
-                        bottom: actualBounds.maxY
-                    }
-                }
+                bounds: this.createBoundsInfo(shapingResult, width, height),
+                ...(options.flatten ? { pointCount: this.countPoints(elements) } : {})
             };
         }
         
@@ -478,55 +2739,31 @@ class UniversalTextShaper {
 
     /**
      * Create a single combined path SVG (alternative method)
+     * Outlines are baked into one path with coordinates in output units, so
+     * the file needs no transforms. Stroke font glyphs go into a second,
+     * stroked path.
      */
     createCombinedPathSVG(shapingResult, options = {}) {
         const {
             width = shapingResult.totalWidth,
             height = shapingResult.totalHeight,
             viewBox = null,
-            fill = 'black',
+            precision = 3, // Decimal places of the baked coordinates
             returnBounds = false
         } = options;
-
-        const actualViewBox = viewBox || `0 0 ${width} ${height}`;
         
-        // Combine all paths into groups with transforms
-        const combinedElements = shapingResult.svgElements.map(element => {
-            return this.applyTransformToPath(element.path, element.x, element.y);
-        }).join('\n    ');
-        
-        const svgString = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${actualViewBox}">
-    ${combinedElements}
+        const paint = this.paintOptions(shapingResult, options);
+        const elements = this.prepareElements(shapingResult, options);
+        const paths = this.createCombinedPaths(elements, paint, precision);
+        const svgString = `${this.createSVGOpenTag(shapingResult, width, height, viewBox)}
+    ${paths.join('\n    ')}
 </svg>`;
 
         if (returnBounds) {
-            const actualBounds = this.calculateActualBounds(shapingResult);
-            
             return {
                 svg: svgString,
-                bounds: {
-                    // Typographic dimensions (layout-based)
-                    typographicWidth: shapingResult.totalWidth,
-                    typographicHeight: shapingResult.totalHeight,
-                    
-                    // Visual dimensions (ink-based)
-                    actualWidth: actualBounds.width,
-                    actualHeight: actualBounds.height,
-                    actualX: actualBounds.x,
-                    actualY: actualBounds.y,
-                    
-                    // Canvas dimensions
-                    canvasWidth: width,
-                    canvasHeight: height,
-                    
-                    // Detailed bounds
-                    visualBounds: {
-                        left: actualBounds.minX,
-                        right: actualBounds.maxX,
-                        top: actualBounds.minY,
-                        bottom: actualBounds.maxY
-                    }
-                }
+                bounds: this.createBoundsInfo(shapingResult, width, height),
+                ...(options.flatten ? { pointCount: this.countPoints(elements) } : {})
             };
         }
         
@@ -534,28 +2771,361 @@ class UniversalTextShaper {
     }
 
     /**
-     * Apply transform to path using SVG transform instead of coordinate manipulation
+     * SVG markup of prepared elements
+     * With defs, outlines are written once into it and placed with <use>;
+     * an outline that was prepared differently for another element, say at
+     * another size, gets its own id.
+     * @param {Array<Object>} elements - Elements from prepareElements()
+     * @param {Object} paint - Options from paintOptions()
+     * @param {Map<string, string>} defs - Path data by id, filled as outlines are used (optional)
+     * @param {string} idPrefix - Prefix of the ids in defs (default: 'glyph')
+     * @returns {Array<string>} One element per glyph
+     */
+    createElementsMarkup(elements, paint, defs = null, idPrefix = 'glyph') {
+        return elements.map(element => {
+            if (!defs || !element.outlineId) {
+                return this.createGlyphElement(element, paint);
+            }
+            const baseId = `${idPrefix}-${element.outlineId}`;
+            let id = baseId;
+            for (let n = 2; defs.has(id) && defs.get(id) !== element.path; n++) {
+                id = `${baseId}-${n}`;
+            }
+            defs.set(id, element.path);
+            return `<use xlink:href="#${id}" transform="${element.transform}" ${this.paintAttributes(element, paint)}/>`;
+        });
+    }
+
+    /**
+     * <path> elements of the outlines collected by createElementsMarkup()
+     */
+    createDefsMarkup(defs) {
+        return [...defs].map(([id, path]) => `<path id="${id}" d="${path}"/>`);
+    }
+
+    /**
+     * Bake prepared elements into one filled and one stroked <path>
+     * @param {Array<Object>} elements - Elements from prepareElements()
+     * @param {Object} paint - Options from paintOptions()
+     * @param {number} precision - Decimal places of the coordinates
+     * @param {number} dx - Shift right in output units (default: 0)
+     * @param {number} dy - Shift down in output units (default: 0)
+     * @returns {Array<string>} The filled path, when there is one or nothing
+     *   else, and the stroked path of stroke font glyphs
+     */
+    createCombinedPaths(elements, paint, precision, dx = 0, dy = 0) {
+        const bake = element => {
+            const [a, b, c, d, e, f] = element.matrix;
+            return pathToString(transformPath(element.pathJson || parsePathData(element.path), [a, b, c, d, e + dx, f + dy]), precision);
+        };
+        const combinedPath = elements.filter(element => !element.stroke).map(bake).join('');
+        const strokePath = elements.filter(element => element.stroke).map(bake).join('');
+        
+        const paths = [];
+        if (combinedPath || !strokePath) {
+            paths.push(`<path d="${combinedPath}" ${this.paintAttributes({ stroke: false }, paint)}/>`);
+        }
+        if (strokePath) {
+            paths.push(`<path d="${strokePath}" ${this.paintAttributes({ stroke: true, transform: null }, paint)}/>`);
+        }
+        return paths;
+    }
+
+    /**
+     * Render one text per row of data, such as name tags or labels
+     * Each row fills the template and may override options from its
+     * columns; all rows share the loaded fonts and their outline cache.
+     * The text's layout box is centred on a plate of width x height, and
+     * rows whose box is bigger than the plate, or whose words did not fit
+     * maxWidth, are reported as overflowing.
+     * @param {Array<Object>} rows - Values by column name, e.g. from parseRows()
+     * @param {Object} options - shapeText() and createSVG() options for
+     *   every row, plus:
+     *   - template: Text with {{column}} placeholders (default: '{{text}}')
+     *   - columns: Option names mapped to the columns that override them,
+     *     added to { fontSize: 'fontSize', paragraphDirection: 'direction' };
+     *     null drops a default. Empty cells keep the shared option, and
+     *     cells that read as numbers become numbers
+     *   - layout: 'separate' for one SVG per row or 'sheet' to tile the
+     *     rows into one SVG (default: 'separate')
+     *   - combined: Bake each row into one path, as createCombinedPathSVG()
+     *   - width, height: Plate size (default: each row's own size, or on a
+     *     sheet the largest row's)
+     *   - sheetColumns: Plates per sheet row (default: about a square sheet)
+     *   - gap: Space between plates on a sheet (default: 0)
+     * @returns {Object} { rows, sheet, manifest }: rows has one entry per
+     *   row with its index, text, svg (separate layout), width and height
+     *   of its layout box, x and y of its plate (sheet layout),
+     *   missingGlyphs, overflow reasons and error; sheet is the tiled SVG;
+     *   manifest lists the rows with missing glyphs, overflow or errors
+     */
+    renderBatch(rows, options = {}) {
+        const {
+            template = '{{text}}',
+            columns = {},
+            layout = 'separate',
+            combined = false,
+            width = null,
+            height = null,
+            sheetColumns = null,
+            gap = 0,
+            viewBox, // Set per row from the plate size
+            ...renderOptions
+        } = options;
+        if (!Array.isArray(rows)) {
+            throw new Error('renderBatch() needs an array of rows');
+        }
+        if (!BATCH_LAYOUTS.includes(layout)) {
+            throw new Error(`Unknown batch layout: ${layout}. Use ${BATCH_LAYOUTS.join(', ')}`);
+        }
+        if ((width !== null && !(width > 0)) || (height !== null && !(height > 0))) {
+            throw new Error('Plate width and height must be positive numbers');
+        }
+        if (sheetColumns !== null && !(Number.isInteger(sheetColumns) && sheetColumns > 0)) {
+            throw new Error('sheetColumns must be a positive integer');
+        }
+        if (!(gap >= 0)) {
+            throw new Error('gap must be a non-negative number');
+        }
+        const columnMap = { ...BATCH_COLUMNS, ...columns };
+        const sheet = layout === 'sheet';
+        
+        // 1. Shape every row; a failing row is reported and skipped
+        const shaped = [];
+        const entries = rows.map((row, index) => {
+            const entry = { index, text: null, width: 0, height: 0, missingGlyphs: [], overflow: [], error: null };
+            try {
+                entry.text = fillTemplate(template, row);
+                const rowOptions = { ...renderOptions };
+                Object.entries(columnMap).forEach(([option, column]) => {
+                    const value = column ? row[column] : undefined;
+                    if (value !== undefined && value !== null && value !== '') {
+                        rowOptions[option] = typeof value === 'string' && NUMERIC_CELL.test(value.trim()) ?
+                            Number(value) : value;
+                    }
+                });
+                
+                const result = this.shapeText(entry.text, { ...rowOptions, flatten: null, returnPaths: true });
+                if (sheet && shaped.length > 0 && result.units !== shaped[0].result.units) {
+                    throw new Error(`Rows of a sheet must share units; this row is in ${result.units}`);
+                }
+                entry.width = result.totalWidth;
+                entry.height = result.totalHeight;
+                entry.missingGlyphs = this.findMissingGlyphs(result);
+                entry.overflow = [...new Set(result.lines.map(line => line.overflow).filter(Boolean))];
+                if (width !== null && result.totalWidth > width) {
+                    entry.overflow.push('width');
+                }
+                if (height !== null && result.totalHeight > height) {
+                    entry.overflow.push('height');
+                }
+                
+                if (sheet) {
+                    // Outlined here so that a bad option fails only this row
+                    shaped.push({
+                        entry,
+                        result,
+                        paint: this.paintOptions(result, rowOptions),
+                        elements: this.prepareElements(result, rowOptions)
+                    });
+                } else {
+                    const plateWidth = width !== null ? width : result.totalWidth;
+                    const plateHeight = height !== null ? height : result.totalHeight;
+                    const svgOptions = { ...rowOptions, width: plateWidth, height: plateHeight };
+                    if (width !== null || height !== null) {
+                        const left = (result.totalWidth - plateWidth) / 2;
+                        const top = (result.totalHeight - plateHeight) / 2;
+                        svgOptions.viewBox = [left, top, plateWidth, plateHeight].map(value => formatNumber(value, 4)).join(' ');
+                    }
+                    entry.svg = combined ?
+                        this.createCombinedPathSVG(result, svgOptions) :
+                        this.createSVG(result, svgOptions);
+                }
+            } catch (error) {
+                entry.error = error.message;
+                if (!sheet) {
+                    entry.svg = null;
+                }
+            }
+            return entry;
+        });
+        
+        // 2. Tile the plates row by row on one sheet
+        let sheetSVG = null;
+        if (sheet) {
+            const plateWidth = width !== null ? width : Math.max(0, ...shaped.map(({ result }) => result.totalWidth));
+            const plateHeight = height !== null ? height : Math.max(0, ...shaped.map(({ result }) => result.totalHeight));
+            const across = Math.max(1, Math.min(shaped.length, sheetColumns || Math.ceil(Math.sqrt(shaped.length))));
+            const down = Math.ceil(shaped.length / across);
+            const sheetWidth = across * plateWidth + (across - 1) * gap;
+            const sheetHeight = down > 0 ? down * plateHeight + (down - 1) * gap : 0;
+            const { useDefs = false, idPrefix = 'glyph', precision = 3 } = renderOptions;
+            const defs = useDefs && !combined ? new Map() : null;
+            
+            const plates = shaped.map(({ entry, result, paint, elements }, k) => {
+                entry.x = (k % across) * (plateWidth + gap);
+                entry.y = Math.floor(k / across) * (plateHeight + gap);
+                const dx = entry.x + (plateWidth - result.totalWidth) / 2;
+                const dy = entry.y + (plateHeight - result.totalHeight) / 2;
+                if (combined) {
+                    return this.createCombinedPaths(elements, paint, precision, dx, dy).join('\n    ');
+                }
+                return `<g transform="translate(${formatNumber(dx, 4)} ${formatNumber(dy, 4)})">
+        ${this.createElementsMarkup(elements, paint, defs, idPrefix).join('\n        ')}
+    </g>`;
+            });
+            
+            const units = shaped.length > 0 ? { units: shaped[0].result.units, dpi: shaped[0].result.dpi } : renderOptions;
+            const openTag = this.createSVGOpenTag(units, sheetWidth, sheetHeight, null,
+                defs ? ' xmlns:xlink="http://www.w3.org/1999/xlink"' : '');
+            const defsMarkup = defs ? `
+    <defs>
+        ${this.createDefsMarkup(defs).join('\n        ')}
+    </defs>` : '';
+            sheetSVG = `${openTag}${defsMarkup}
+    ${plates.join('\n    ')}
+</svg>`;
+        }
+        
+        // 3. Rows that need a look before cutting
+        const manifest = {
+            total: entries.length,
+            rendered: entries.filter(entry => !entry.error).length,
+            missingGlyphs: entries.filter(entry => entry.missingGlyphs.length > 0)
+                .map(({ index, text, missingGlyphs }) => ({ index, text, characters: missingGlyphs })),
+            overflow: entries.filter(entry => entry.overflow.length > 0)
+                .map(({ index, text, overflow }) => ({ index, text, reasons: overflow })),
+            errors: entries.filter(entry => entry.error)
+                .map(({ index, text, error }) => ({ index, text, message: error }))
+        };
+        
+        return { rows: entries, sheet: sheetSVG, manifest };
+    }
+
+    /**
+     * Bake a glyph outline into path data at its final position
+     * @param {string|Array<Object>} path - Path data or path commands in font units
+     * @param {number} dx - Glyph origin x in output units
+     * @param {number} dy - Glyph baseline y in output units
+     * @param {number} scale - Output units per font unit (default: 1)
+     * @param {number} precision - Decimal places (default: 3)
+     * @returns {string} Path data in output units with y pointing down
+     */
+    applyTransformToPath(path, dx, dy, scale = 1, precision = 3) {
+        const commands = typeof path === 'string' ? parsePathData(path) : path;
+        return pathToString(transformPath(commands, glyphMatrix(dx, dy, scale)), precision);
+    }
+
+    /**
+     * Find the characters that no loaded font has a glyph for
+     * They are drawn with the .notdef glyph, usually an empty box. Default
+     * ignorable characters are invisible anyway and are not reported.
+     * @param {Object} shapingResult - Result of shapeText()
+     * @returns {Array<{offset: number, character: string, codePoint: number, line: number}>}
+     *   One entry per missing cluster, in text order, with its offset in text
+     */
+    findMissingGlyphs(shapingResult) {
+        const missing = new Map();
+        shapingResult.lines.forEach((line, lineIndex) => {
+            line.glyphs.forEach(glyph => {
+                const offset = line.start + glyph.cluster;
+                if (glyph.glyphId !== 0 || missing.has(offset)) {
+                    return;
+                }
+                // The line's own text, which may end with an added ellipsis
+                const character = String.fromCodePoint(line.text.codePointAt(glyph.cluster));
+                if (!DEFAULT_IGNORABLE.test(character)) {
+                    missing.set(offset, { offset, character, codePoint: character.codePointAt(0), line: lineIndex });
+                }
+            });
+        });
+        return [...missing.values()].sort((a, b) => a.offset - b.offset);
+    }
+
+    /**
+     * Map the clusters of horizontal text to positions, for editing
+     * Built once per shaping result and cached.
+     * @param {Object} shapingResult - Result of shapeText()
+     * @returns {Object} { lines }, each with start, end, direction, top,
+     *   height, baseline, left, right and clusters in visual order
      */
-    applyTransformToPath(path, dx, dy) {
-        // Instead of manipulating coordinates, wrap path in a group with transform
-        return `<g transform="translate(${dx}, ${dy})"><path d="${path}"/></g>`;
+    getClusterMap(shapingResult) {
+        return getClusterMap(shapingResult);
+    }
+
+    /**
+     * Caret position of a text offset, split at bidi boundaries
+     * @param {Object} shapingResult - Result of shapeText()
+     * @param {number} offset - Offset in the text, from 0 to its length
+     * @returns {Object} { offset, line, x, top, height, baseline, direction,
+     *   secondary }; secondary is { x, direction } for a split caret, else null
+     */
+    getCaretPosition(shapingResult, offset) {
+        return caretPosition(shapingResult, offset);
+    }
+
+    /**
+     * Text offset nearest to a point, such as a mouse click
+     * @param {Object} shapingResult - Result of shapeText()
+     * @param {number} x - Point in output units
+     * @param {number} y - Point in output units
+     * @returns {Object} { offset, line, inside }
+     */
+    hitTest(shapingResult, x, y) {
+        return hitTest(shapingResult, x, y);
+    }
+
+    /**
+     * Rectangles covering a logical range of text, for highlighting a selection
+     * @param {Object} shapingResult - Result of shapeText()
+     * @param {number} start - First offset of the range
+     * @param {number} end - Offset after the range
+     * @returns {Array<{x: number, y: number, width: number, height: number, line: number}>}
+     */
+    getSelectionRects(shapingResult, start, end) {
+        return selectionRects(shapingResult, start, end);
     }
 
     /**
      * Get detailed shaping information for debugging
+     * With the trace option, lines lists every line with its runs, and each
+     * run has the trace from describeTrace(): the lookups HarfBuzz ran, the
+     * features that fired, and the glyph buffer before GSUB, after GSUB and
+     * after GPOS with glyph names and clusters.
+     * @param {string} text - Text to shape
+     * @param {Object} options - shapeText() options, and trace (default: false)
+     * @returns {Object} Counts, scripts, languages, fonts and runs, and with
+     *   trace, lines
      */
     getShapingInfo(text, options = {}) {
-        const result = this.shapeText(text, { ...options, returnPaths: false });
+        const { trace = false } = options;
+        const result = this.shapeText(text, { ...options, trace, flatten: null, returnPaths: false });
+        const runs = result.lines.flatMap((line, lineIndex) =>
+            line.runs.map(({ trace: runTrace, ...run }) => ({ line: lineIndex, ...run })));
         
-        return {
+        const info = {
             originalText: text,
             processedText: result.text,
             direction: result.direction,
             glyphCount: result.glyphs.length,
-            scripts: [...new Set(result.glyphs.map(g => 'auto-detected'))], // HarfBuzz handles this
+            scripts: [...new Set(runs.map(run => run.script))],
+            languages: [...new Set(runs.map(run => run.language || 'default'))],
+            fonts: [...new Set(runs.map(run => run.font))],
+            runs,
             totalAdvance: result.totalWidth,
             lineCount: result.lines.length
         };
+        if (trace) {
+            info.lines = result.lines.map((line, index) => ({
+                index,
+                text: line.text,
+                start: line.start,
+                end: line.end,
+                direction: line.direction,
+                runs: line.runs.map(run => ({ ...run, text: line.text.slice(run.start, run.end) }))
+            }));
+        }
+        return info;
     }
 }
 
@@ -571,8 +3141,12 @@ class UniversalTextShaper {
 async function shapeText(text, fontBuffer, options = {}) {
     const shaper = new UniversalTextShaper();
     await shaper.initialize();
-    shaper.loadFont(fontBuffer, 'default', true);
-    return shaper.shapeText(text, options);
+    try {
+        shaper.loadFont(fontBuffer, 'default', true);
+        return shaper.shapeText(text, options);
+    } finally {
+        shaper.dispose();
+    }
 }
 
 /**